@@ -0,0 +1,58 @@
+// day_011 ---------------------------------------------------------
+// role based access control: every role gets a list of permissions, used by the authorize middleware
+
+// permissions every logged in user has
+const userPermissions = [
+    "user:read", // own profile, watch history, subscriptions, liked videos and channel stats
+    "content:read", // videos, playlists, comments, likes and subscribers (own drafts and private playlists included)
+    "user:update",
+    "history:manage", // record / remove watch history entries
+    "subscription:manage", // subscribe / unsubscribe
+    "like:manage", // like / dislike videos and comments
+    "video:create",
+    "video:update",
+    "video:delete",
+    "comment:create",
+    "comment:update",
+    "comment:delete",
+    "playlist:manage",
+];
+
+// moderators can act on content of other users
+const moderatorPermissions = [
+    ...userPermissions,
+    "video:moderate", // unpublish / delete any video
+    "comment:moderate", // delete any comment
+    "moderation:read", // see the full details of any user (security events, bans, ...)
+];
+
+// admins can manage accounts
+const adminPermissions = [
+    ...moderatorPermissions,
+    "user:manage", // search and view all users
+    "user:ban", // ban / suspend accounts, force logout
+    "user:role", // change roles
+];
+
+const ROLE_PERMISSIONS = {
+    user: userPermissions,
+    moderator: moderatorPermissions,
+    admin: adminPermissions,
+};
+
+// ordered from lowest to highest
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// rank of a role, users can only manage users ranking below them
+const getRoleRank = (role) => ROLES.indexOf(role);
+
+const ALL_PERMISSIONS = [...new Set(Object.values(ROLE_PERMISSIONS).flat())];
+
+// permissions of a user: the ones of their role plus any extra ones granted to them
+const getUserPermissions = (user) => [
+    ...new Set([...(ROLE_PERMISSIONS[user?.role] || []), ...(user?.permissions || [])]),
+];
+
+const hasPermission = (user, permission) => getUserPermissions(user).includes(permission);
+
+export { ROLES, ROLE_PERMISSIONS, ALL_PERMISSIONS, getRoleRank, getUserPermissions, hasPermission };
@@ -0,0 +1,283 @@
+import crypto from "crypto";
+import { isValidObjectId } from "mongoose";
+import asyncHandler from "../utils/asyncHandler.js";
+import User from "../models/user.model.js";
+import Session from "../models/session.model.js";
+import Video from "../models/video.model.js";
+import Subscription from "../models/subscription.model.js";
+import SecurityEvent from "../models/securityEvent.model.js";
+import apiError from "../utils/apiError.js";
+import apiRes from "../utils/apiRes.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { sendPasswordResetEmail } from "../utils/authEmails.js";
+import { ROLES, ALL_PERMISSIONS, getRoleRank } from "../config/permissions.config.js";
+import { hasRequestPermission } from "../middlewares/authorize.middleware.js";
+
+// escape user input before using it inside a regex
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// find the target user of an admin action
+const findUser = async (userId) => {
+    if (!isValidObjectId(userId)) {
+        throw new apiError(400, "Invalid user id", ["userId"]);
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+        throw new apiError(404, "User not found");
+    }
+
+    return user;
+};
+
+// users can only act on users whose role ranks below theirs (a moderator with user:ban can't ban an admin)
+// actions on yourself are checked by each action
+const assertOutranks = (req, user) => {
+    if (!user._id.equals(req.user._id) && getRoleRank(user.role) >= getRoleRank(req.user.role)) {
+        throw new apiError(403, "You cannot manage a user whose role is equal to or higher than yours");
+    }
+};
+
+// keep an audit trail of admin actions
+const recordAdminAction = (req, user, type, details = {}) =>
+    SecurityEvent.create({
+        user: user._id,
+        type,
+        ip: req.ip || "",
+        userAgent: req.headers["user-agent"] || "",
+        details: { ...details, by: req.user._id },
+    });
+
+// search users with pagination
+// query: page, limit, query (userName, email or full name), role, status (banned | active)
+const listUsers = asyncHandler(async (req, res) => {
+    const { query, role, status } = req.query;
+
+    if (role && !ROLES.includes(role)) {
+        throw new apiError(400, `Invalid role. Allowed: ${ROLES.join(", ")}`, ["role"]);
+    }
+
+    if (status && !["banned", "active"].includes(status)) {
+        throw new apiError(400, "Invalid status. Allowed: banned, active", ["status"]);
+    }
+
+    const match = {};
+
+    if (query && String(query).trim()) {
+        const regex = new RegExp(escapeRegex(String(query).trim()), "i");
+        match.$or = [{ userName: regex }, { email: regex }, { fullName: regex }];
+    }
+
+    if (role) {
+        match.role = role;
+    }
+
+    // a ban is active when it has no expiry or the expiry is in the future
+    const activeBan = {
+        ban: { $ne: null },
+        $or: [{ "ban.expiresAt": null }, { "ban.expiresAt": { $gt: new Date() } }],
+    };
+
+    if (status === "banned") {
+        match.$and = [activeBan];
+    } else if (status === "active") {
+        match.$and = [{ $nor: [activeBan] }];
+    }
+
+    const aggregate = User.aggregate([
+        { $match: match },
+        { $sort: { createdAt: -1, _id: -1 } },
+        // Project only safe fields
+        {
+            $project: {
+                _id: 1,
+                userName: 1,
+                email: 1,
+                fullName: 1,
+                avatar: 1,
+                role: 1,
+                isEmailVerified: 1,
+                twoFactorEnabled: 1,
+                ban: 1,
+                createdAt: 1,
+            },
+        },
+    ]);
+
+    const users = await User.aggregatePaginate(aggregate, getPaginationOptions(req.query, { docs: "users" }));
+
+    return res.status(200).json(new apiRes(200, users, "Users fetched successfully"));
+});
+
+// full profile of a user for admins: account, sessions, content counts and recent security events
+const getUserDetails = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const user = await findUser(userId);
+
+    const [sessions, videoCount, subscribersCount, securityEvents] = await Promise.all([
+        Session.find({ user: user._id }).select("userAgent ip createdAt lastUsedAt expiresAt").sort({ lastUsedAt: -1 }),
+        Video.countDocuments({ owner: user._id }),
+        Subscription.countDocuments({ channel: user._id }),
+        SecurityEvent.find({ user: user._id }).sort({ createdAt: -1 }).limit(20),
+    ]);
+
+    const { password: _, ...userData } = user.toObject();
+
+    return res.status(200).json(
+        new apiRes(
+            200,
+            {
+                user: { ...userData, isBanned: Boolean(user.getActiveBan()) },
+                sessions,
+                videoCount,
+                subscribersCount,
+                securityEvents,
+            },
+            "User details fetched successfully"
+        )
+    );
+});
+
+// ban or suspend a user, body: { "reason": "...", "expiresAt": "<date>" } (no expiresAt = permanent ban)
+const banUser = asyncHandler(async (req, res) => {
+    const { reason, expiresAt } = req.body;
+    const user = await findUser(req.params.userId);
+
+    if (!reason || typeof reason !== "string" || !reason.trim()) {
+        throw new apiError(400, "Ban reason is required", ["reason"]);
+    }
+
+    const expiryDate = expiresAt ? new Date(expiresAt) : null;
+    if (expiryDate && (isNaN(expiryDate) || expiryDate <= new Date())) {
+        throw new apiError(400, "expiresAt must be a date in the future", ["expiresAt"]);
+    }
+
+    if (user._id.equals(req.user._id)) {
+        throw new apiError(400, "You cannot ban yourself", ["userId"]);
+    }
+
+    assertOutranks(req, user);
+
+    user.ban = {
+        reason: reason.trim(),
+        bannedAt: new Date(),
+        expiresAt: expiryDate,
+        bannedBy: req.user._id,
+    };
+    await user.save({ validateBeforeSave: false });
+
+    // log the user out everywhere
+    await Session.deleteMany({ user: user._id });
+    await recordAdminAction(req, user, "account_banned", { reason: user.ban.reason, expiresAt: expiryDate });
+
+    return res
+        .status(200)
+        .json(
+            new apiRes(200, { ban: user.ban }, expiryDate ? "User suspended successfully" : "User banned successfully")
+        );
+});
+
+// lift a ban or suspension
+const unbanUser = asyncHandler(async (req, res) => {
+    const user = await findUser(req.params.userId);
+
+    assertOutranks(req, user);
+
+    if (!user.ban) {
+        throw new apiError(400, "User is not banned");
+    }
+
+    user.ban = null;
+    await user.save({ validateBeforeSave: false });
+
+    await recordAdminAction(req, user, "account_unbanned");
+
+    return res.status(200).json(new apiRes(200, null, "User unbanned successfully"));
+});
+
+// log a user out of every device
+const forceLogout = asyncHandler(async (req, res) => {
+    const user = await findUser(req.params.userId);
+    assertOutranks(req, user);
+
+    const result = await Session.deleteMany({ user: user._id });
+
+    await recordAdminAction(req, user, "forced_logout", { revokedCount: result.deletedCount });
+
+    return res
+        .status(200)
+        .json(new apiRes(200, { revokedCount: result.deletedCount }, "User logged out from all devices"));
+});
+
+// mail the user a reset link, then lock the current password
+const forcePasswordReset = asyncHandler(async (req, res) => {
+    const user = await findUser(req.params.userId);
+    assertOutranks(req, user);
+
+    // the mail goes first: if it fails, the user keeps their password instead of being locked out without a link
+    await sendPasswordResetEmail(user);
+
+    // replace the password with a random one nobody knows, so only the reset link works
+    user.password = crypto.randomBytes(32).toString("hex");
+    await user.save({ validateBeforeSave: false });
+
+    await Session.deleteMany({ user: user._id });
+    await recordAdminAction(req, user, "forced_password_reset");
+
+    return res.status(200).json(new apiRes(200, null, "Password reset forced, a reset link was sent to the user"));
+});
+
+// change the role (and extra permissions) of a user, body: { "role": "moderator", "permissions": [...] }
+const changeUserRole = asyncHandler(async (req, res) => {
+    const { role, permissions } = req.body;
+    const user = await findUser(req.params.userId);
+
+    if (role === undefined && permissions === undefined) {
+        throw new apiError(400, "Nothing to update", ["role", "permissions"]);
+    }
+
+    if (role !== undefined && !ROLES.includes(role)) {
+        throw new apiError(400, `Invalid role. Allowed: ${ROLES.join(", ")}`, ["role"]);
+    }
+
+    if (
+        permissions !== undefined &&
+        (!Array.isArray(permissions) || !permissions.every((permission) => ALL_PERMISSIONS.includes(permission)))
+    ) {
+        throw new apiError(400, "permissions must be an array of known permissions", ["permissions"]);
+    }
+
+    // no self promotion, and admins can't lock themselves out
+    if (user._id.equals(req.user._id)) {
+        throw new apiError(400, "You cannot change your own role or permissions", ["userId"]);
+    }
+
+    assertOutranks(req, user);
+
+    // nobody hands out more than they have
+    if (role !== undefined && getRoleRank(role) > getRoleRank(req.user.role)) {
+        throw new apiError(403, "You cannot give a role higher than yours", ["role"]);
+    }
+
+    const notOwned = (permissions || []).filter((permission) => !hasRequestPermission(req, permission));
+    if (notOwned.length > 0) {
+        throw new apiError(403, `You cannot grant permissions you don't have: ${notOwned.join(", ")}`, notOwned);
+    }
+
+    const previous = { role: user.role, permissions: [...user.permissions] };
+
+    user.role = role ?? user.role;
+    user.permissions = permissions ?? user.permissions;
+    await user.save({ validateBeforeSave: false });
+
+    await recordAdminAction(req, user, "role_changed", {
+        previous,
+        current: { role: user.role, permissions: user.permissions },
+    });
+
+    return res
+        .status(200)
+        .json(new apiRes(200, { role: user.role, permissions: user.permissions }, "User role updated successfully"));
+});
+
+export { listUsers, getUserDetails, banUser, unbanUser, forceLogout, forcePasswordReset, changeUserRole };
@@ -0,0 +1,111 @@
+import crypto from "crypto";
+import { isValidObjectId } from "mongoose";
+import asyncHandler from "../utils/asyncHandler.js";
+import ApiKey from "../models/apiKey.model.js";
+import apiError from "../utils/apiError.js";
+import apiRes from "../utils/apiRes.js";
+import { hashToken } from "../utils/tokenHash.js";
+import { hasPermission } from "../config/permissions.config.js";
+
+const MAX_API_KEYS = 20;
+const KEY_PREFIX = "mbk_";
+
+// check the key name, only when it is present
+const validateName = (name) => {
+    if (typeof name !== "string" || !name.trim() || name.trim().length > 100) {
+        throw new apiError(400, "API key name must be 1-100 characters", ["name"]);
+    }
+
+    return name.trim();
+};
+
+// find an API key of the logged in user
+const findOwnedApiKey = async (keyId, userId) => {
+    if (!isValidObjectId(keyId)) {
+        throw new apiError(400, "Invalid API key id", ["keyId"]);
+    }
+
+    const apiKey = await ApiKey.findOne({ _id: keyId, user: userId });
+    if (!apiKey) {
+        throw new apiError(404, "API key not found");
+    }
+
+    return apiKey;
+};
+
+// create a key, body: { "name": "...", "scopes": ["video:create"], "expiresAt": "<date>" }
+// the key is only returned here, it can't be read again later
+const createApiKey = asyncHandler(async (req, res) => {
+    const { scopes, expiresAt } = req.body;
+    const name = validateName(req.body?.name);
+
+    // a key can only get permissions its owner has
+    if (!Array.isArray(scopes) || !scopes.every((scope) => hasPermission(req.user, scope))) {
+        throw new apiError(400, "scopes must be an array of permissions you have", ["scopes"]);
+    }
+
+    const expiryDate = expiresAt ? new Date(expiresAt) : null;
+    if (expiryDate && (isNaN(expiryDate) || expiryDate <= new Date())) {
+        throw new apiError(400, "expiresAt must be a date in the future", ["expiresAt"]);
+    }
+
+    if ((await ApiKey.countDocuments({ user: req.user._id })) >= MAX_API_KEYS) {
+        throw new apiError(400, `You can't have more than ${MAX_API_KEYS} API keys, revoke an old one first`);
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+
+    const apiKey = await ApiKey.create({
+        user: req.user._id,
+        name,
+        keyHash: hashToken(key),
+        prefix: key.slice(0, KEY_PREFIX.length + 6),
+        scopes: [...new Set(scopes)],
+        expiresAt: expiryDate,
+    });
+
+    const { keyHash: _, ...apiKeyData } = apiKey.toObject();
+
+    return res
+        .status(201)
+        .json(new apiRes(201, { apiKey: apiKeyData, key }, "API key created, copy it now as it won't be shown again"));
+});
+
+// list the keys of the logged in user (never the keys themselves)
+const getApiKeys = asyncHandler(async (req, res) => {
+    const apiKeys = await ApiKey.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    return res.status(200).json(new apiRes(200, { apiKeys }, "API keys fetched successfully"));
+});
+
+// rename a key or change its scopes, body: { "name": "...", "scopes": [...] }
+const updateApiKey = asyncHandler(async (req, res) => {
+    const { name, scopes } = req.body;
+
+    if (name === undefined && scopes === undefined) {
+        throw new apiError(400, "Nothing to update", ["name", "scopes"]);
+    }
+
+    if (scopes !== undefined && (!Array.isArray(scopes) || !scopes.every((scope) => hasPermission(req.user, scope)))) {
+        throw new apiError(400, "scopes must be an array of permissions you have", ["scopes"]);
+    }
+
+    const apiKey = await findOwnedApiKey(req.params.keyId, req.user._id);
+
+    apiKey.name = name !== undefined ? validateName(name) : apiKey.name;
+    apiKey.scopes = scopes !== undefined ? [...new Set(scopes)] : apiKey.scopes;
+    await apiKey.save();
+
+    return res.status(200).json(new apiRes(200, { apiKey }, "API key updated successfully"));
+});
+
+// revoke a key, it stops working right away
+const revokeApiKey = asyncHandler(async (req, res) => {
+    const apiKey = await findOwnedApiKey(req.params.keyId, req.user._id);
+
+    await ApiKey.deleteOne({ _id: apiKey._id });
+
+    return res.status(200).json(new apiRes(200, null, "API key revoked successfully"));
+});
+
+export { createApiKey, getApiKeys, updateApiKey, revokeApiKey };
@@ -0,0 +1,271 @@
+import { isValidObjectId } from "mongoose";
+import asyncHandler from "../utils/asyncHandler.js";
+import Comment from "../models/comment.model.js";
+import Video from "../models/video.model.js";
+import Like from "../models/like.model.js";
+import apiError from "../utils/apiError.js";
+import apiRes from "../utils/apiRes.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { likeStatsStages } from "../utils/likeStats.js";
+import { hasRequestPermission } from "../middlewares/authorize.middleware.js";
+
+const MAX_COMMENT_LENGTH = 1000;
+
+// check the comment text
+const validateContent = (content) => {
+    if (typeof content !== "string" || !content.trim()) {
+        throw new apiError(400, "Comment content is required", ["content"]);
+    }
+
+    if (content.trim().length > MAX_COMMENT_LENGTH) {
+        throw new apiError(400, `Comment cannot be longer than ${MAX_COMMENT_LENGTH} characters`, ["content"]);
+    }
+
+    return content.trim();
+};
+
+// find a video whose comments can be seen by the user
+const findVisibleVideo = async (videoId, userId) => {
+    if (!isValidObjectId(videoId)) {
+        throw new apiError(400, "Invalid video id", ["videoId"]);
+    }
+
+    const video = await Video.findById(videoId).select("_id isPublished owner");
+    if (!video || (!video.isPublished && !video.owner?.equals(userId))) {
+        throw new apiError(404, "Video not found");
+    }
+
+    return video;
+};
+
+// find a comment by id
+const findComment = async (commentId) => {
+    if (!isValidObjectId(commentId)) {
+        throw new apiError(400, "Invalid comment id", ["commentId"]);
+    }
+
+    const comment = await Comment.findById(commentId);
+    if (!comment) {
+        throw new apiError(404, "Comment not found");
+    }
+
+    return comment;
+};
+
+// aggregation stages shared by comment and reply lists
+const commentCardStages = (userId) => [
+    // Lookup the author of the comment
+    {
+        $lookup: {
+            from: "users",
+            localField: "owner",
+            foreignField: "_id",
+            as: "owner",
+            pipeline: [
+                {
+                    $project: {
+                        _id: 1,
+                        userName: 1,
+                        fullName: 1,
+                        avatar: 1,
+                    },
+                },
+            ],
+        },
+    },
+    {
+        $addFields: {
+            owner: { $first: "$owner" },
+        },
+    },
+    // Add like / dislike counts and isLiked for the current user
+    ...likeStatsStages("Comment", userId),
+];
+
+// get top level comments of a video, pinned comment first
+const getVideoComments = asyncHandler(async (req, res) => {
+    const video = await findVisibleVideo(req.params.videoId, req.user._id);
+
+    const aggregate = Comment.aggregate([
+        // Match top level comments of this video
+        {
+            $match: {
+                video: video._id,
+                parentComment: null,
+            },
+        },
+        // Pinned comment first, then newest
+        {
+            $sort: { isPinned: -1, createdAt: -1, _id: -1 },
+        },
+        ...commentCardStages(req.user._id),
+        // Lookup to count replies
+        {
+            $lookup: {
+                from: "comments",
+                localField: "_id",
+                foreignField: "parentComment",
+                as: "replies",
+                pipeline: [
+                    {
+                        $count: "total",
+                    },
+                ],
+            },
+        },
+        {
+            $addFields: {
+                repliesCount: {
+                    $ifNull: [{ $arrayElemAt: ["$replies.total", 0] }, 0],
+                },
+            },
+        },
+        {
+            $project: {
+                replies: 0,
+            },
+        },
+    ]);
+
+    const comments = await Comment.aggregatePaginate(aggregate, getPaginationOptions(req.query, { docs: "comments" }));
+
+    return res.status(200).json(new apiRes(200, comments, "Comments fetched successfully"));
+});
+
+// get replies of a comment, oldest first
+const getCommentReplies = asyncHandler(async (req, res) => {
+    const parent = await findComment(req.params.commentId);
+    await findVisibleVideo(parent.video, req.user._id);
+
+    const aggregate = Comment.aggregate([
+        // Match replies of this comment
+        {
+            $match: {
+                parentComment: parent._id,
+            },
+        },
+        {
+            $sort: { createdAt: 1, _id: 1 },
+        },
+        ...commentCardStages(req.user._id),
+    ]);
+
+    const replies = await Comment.aggregatePaginate(aggregate, getPaginationOptions(req.query, { docs: "replies" }));
+
+    return res.status(200).json(new apiRes(200, replies, "Replies fetched successfully"));
+});
+
+// add a comment, or a reply when parentComment is given
+const addComment = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+    const content = validateContent(req.body?.content);
+    const { parentComment: parentCommentId } = req.body;
+
+    if (!isValidObjectId(videoId)) {
+        throw new apiError(400, "Invalid video id", ["videoId"]);
+    }
+
+    const video = await Video.findById(videoId).select("_id isPublished");
+    if (!video) {
+        throw new apiError(404, "Video not found");
+    }
+
+    // unpublished videos cannot be commented on
+    if (!video.isPublished) {
+        throw new apiError(403, "Comments are not allowed on unpublished videos", ["videoId"]);
+    }
+
+    let parentComment = null;
+    if (parentCommentId) {
+        const parent = await findComment(parentCommentId);
+
+        if (!parent.video.equals(video._id)) {
+            throw new apiError(400, "Parent comment belongs to another video", ["parentComment"]);
+        }
+
+        // replies nest only one level deep, a reply to a reply goes under the top level comment
+        parentComment = parent.parentComment || parent._id;
+    }
+
+    const comment = await Comment.create({
+        content,
+        video: video._id,
+        owner: req.user._id,
+        parentComment,
+    });
+
+    return res.status(201).json(new apiRes(201, { comment }, "Comment added successfully"));
+});
+
+// edit a comment, only the author can do this
+const updateComment = asyncHandler(async (req, res) => {
+    const content = validateContent(req.body?.content);
+    const comment = await findComment(req.params.commentId);
+
+    if (!comment.owner.equals(req.user._id)) {
+        throw new apiError(403, "You can only edit your own comments");
+    }
+
+    comment.content = content;
+    comment.isEdited = true;
+    await comment.save();
+
+    return res.status(200).json(new apiRes(200, { comment }, "Comment updated successfully"));
+});
+
+// delete a comment, allowed for the author, the owner of the video and moderators
+const deleteComment = asyncHandler(async (req, res) => {
+    const comment = await findComment(req.params.commentId);
+
+    if (!comment.owner.equals(req.user._id) && !hasRequestPermission(req, "comment:moderate")) {
+        const video = await Video.findById(comment.video).select("owner");
+        if (!video?.owner?.equals(req.user._id)) {
+            throw new apiError(403, "You are not allowed to delete this comment");
+        }
+    }
+
+    // deleting a top level comment removes its replies too
+    const replyIds = comment.parentComment
+        ? []
+        : (await Comment.find({ parentComment: comment._id }).select("_id")).map((reply) => reply._id);
+    const commentIds = [comment._id, ...replyIds];
+
+    await Comment.deleteMany({ _id: { $in: commentIds } });
+    await Like.deleteMany({ targetType: "Comment", target: { $in: commentIds } });
+
+    return res.status(200).json(new apiRes(200, null, "Comment deleted successfully"));
+});
+
+// pin / unpin a comment, only the owner of the video can do this
+const togglePinComment = asyncHandler(async (req, res) => {
+    const comment = await findComment(req.params.commentId);
+
+    const video = await Video.findById(comment.video).select("owner");
+    if (!video?.owner?.equals(req.user._id)) {
+        throw new apiError(403, "Only the video owner can pin comments");
+    }
+
+    if (comment.parentComment) {
+        throw new apiError(400, "Replies cannot be pinned", ["commentId"]);
+    }
+
+    // only one pinned comment per video
+    if (!comment.isPinned) {
+        await Comment.updateMany({ video: comment.video, isPinned: true }, { $set: { isPinned: false } });
+    }
+
+    comment.isPinned = !comment.isPinned;
+    await comment.save();
+
+    return res
+        .status(200)
+        .json(
+            new apiRes(
+                200,
+                { comment },
+                comment.isPinned ? "Comment pinned successfully" : "Comment unpinned successfully"
+            )
+        );
+});
+
+export { getVideoComments, getCommentReplies, addComment, updateComment, deleteComment, togglePinComment };
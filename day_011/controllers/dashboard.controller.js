@@ -0,0 +1,130 @@
+import asyncHandler from "../utils/asyncHandler.js";
+import Video from "../models/video.model.js";
+import View from "../models/view.model.js";
+import Subscription from "../models/subscription.model.js";
+import apiRes from "../utils/apiRes.js";
+import { getPendingViews } from "../utils/viewCounter.js";
+
+// periods (in days) for views / subscribers gained
+const PERIODS = [7, 30, 90];
+
+// count documents matching the filter, in total and for each period
+const countByPeriod = async (Model, filter) => {
+    const now = Date.now();
+
+    const result = await Model.aggregate([
+        {
+            $match: filter,
+        },
+        {
+            $group: {
+                _id: null,
+                total: { $sum: 1 },
+                ...Object.fromEntries(
+                    PERIODS.map((days) => [
+                        `last${days}Days`,
+                        {
+                            $sum: {
+                                $cond: [{ $gte: ["$createdAt", new Date(now - days * 24 * 60 * 60 * 1000)] }, 1, 0],
+                            },
+                        },
+                    ])
+                ),
+            },
+        },
+        {
+            $project: { _id: 0 },
+        },
+    ]);
+
+    return result[0] || { total: 0, ...Object.fromEntries(PERIODS.map((days) => [`last${days}Days`, 0])) };
+};
+
+// get stats of the logged in user's channel, including unpublished videos
+const getChannelStats = asyncHandler(async (req, res) => {
+    const channelId = req.user._id;
+
+    const [views, subscribers, videos] = await Promise.all([
+        countByPeriod(View, { channel: channelId }),
+        countByPeriod(Subscription, { channel: channelId }),
+        Video.aggregate([
+            // Match all videos of the channel, drafts included
+            {
+                $match: {
+                    owner: channelId,
+                },
+            },
+            {
+                $sort: { createdAt: -1 },
+            },
+            // Lookup to count likes
+            {
+                $lookup: {
+                    from: "likes",
+                    localField: "_id",
+                    foreignField: "target",
+                    as: "likes",
+                    pipeline: [
+                        {
+                            $match: { targetType: "Video", reaction: "like" },
+                        },
+                        {
+                            $count: "total",
+                        },
+                    ],
+                },
+            },
+            // Lookup to count comments
+            {
+                $lookup: {
+                    from: "comments",
+                    localField: "_id",
+                    foreignField: "video",
+                    as: "comments",
+                    pipeline: [
+                        {
+                            $count: "total",
+                        },
+                    ],
+                },
+            },
+            // Project per video stats
+            {
+                $project: {
+                    _id: 1,
+                    title: 1,
+                    thumbnail: 1,
+                    duration: 1,
+                    views: 1,
+                    isPublished: 1,
+                    createdAt: 1,
+                    likesCount: { $ifNull: [{ $arrayElemAt: ["$likes.total", 0] }, 0] },
+                    commentsCount: { $ifNull: [{ $arrayElemAt: ["$comments.total", 0] }, 0] },
+                },
+            },
+        ]),
+    ]);
+
+    // include views that are counted but not yet flushed to the videos
+    videos.forEach((video) => {
+        video.views += getPendingViews(video._id);
+    });
+
+    const stats = {
+        totalVideos: videos.length,
+        publishedVideos: videos.filter((video) => video.isPublished).length,
+        // same source as the views of each video, the views collection only feeds the periods
+        totalViews: videos.reduce((sum, video) => sum + video.views, 0),
+        totalLikes: videos.reduce((sum, video) => sum + video.likesCount, 0),
+        subscribersCount: subscribers.total,
+        viewsGained: Object.fromEntries(PERIODS.map((days) => [`last${days}Days`, views[`last${days}Days`]])),
+        subscribersGained: Object.fromEntries(
+            PERIODS.map((days) => [`last${days}Days`, subscribers[`last${days}Days`]])
+        ),
+        videos,
+    };
+
+    return res.status(200).json(new apiRes(200, { stats }, "Channel stats fetched successfully"));
+});
+
+export { getChannelStats };
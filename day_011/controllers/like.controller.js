@@ -0,0 +1,221 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import asyncHandler from "../utils/asyncHandler.js";
+import Like from "../models/like.model.js";
+import Video from "../models/video.model.js";
+import Comment from "../models/comment.model.js";
+import apiError from "../utils/apiError.js";
+import apiRes from "../utils/apiRes.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { likeStatsStages } from "../utils/likeStats.js";
+
+const REACTIONS = ["like", "dislike"];
+
+// like / dislike a document, or remove the reaction if it is the same as before
+const toggleReaction = async ({ targetType, target, userId, reaction }) => {
+    const filter = { likedBy: userId, targetType, target };
+    const existing = await Like.findOne(filter);
+
+    // same reaction again -> remove it
+    if (existing && existing.reaction === reaction) {
+        await Like.deleteOne({ _id: existing._id });
+        return null;
+    }
+
+    // new reaction or switching between like and dislike
+    try {
+        await Like.updateOne(filter, { $set: { reaction } }, { upsert: true });
+    } catch (error) {
+        // duplicate key means a parallel request already reacted
+        if (error.code !== 11000) throw error;
+    }
+
+    return reaction;
+};
+
+// read the reaction from body or query, defaults to like
+const getReaction = (req) => {
+    const reaction = req.body?.reaction || req.query.reaction || "like";
+    if (!REACTIONS.includes(reaction)) {
+        throw new apiError(400, `Invalid reaction. Allowed: ${REACTIONS.join(", ")}`, ["reaction"]);
+    }
+    return reaction;
+};
+
+// make sure the video exists and can be seen by the user
+const findVisibleVideo = async (videoId, userId) => {
+    if (!isValidObjectId(videoId)) {
+        throw new apiError(400, "Invalid video id", ["videoId"]);
+    }
+
+    const video = await Video.findById(videoId).select("_id isPublished owner");
+    if (!video || (!video.isPublished && !video.owner?.equals(userId))) {
+        throw new apiError(404, "Video not found");
+    }
+
+    return video;
+};
+
+// like / dislike a video
+const toggleVideoLike = asyncHandler(async (req, res) => {
+    const reaction = getReaction(req);
+    const video = await findVisibleVideo(req.params.videoId, req.user._id);
+
+    const current = await toggleReaction({
+        targetType: "Video",
+        target: video._id,
+        userId: req.user._id,
+        reaction,
+    });
+
+    return res
+        .status(200)
+        .json(
+            new apiRes(
+                200,
+                { isLiked: current === "like", isDisliked: current === "dislike" },
+                current ? `Video ${current}d successfully` : "Reaction removed successfully"
+            )
+        );
+});
+
+// like / dislike a comment
+const toggleCommentLike = asyncHandler(async (req, res) => {
+    const reaction = getReaction(req);
+    const { commentId } = req.params;
+
+    if (!isValidObjectId(commentId)) {
+        throw new apiError(400, "Invalid comment id", ["commentId"]);
+    }
+
+    const comment = await Comment.findById(commentId).select("_id video");
+    if (!comment) {
+        throw new apiError(404, "Comment not found");
+    }
+    await findVisibleVideo(comment.video, req.user._id);
+
+    const current = await toggleReaction({
+        targetType: "Comment",
+        target: comment._id,
+        userId: req.user._id,
+        reaction,
+    });
+
+    return res
+        .status(200)
+        .json(
+            new apiRes(
+                200,
+                { isLiked: current === "like", isDisliked: current === "dislike" },
+                current ? `Comment ${current}d successfully` : "Reaction removed successfully"
+            )
+        );
+});
+
+// get like / dislike counts of a video
+const getVideoLikes = asyncHandler(async (req, res) => {
+    const video = await findVisibleVideo(req.params.videoId, req.user._id);
+
+    const stats = await Video.aggregate([
+        {
+            $match: { _id: video._id },
+        },
+        ...likeStatsStages("Video", req.user._id),
+        {
+            $project: {
+                _id: 1,
+                likesCount: 1,
+                dislikesCount: 1,
+                isLiked: 1,
+                isDisliked: 1,
+            },
+        },
+    ]);
+
+    return res.status(200).json(new apiRes(200, stats[0], "Video likes fetched successfully"));
+});
+
+// get videos liked by the logged in user with pagination
+const getLikedVideos = asyncHandler(async (req, res) => {
+    const aggregate = Like.aggregate([
+        // Match likes of this user on videos
+        {
+            $match: {
+                likedBy: new mongoose.Types.ObjectId(req.user._id),
+                targetType: "Video",
+                reaction: "like",
+            },
+        },
+        // Most recently liked first
+        {
+            $sort: { createdAt: -1, _id: -1 },
+        },
+        // Lookup the liked video along with its owner
+        {
+            $lookup: {
+                from: "videos",
+                localField: "target",
+                foreignField: "_id",
+                as: "video",
+                pipeline: [
+                    {
+                        $match: { isPublished: true },
+                    },
+                    {
+                        $lookup: {
+                            from: "users",
+                            localField: "owner",
+                            foreignField: "_id",
+                            as: "owner",
+                            pipeline: [
+                                {
+                                    $project: {
+                                        _id: 1,
+                                        userName: 1,
+                                        fullName: 1,
+                                        avatar: 1,
+                                    },
+                                },
+                            ],
+                        },
+                    },
+                    {
+                        $addFields: {
+                            owner: { $first: "$owner" },
+                        },
+                    },
+                    {
+                        $project: {
+                            _id: 1,
+                            title: 1,
+                            thumbnail: 1,
+                            duration: 1,
+                            views: 1,
+                            owner: 1,
+                            createdAt: 1,
+                        },
+                    },
+                ],
+            },
+        },
+        // Drop likes of deleted or unpublished videos
+        {
+            $unwind: "$video",
+        },
+        {
+            $project: {
+                _id: 0,
+                video: 1,
+                likedAt: "$createdAt",
+            },
+        },
+    ]);
+
+    const likedVideos = await Like.aggregatePaginate(
+        aggregate,
+        getPaginationOptions(req.query, { docs: "likedVideos" })
+    );
+
+    return res.status(200).json(new apiRes(200, likedVideos, "Liked videos fetched successfully"));
+});
+
+export { toggleVideoLike, toggleCommentLike, getVideoLikes, getLikedVideos };
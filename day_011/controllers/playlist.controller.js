@@ -0,0 +1,358 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import asyncHandler from "../utils/asyncHandler.js";
+import Playlist from "../models/playlist.model.js";
+import Video from "../models/video.model.js";
+import User from "../models/user.model.js";
+import apiError from "../utils/apiError.js";
+import apiRes from "../utils/apiRes.js";
+
+const VISIBILITIES = ["public", "unlisted", "private"];
+
+// check name, description and visibility, only validates fields that are present
+const validatePlaylist = ({ name, description, visibility }) => {
+    if (name !== undefined && (typeof name !== "string" || !name.trim() || name.trim().length > 100)) {
+        throw new apiError(400, "Playlist name must be 1-100 characters", ["name"]);
+    }
+
+    if (description !== undefined && (typeof description !== "string" || description.trim().length > 1000)) {
+        throw new apiError(400, "Playlist description cannot be longer than 1000 characters", ["description"]);
+    }
+
+    if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+        throw new apiError(400, `Invalid visibility. Allowed: ${VISIBILITIES.join(", ")}`, ["visibility"]);
+    }
+};
+
+// find a playlist by id and make sure the logged in user owns it
+const findOwnedPlaylist = async (playlistId, userId) => {
+    if (!isValidObjectId(playlistId)) {
+        throw new apiError(400, "Invalid playlist id", ["playlistId"]);
+    }
+
+    const playlist = await Playlist.findById(playlistId);
+    if (!playlist) {
+        throw new apiError(404, "Playlist not found");
+    }
+
+    if (!playlist.owner.equals(userId)) {
+        throw new apiError(403, "You are not allowed to modify this playlist");
+    }
+
+    return playlist;
+};
+
+// create a new playlist
+const createPlaylist = asyncHandler(async (req, res) => {
+    const { name, description, visibility } = req.body;
+
+    if (name === undefined) {
+        throw new apiError(400, "Playlist name is required", ["name"]);
+    }
+
+    validatePlaylist({ name, description, visibility });
+
+    const playlist = await Playlist.create({
+        name: name.trim(),
+        description: description?.trim() || "",
+        visibility,
+        owner: req.user._id,
+    });
+
+    return res.status(201).json(new apiRes(201, { playlist }, "Playlist created successfully"));
+});
+
+// get a playlist with its video cards (in playlist order)
+const getPlaylistById = asyncHandler(async (req, res) => {
+    const { playlistId } = req.params;
+    const userId = req.user._id;
+
+    if (!isValidObjectId(playlistId)) {
+        throw new apiError(400, "Invalid playlist id", ["playlistId"]);
+    }
+
+    const playlist = await Playlist.aggregate([
+        // Match the playlist by id
+        {
+            $match: {
+                _id: new mongoose.Types.ObjectId(playlistId),
+            },
+        },
+        // Lookup the owner of the playlist
+        {
+            $lookup: {
+                from: "users",
+                localField: "owner",
+                foreignField: "_id",
+                as: "owner",
+                pipeline: [
+                    {
+                        $project: {
+                            _id: 1,
+                            userName: 1,
+                            fullName: 1,
+                            avatar: 1,
+                        },
+                    },
+                ],
+            },
+        },
+        {
+            $addFields: {
+                owner: { $first: "$owner" },
+            },
+        },
+        // Lookup the videos of the playlist
+        {
+            $lookup: {
+                from: "videos",
+                localField: "videos",
+                foreignField: "_id",
+                as: "videoDocs",
+                pipeline: [
+                    // Hide unpublished videos, unless they belong to the viewer
+                    {
+                        $match: {
+                            $or: [{ isPublished: true }, { owner: userId }],
+                        },
+                    },
+                    // Project the same fields as channel video cards
+                    {
+                        $project: {
+                            _id: 1,
+                            title: 1,
+                            thumbnail: 1,
+                            duration: 1,
+                            views: 1,
+                            createdAt: 1,
+                        },
+                    },
+                ],
+            },
+        },
+        // $lookup does not keep the order, so map the stored ids back to the video cards
+        {
+            $addFields: {
+                videos: {
+                    $filter: {
+                        input: {
+                            $map: {
+                                input: "$videos",
+                                as: "videoId",
+                                in: {
+                                    $first: {
+                                        $filter: {
+                                            input: "$videoDocs",
+                                            cond: { $eq: ["$$this._id", "$$videoId"] },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                        cond: { $ne: ["$$this", null] },
+                    },
+                },
+            },
+        },
+        {
+            $addFields: {
+                videoCount: { $size: "$videos" },
+                totalDuration: { $sum: "$videos.duration" },
+            },
+        },
+        {
+            $project: {
+                videoDocs: 0,
+            },
+        },
+    ]);
+
+    // Private playlists are only visible to their owner
+    if (
+        !playlist ||
+        playlist.length === 0 ||
+        (playlist[0].visibility === "private" && !playlist[0].owner?._id.equals(userId))
+    ) {
+        throw new apiError(404, "Playlist not found");
+    }
+
+    return res.status(200).json(new apiRes(200, { playlist: playlist[0] }, "Playlist fetched successfully"));
+});
+
+// get playlists of a user, others only see public ones
+const getUserPlaylists = asyncHandler(async (req, res) => {
+    const { userName } = req.params;
+
+    const user = await User.findOne({ userName: userName.toLowerCase() }).select("_id");
+    if (!user) {
+        throw new apiError(404, "Channel not found");
+    }
+
+    const isOwner = user._id.equals(req.user._id);
+
+    const playlists = await Playlist.aggregate([
+        // Match playlists of the user
+        {
+            $match: {
+                owner: user._id,
+                ...(!isOwner && { visibility: "public" }),
+            },
+        },
+        {
+            $sort: { updatedAt: -1 },
+        },
+        // Lookup visible videos to count them and pick a cover thumbnail
+        {
+            $lookup: {
+                from: "videos",
+                localField: "videos",
+                foreignField: "_id",
+                as: "publishedVideos",
+                pipeline: [
+                    {
+                        $match: {
+                            $or: [{ isPublished: true }, { owner: req.user._id }],
+                        },
+                    },
+                    {
+                        $project: { _id: 1, thumbnail: 1 },
+                    },
+                ],
+            },
+        },
+        {
+            $project: {
+                _id: 1,
+                name: 1,
+                description: 1,
+                visibility: 1,
+                createdAt: 1,
+                updatedAt: 1,
+                videoCount: { $size: "$publishedVideos" },
+                thumbnail: { $first: "$publishedVideos.thumbnail" },
+            },
+        },
+    ]);
+
+    return res.status(200).json(new apiRes(200, { playlists }, "User playlists fetched successfully"));
+});
+
+// update name, description or visibility
+const updatePlaylist = asyncHandler(async (req, res) => {
+    const { name, description, visibility } = req.body;
+
+    if (name === undefined && description === undefined && visibility === undefined) {
+        throw new apiError(400, "Nothing to update", ["name", "description", "visibility"]);
+    }
+
+    validatePlaylist({ name, description, visibility });
+
+    const playlist = await findOwnedPlaylist(req.params.playlistId, req.user._id);
+
+    playlist.name = name !== undefined ? name.trim() : playlist.name;
+    playlist.description = description !== undefined ? description.trim() : playlist.description;
+    playlist.visibility = visibility || playlist.visibility;
+    await playlist.save();
+
+    return res.status(200).json(new apiRes(200, { playlist }, "Playlist updated successfully"));
+});
+
+// delete a playlist (videos are not touched)
+const deletePlaylist = asyncHandler(async (req, res) => {
+    const playlist = await findOwnedPlaylist(req.params.playlistId, req.user._id);
+
+    await Playlist.findByIdAndDelete(playlist._id);
+
+    return res.status(200).json(new apiRes(200, null, "Playlist deleted successfully"));
+});
+
+// add a video at the end of the playlist
+const addVideoToPlaylist = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+    const playlist = await findOwnedPlaylist(req.params.playlistId, req.user._id);
+
+    if (!isValidObjectId(videoId)) {
+        throw new apiError(400, "Invalid video id", ["videoId"]);
+    }
+
+    const video = await Video.findById(videoId).select("_id isPublished owner");
+    if (!video || (!video.isPublished && !video.owner?.equals(req.user._id))) {
+        throw new apiError(404, "Video not found");
+    }
+
+    // only push when the video is not in the playlist yet
+    const result = await Playlist.updateOne(
+        { _id: playlist._id, videos: { $ne: video._id } },
+        { $push: { videos: video._id } }
+    );
+
+    if (result.modifiedCount === 0) {
+        throw new apiError(409, "Video is already in the playlist", ["videoId"]);
+    }
+
+    const updatedPlaylist = await Playlist.findById(playlist._id);
+
+    return res.status(200).json(new apiRes(200, { playlist: updatedPlaylist }, "Video added to playlist"));
+});
+
+// remove a video from the playlist
+const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+    const playlist = await findOwnedPlaylist(req.params.playlistId, req.user._id);
+
+    if (!isValidObjectId(videoId)) {
+        throw new apiError(400, "Invalid video id", ["videoId"]);
+    }
+
+    const result = await Playlist.updateOne({ _id: playlist._id }, { $pull: { videos: videoId } });
+
+    if (result.modifiedCount === 0) {
+        throw new apiError(404, "Video not found in playlist", ["videoId"]);
+    }
+
+    const updatedPlaylist = await Playlist.findById(playlist._id);
+
+    return res.status(200).json(new apiRes(200, { playlist: updatedPlaylist }, "Video removed from playlist"));
+});
+
+// reorder videos, body: { "videoIds": [...] } with the same videos in the new order
+const reorderPlaylistVideos = asyncHandler(async (req, res) => {
+    const { videoIds } = req.body;
+    const playlist = await findOwnedPlaylist(req.params.playlistId, req.user._id);
+
+    if (!Array.isArray(videoIds) || !videoIds.every((id) => isValidObjectId(id))) {
+        throw new apiError(400, "videoIds must be an array of video ids", ["videoIds"]);
+    }
+
+    // the new order must contain exactly the videos already in the playlist
+    const current = playlist.videos.map(String);
+    const next = videoIds.map(String);
+    if (
+        next.length !== current.length ||
+        new Set(next).size !== next.length ||
+        !next.every((id) => current.includes(id))
+    ) {
+        throw new apiError(400, "videoIds must contain every video of the playlist exactly once", ["videoIds"]);
+    }
+
+    // only update if the playlist did not change since it was read
+    const result = await Playlist.updateOne({ _id: playlist._id, videos: playlist.videos }, { $set: { videos: next } });
+
+    if (result.matchedCount === 0) {
+        throw new apiError(409, "Playlist was changed by another request, please try again");
+    }
+
+    const updatedPlaylist = await Playlist.findById(playlist._id);
+
+    return res.status(200).json(new apiRes(200, { playlist: updatedPlaylist }, "Playlist reordered successfully"));
+});
+
+export {
+    createPlaylist,
+    getPlaylistById,
+    getUserPlaylists,
+    updatePlaylist,
+    deletePlaylist,
+    addVideoToPlaylist,
+    removeVideoFromPlaylist,
+    reorderPlaylistVideos,
+};
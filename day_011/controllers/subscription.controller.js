@@ -0,0 +1,110 @@
+import { isValidObjectId } from "mongoose";
+import asyncHandler from "../utils/asyncHandler.js";
+import Subscription from "../models/subscription.model.js";
+import User from "../models/user.model.js";
+import apiError from "../utils/apiError.js";
+import apiRes from "../utils/apiRes.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+
+// make sure the channel id is valid and the channel exists
+const findChannel = async (channelId) => {
+    if (!isValidObjectId(channelId)) {
+        throw new apiError(400, "Invalid channel id", ["channelId"]);
+    }
+
+    const channel = await User.findById(channelId).select("_id userName");
+    if (!channel) {
+        throw new apiError(404, "Channel not found");
+    }
+
+    return channel;
+};
+
+// subscribe to a channel, or unsubscribe if already subscribed
+const toggleSubscription = asyncHandler(async (req, res) => {
+    const { channelId } = req.params;
+    const channel = await findChannel(channelId);
+
+    // a user cannot subscribe to their own channel
+    if (channel._id.equals(req.user._id)) {
+        throw new apiError(400, "You cannot subscribe to your own channel", ["channelId"]);
+    }
+
+    const existing = await Subscription.findOneAndDelete({
+        subscriber: req.user._id,
+        channel: channel._id,
+    });
+
+    if (existing) {
+        return res.status(200).json(new apiRes(200, { isSubscribed: false }, "Unsubscribed successfully"));
+    }
+
+    try {
+        await Subscription.create({ subscriber: req.user._id, channel: channel._id });
+    } catch (error) {
+        // duplicate key means a parallel request already subscribed
+        if (error.code !== 11000) throw error;
+    }
+
+    return res.status(200).json(new apiRes(200, { isSubscribed: true }, "Subscribed successfully"));
+});
+
+// get subscribers of a channel with pagination
+const getChannelSubscribers = asyncHandler(async (req, res) => {
+    const { channelId } = req.params;
+    const channel = await findChannel(channelId);
+
+    const aggregate = Subscription.aggregate([
+        // Match subscriptions of this channel
+        {
+            $match: {
+                channel: channel._id,
+            },
+        },
+        // Newest subscribers first
+        {
+            $sort: { createdAt: -1, _id: -1 },
+        },
+        // Lookup subscriber details
+        {
+            $lookup: {
+                from: "users",
+                localField: "subscriber",
+                foreignField: "_id",
+                as: "subscriber",
+                pipeline: [
+                    {
+                        $project: {
+                            _id: 1,
+                            userName: 1,
+                            fullName: 1,
+                            avatar: 1,
+                        },
+                    },
+                ],
+            },
+        },
+        {
+            $unwind: "$subscriber",
+        },
+        // Project only needed fields
+        {
+            $project: {
+                _id: "$subscriber._id",
+                userName: "$subscriber.userName",
+                fullName: "$subscriber.fullName",
+                avatar: "$subscriber.avatar",
+                subscribedSince: "$createdAt",
+            },
+        },
+    ]);
+
+    const subscribers = await Subscription.aggregatePaginate(
+        aggregate,
+        getPaginationOptions(req.query, { docs: "subscribers" })
+    );
+
+    return res.status(200).json(new apiRes(200, subscribers, "Channel subscribers fetched successfully"));
+});
+
+export { toggleSubscription, getChannelSubscribers };
@@ -0,0 +1,278 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { isValidObjectId } from "mongoose";
+import asyncHandler from "../utils/asyncHandler.js";
+import Upload from "../models/upload.model.js";
+import apiError from "../utils/apiError.js";
+import apiRes from "../utils/apiRes.js";
+import { detectFileType, isSameFileType } from "../utils/fileType.js";
+import { createVideo } from "../utils/videoPublishing.js";
+import {
+    CHUNKS_DIR,
+    VIDEO_EXTENSIONS,
+    getChunkPath,
+    getAssembledPath,
+    getUploadLimits,
+    removeUpload,
+} from "../utils/uploadCleanup.js";
+
+const VIDEO_TYPES = Object.keys(VIDEO_EXTENSIONS);
+const CHECKSUM_ALGORITHMS = ["sha1", "sha256", "md5"];
+
+// a request writing a chunk holds the upload at most this long
+const LOCK_MS = 5 * 60 * 1000;
+
+// what the client needs to resume an upload
+const uploadStatus = (upload) => ({
+    _id: upload._id,
+    filename: upload.filename,
+    size: upload.size,
+    offset: upload.offset,
+    status: upload.status,
+    expiresAt: upload.expiresAt,
+    maxChunkBytes: getUploadLimits().maxChunkBytes,
+});
+
+// find an upload of the logged in user
+const findOwnedUpload = async (uploadId, userId) => {
+    if (!isValidObjectId(uploadId)) {
+        throw new apiError(400, "Invalid upload id", ["uploadId"]);
+    }
+
+    const upload = await Upload.findOne({ _id: uploadId, owner: userId });
+    if (!upload || upload.expiresAt <= new Date()) {
+        throw new apiError(404, "Upload not found or expired");
+    }
+
+    return upload;
+};
+
+// read the raw request body, at most maxBytes
+const readChunk = async (req, maxBytes) => {
+    const parts = [];
+    let length = 0;
+
+    for await (const part of req) {
+        length += part.length;
+        if (length > maxBytes) {
+            throw new apiError(413, `Chunks can't be larger than ${maxBytes} bytes`, ["chunk"]);
+        }
+        parts.push(part);
+    }
+
+    return Buffer.concat(parts, length);
+};
+
+// check the Upload-Checksum header, e.g. "sha256 <base64 digest>"
+const verifyChecksum = (header, chunk) => {
+    const [algorithm, digest] = String(header || "").split(" ");
+
+    if (!CHECKSUM_ALGORITHMS.includes(algorithm) || !digest) {
+        throw new apiError(
+            400,
+            `Upload-Checksum must be "<algorithm> <base64 digest>" (${CHECKSUM_ALGORITHMS.join(", ")})`,
+            ["Upload-Checksum"]
+        );
+    }
+
+    if (crypto.createHash(algorithm).update(chunk).digest("base64") !== digest) {
+        throw new apiError(400, "Chunk checksum does not match, please send the chunk again", ["Upload-Checksum"]);
+    }
+};
+
+// start an upload, body: { "filename", "size", "mimetype", "title", "desc", "isPublished" }
+const createUpload = asyncHandler(async (req, res) => {
+    const { filename, size, mimetype, title, desc, isPublished } = req.body;
+    const { maxFileBytes, expiryMs } = getUploadLimits();
+
+    if (!filename || !title?.trim() || !desc?.trim()) {
+        throw new apiError(400, "Please provide all required fields", [
+            ...(!filename ? ["filename"] : []),
+            ...(!title?.trim() ? ["title"] : []),
+            ...(!desc?.trim() ? ["desc"] : []),
+        ]);
+    }
+
+    if (!VIDEO_TYPES.includes(mimetype)) {
+        throw new apiError(400, `Unsupported file format. Allowed: ${VIDEO_TYPES.join(", ")}`, ["mimetype"]);
+    }
+
+    if (!Number.isInteger(size) || size <= 0 || size > maxFileBytes) {
+        throw new apiError(400, `size must be between 1 and ${maxFileBytes} bytes`, ["size"]);
+    }
+
+    const upload = await Upload.create({
+        owner: req.user._id,
+        filename: path.basename(String(filename)),
+        mimetype,
+        size,
+        title: title.trim(),
+        desc: desc.trim(),
+        isPublished: isPublished === undefined ? true : String(isPublished) === "true",
+        expiresAt: new Date(Date.now() + expiryMs),
+    });
+
+    // the chunks are appended to an empty file, outside uploads/temp which is cleared on startup
+    await fs.mkdir(CHUNKS_DIR, { recursive: true });
+    await fs.writeFile(getChunkPath(upload), "");
+
+    res.set("Upload-Offset", "0");
+    return res.status(201).json(new apiRes(201, { upload: uploadStatus(upload) }, "Upload created successfully"));
+});
+
+// current offset of an upload, to resume after a lost connection
+const getUploadStatus = asyncHandler(async (req, res) => {
+    const upload = await findOwnedUpload(req.params.uploadId, req.user._id);
+
+    res.set("Upload-Offset", String(upload.offset));
+    return res.status(200).json(new apiRes(200, { upload: uploadStatus(upload) }, "Upload fetched successfully"));
+});
+
+// append a chunk, raw body with the headers Upload-Offset and Upload-Checksum
+const appendChunk = asyncHandler(async (req, res) => {
+    const offset = Number(req.headers["upload-offset"]);
+    const { maxChunkBytes, expiryMs } = getUploadLimits();
+
+    if (!Number.isInteger(offset) || offset < 0) {
+        throw new apiError(400, "Upload-Offset header is required", ["Upload-Offset"]);
+    }
+
+    let upload = await findOwnedUpload(req.params.uploadId, req.user._id);
+
+    // check the offset before reading the whole chunk
+    if (upload.offset !== offset) {
+        res.set("Upload-Offset", String(upload.offset));
+        const error = new apiError(409, "Upload-Offset does not match the upload, resume from the current offset", [
+            "Upload-Offset",
+        ]);
+        error.data = { offset: upload.offset };
+        throw error;
+    }
+
+    const chunk = await readChunk(req, maxChunkBytes);
+    verifyChecksum(req.headers["upload-checksum"], chunk);
+
+    if (chunk.length === 0 || offset + chunk.length > upload.size) {
+        throw new apiError(400, "Chunk is empty or goes past the size of the file", ["chunk"]);
+    }
+
+    // hold the upload while writing, so two requests can't append at the same offset
+    const now = new Date();
+    upload = await Upload.findOneAndUpdate(
+        {
+            _id: upload._id,
+            offset,
+            status: "uploading",
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+        },
+        { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+        { new: true }
+    );
+
+    if (!upload) {
+        throw new apiError(409, "Another request is writing to this upload, please check the offset and try again");
+    }
+
+    try {
+        // drop bytes of a write that failed halfway, then append
+        const chunkPath = getChunkPath(upload);
+        await fs.truncate(chunkPath, offset);
+        await fs.appendFile(chunkPath, chunk);
+    } catch (error) {
+        await Upload.updateOne({ _id: upload._id }, { $set: { lockedUntil: null } });
+        throw error;
+    }
+
+    upload = await Upload.findByIdAndUpdate(
+        upload._id,
+        {
+            $set: { lockedUntil: null, expiresAt: new Date(Date.now() + expiryMs) },
+            $inc: { offset: chunk.length },
+        },
+        { new: true }
+    );
+
+    res.set("Upload-Offset", String(upload.offset));
+    return res.status(200).json(new apiRes(200, { upload: uploadStatus(upload) }, "Chunk uploaded successfully"));
+});
+
+// create the video once every byte is there, multipart form with an optional "thumbnail" image
+const completeUpload = asyncHandler(async (req, res) => {
+    let upload = await findOwnedUpload(req.params.uploadId, req.user._id);
+
+    if (upload.offset !== upload.size) {
+        const error = new apiError(400, "Upload is not finished yet", ["offset"]);
+        error.data = { offset: upload.offset, size: upload.size };
+        throw error;
+    }
+
+    // only one request can complete an upload, a completion that crashed can be retried once its lock expired
+    const now = new Date();
+    upload = await Upload.findOneAndUpdate(
+        {
+            _id: upload._id,
+            status: { $in: ["uploading", "completing"] },
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+        },
+        { $set: { status: "completing", lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+        { new: true }
+    );
+
+    if (!upload) {
+        throw new apiError(409, "Upload is already being completed");
+    }
+
+    const chunkPath = getChunkPath(upload);
+    const videoPath = getAssembledPath(upload);
+
+    try {
+        // a crashed completion may have renamed the file already
+        await fs.rename(videoPath, chunkPath).catch((error) => {
+            if (error.code !== "ENOENT") throw error;
+        });
+
+        // the assembled file has to really be the video type that was announced
+        const detected = await detectFileType(chunkPath);
+        if (!detected || !VIDEO_TYPES.includes(detected) || !isSameFileType(upload.mimetype, detected)) {
+            await removeUpload(upload);
+            throw new apiError(400, `File content does not match ${upload.mimetype}, the upload was discarded`, [
+                "videoFile",
+            ]);
+        }
+
+        // the file goes on to the processing job, it is moved back if the hand-off fails so it can be retried
+        await fs.rename(chunkPath, videoPath);
+        const video = await createVideo({
+            videoPath,
+            thumbnailPath: req.file?.path,
+            title: upload.title,
+            desc: upload.desc,
+            isPublished: upload.isPublished,
+            owner: req.user._id,
+        });
+
+        await removeUpload(upload);
+
+        return res.status(201).json(new apiRes(201, { video }, "Video uploaded successfully, processing started"));
+    } catch (error) {
+        await fs.rename(videoPath, chunkPath).catch(() => null);
+        await Upload.updateOne({ _id: upload._id }, { $set: { status: "uploading", lockedUntil: null } });
+        throw error;
+    }
+});
+
+// abort an upload and delete the received bytes
+const cancelUpload = asyncHandler(async (req, res) => {
+    const upload = await findOwnedUpload(req.params.uploadId, req.user._id);
+
+    if (upload.status === "completing" && upload.lockedUntil > new Date()) {
+        throw new apiError(409, "Upload is being completed and can't be cancelled");
+    }
+
+    await removeUpload(upload);
+
+    return res.status(200).json(new apiRes(200, null, "Upload cancelled successfully"));
+});
+
+export { createUpload, getUploadStatus, appendChunk, completeUpload, cancelUpload };
@@ -1,9 +1,124 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import jwt from "jsonwebtoken";
+import crypto from "crypto";
 import asyncHandler from "../utils/asyncHandler.js";
 import User from "../models/user.model.js";
+import Video from "../models/video.model.js";
+import Session from "../models/session.model.js";
+import SecurityEvent from "../models/securityEvent.model.js";
 import apiError from "../utils/apiError.js";
 import apiRes from "../utils/apiRes.js";
-import { uploadToCloudinary, deleteFromCloudinary } from "../utils/cloudinary.js";
+import { processImage, addDeferredVariants, deleteImageVariants } from "../utils/imageProcessing.js";
 import { ValidateUser } from "../utils/validation.js";
+import { sendVerificationEmail, sendPasswordResetEmail, sendTokenReuseEmail } from "../utils/authEmails.js";
+import { hashToken } from "../utils/tokenHash.js";
+import { generateTotpSecret, buildOtpAuthUri, verifyTotp } from "../utils/totp.js";
+import { assertNotBanned } from "../utils/ban.js";
+import { accountKey, ipKey, assertNotLocked, recordLoginFailure, resetLoginFailures } from "../utils/loginThrottle.js";
+import { scheduleAccountDeletion, purgeAccount } from "../utils/accountDeletion.js";
+import { getPendingViews } from "../utils/viewCounter.js";
+
+// fields that must never be sent to the client
+const SENSITIVE_FIELDS = [
+    "password",
+    "refreshToken",
+    "emailVerificationToken",
+    "emailVerificationExpiry",
+    "emailVerificationSentAt",
+    "passwordResetToken",
+    "passwordResetExpiry",
+    "twoFactorSecret",
+    "twoFactorPendingSecret",
+    "twoFactorRecoveryCodes",
+    "twoFactorLastUsedStep",
+];
+
+// convert a user document to a plain object without sensitive fields
+const toSafeUser = (user) => {
+    const userData = user.toObject();
+    SENSITIVE_FIELDS.forEach((field) => delete userData[field]);
+    return userData;
+};
+
+// options shared by the auth cookies
+const authCookieOptions = {
+    httpOnly: true,
+    secure: true,
+    sameSite: "strict",
+};
+
+// set the access token cookie
+const setAccessTokenCookie = (res, accessToken) => {
+    res.cookie("accessToken", accessToken, {
+        ...authCookieOptions,
+        maxAge: 15 * 60 * 1000, // 15 minutes for access token
+    });
+};
+
+// set access and refresh token cookies
+const setAuthCookies = (res, accessToken, refreshToken) => {
+    setAccessTokenCookie(res, accessToken);
+
+    res.cookie("refreshToken", refreshToken, {
+        ...authCookieOptions,
+        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days for refresh token
+    });
+};
+
+// clear access and refresh token cookies
+const clearAuthCookies = (res) => {
+    res.cookie("accessToken", "", { ...authCookieOptions, maxAge: 0 });
+    res.cookie("refreshToken", "", { ...authCookieOptions, maxAge: 0 });
+};
+
+// create a session for the device making the request and set the token cookies
+const startSession = async (req, res, user) => {
+    const session = new Session({
+        user: user._id,
+        userAgent: req.headers["user-agent"] || "",
+        ip: req.ip || "",
+    });
+
+    const refreshToken = user.generateRefreshToken(session._id);
+    session.refreshTokenHash = hashToken(refreshToken);
+    session.expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+    await session.save();
+
+    setAuthCookies(res, user.generateJwtToken(session._id), refreshToken);
+
+    return session;
+};
+
+// an already rotated refresh token was used again: someone has a copy of it
+// revoke the whole token family (the session), record it and optionally warn the user
+const handleRefreshTokenReuse = async (req, session, decoded) => {
+    await Session.deleteOne({ _id: session._id });
+
+    await SecurityEvent.create({
+        user: session.user,
+        type: "refresh_token_reuse",
+        ip: req.ip || "",
+        userAgent: req.headers["user-agent"] || "",
+        details: {
+            session: session._id,
+            tokenGeneration: decoded.gen,
+            currentGeneration: session.generation,
+            sessionUserAgent: session.userAgent,
+            sessionIp: session.ip,
+        },
+    });
+
+    if (process.env.NOTIFY_ON_TOKEN_REUSE === "true") {
+        const user = await User.findById(session.user).select("email fullName");
+        if (user) {
+            try {
+                await sendTokenReuseEmail(user);
+            } catch (error) {
+                console.error("Failed to send token reuse email:", error);
+            }
+        }
+    }
+};
 
 /**
  * Register a new user with profile image uploads
@@ -40,27 +155,18 @@ const registerUser = asyncHandler(async (req, res) => {
         throw new apiError(400, "User already exists", [existingUser.userName === userName ? "userName" : "email"]);
     }
 
-    // Upload avatar to Cloudinary
-    const avatarLocalPath = req.files.avatar[0].path;
-    const avatar = await uploadToCloudinary(
-        avatarLocalPath,
-        "mern-backend/avatars",
-        true // Auto-delete the local file after successful upload
-    );
-
-    if (!avatar) {
-        throw new apiError(500, "Avatar upload failed", ["avatar"]);
-    }
+    // Resize the avatar into its variants and store them
+    const avatar = await processImage(req.files.avatar[0].path, "avatar");
 
-    // Upload cover image if provided
+    // Same for the cover image if provided, the avatar is removed again if this fails
     let coverImage = null;
     if (req.files.coverImage && req.files.coverImage[0]) {
-        const coverImageLocalPath = req.files.coverImage[0].path;
-        coverImage = await uploadToCloudinary(
-            coverImageLocalPath,
-            "mern-backend/covers",
-            true // Auto-delete the local file after successful upload
-        );
+        try {
+            coverImage = await processImage(req.files.coverImage[0].path, "coverImage");
+        } catch (error) {
+            await deleteImageVariants(avatar.variants);
+            throw error;
+        }
     }
 
     // Create user in database
@@ -69,18 +175,29 @@ const registerUser = asyncHandler(async (req, res) => {
         userName,
         email,
         password,
-        avatar: avatar.secure_url,
-        avatarId: avatar.public_id,
+        avatar: avatar.url,
+        avatarId: avatar.id,
+        avatarVariants: avatar.variants,
         ...(coverImage && {
-            coverImage: coverImage.secure_url,
-            coverImageId: coverImage.public_id,
+            coverImage: coverImage.url,
+            coverImageId: coverImage.id,
+            coverImageVariants: coverImage.variants,
         }),
     });
 
-    // Remove password from response
-    const userResponse = user.toObject();
-    delete userResponse.password;
-    delete userResponse.refreshToken;
+    // the avif variants are encoded after the response
+    addDeferredVariants(user._id, "avatar", avatar);
+    addDeferredVariants(user._id, "coverImage", coverImage);
+
+    // Send verification email, registration still succeeds if the mail fails (user can ask for a resend)
+    try {
+        await sendVerificationEmail(user);
+    } catch (error) {
+        console.error("Failed to send verification email:", error);
+    }
+
+    // Remove password and tokens from response
+    const userResponse = toSafeUser(user);
 
     // Send success response using apiRes
     return res.status(201).json(new apiRes(201, { user: userResponse }, "User registered successfully"));
@@ -98,40 +215,71 @@ const loginUser = asyncHandler(async (req, res) => {
         ]);
     }
 
+    // Stop here when this address is locked out
+    await assertNotLocked(res, { ip: ipKey(req.ip) });
+
     // Find user by username or email
     const user = await User.findOne({
         ...(userName ? { userName } : {}),
         ...(email ? { email } : {}),
     });
 
-    if (!user || !(await user.isPasswordMatch(password))) {
+    // Unknown accounts are counted too, so guessing userNames gets locked out the same way
+    const attemptKeys = { account: accountKey(user ? user._id : userName || email), ip: ipKey(req.ip) };
+
+    // A locked account is rejected before the password is even checked
+    await assertNotLocked(res, attemptKeys);
+
+    const isPasswordValid = user ? await user.isPasswordMatch(password) : false;
+
+    if (!user || !isPasswordValid) {
+        await recordLoginFailure(attemptKeys);
+
         throw new apiError(401, "Invalid credentials", [
             ...(!user ? ["userName or email"] : []),
-            ...(user && !(await user.isPasswordMatch(password)) ? ["password"] : []),
+            ...(user && !isPasswordValid ? ["password"] : []),
         ]);
     }
 
-    // Generate tokens
-    const accessToken = user.generateJwtToken();
-    const refreshToken = user.generateRefreshToken();
+    // Correct password, forget the failed attempts of this account
+    // (the ip counter keeps running so one valid account can't be used to reset it)
+    // with 2FA on, only an accepted code resets it, or knowing the password would allow unlimited code guesses
+    if (!user.twoFactorEnabled) {
+        await resetLoginFailures(attemptKeys.account);
+    }
 
-    user.refreshToken = refreshToken;
-    await user.save({ validateBeforeSave: false });
+    // Accounts waiting for deletion have to be restored first
+    if (user.deletion) {
+        const error = new apiError(403, "This account is scheduled for deletion, restore it to log in again", [
+            "deletion",
+        ]);
+        error.data = { deletion: { scheduledFor: user.deletion.scheduledFor } };
+        throw error;
+    }
 
-    // Set both tokens in cookies
-    res.cookie("accessToken", accessToken, {
-        httpOnly: true,
-        secure: true,
-        sameSite: "strict",
-        maxAge: 15 * 60 * 1000, // 15 minutes for access token
-    });
+    // Banned / suspended accounts can't log in
+    assertNotBanned(user);
 
-    res.cookie("refreshToken", refreshToken, {
-        httpOnly: true,
-        secure: true,
-        sameSite: "strict",
-        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days for refresh token
-    });
+    // Block unverified accounts when email verification is required
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === "true" && !user.isEmailVerified) {
+        throw new apiError(403, "Please verify your email before logging in", ["email"]);
+    }
+
+    // With 2FA on, no cookies yet: the client exchanges this challenge plus a code at /login/2fa
+    if (user.twoFactorEnabled) {
+        const challengeToken = jwt.sign(
+            { id: user._id, purpose: "2fa-challenge" },
+            process.env.TWO_FACTOR_CHALLENGE_SECRET || process.env.JWT_SECRET,
+            { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || "5m" }
+        );
+
+        return res
+            .status(200)
+            .json(new apiRes(200, { twoFactorRequired: true, challengeToken }, "Two factor code required"));
+    }
+
+    // Create a session for this device and set both tokens in cookies
+    await startSession(req, res, user);
 
     // Remove sensitive fields before sending response
     const { password: _, refreshToken: __, ...userData } = user.toObject();
@@ -140,27 +288,13 @@ const loginUser = asyncHandler(async (req, res) => {
     return res.status(200).json(new apiRes(200, { user: userData }, "User logged in successfully"));
 });
 
-// logout user
+// logout user (only the current device)
 const logoutUser = asyncHandler(async (req, res) => {
-    const userId = req.user.id;
-
-    // Invalidate refresh token
-    await User.findByIdAndUpdate(userId, { refreshToken: null }, { new: true });
+    // Remove the session of this device, its refresh token stops working
+    await Session.deleteOne({ _id: req.sessionId, user: req.user._id });
 
     // Clear cookies
-    res.cookie("accessToken", "", {
-        httpOnly: true,
-        secure: true,
-        sameSite: "strict",
-        maxAge: 0,
-    });
-
-    res.cookie("refreshToken", "", {
-        httpOnly: true,
-        secure: true,
-        sameSite: "strict",
-        maxAge: 0,
-    });
+    clearAuthCookies(res);
 
     return res.status(200).json(new apiRes(200, null, "User logged out successfully"));
 });
@@ -174,46 +308,79 @@ const generateNewTokens = asyncHandler(async (req, res) => {
         throw new apiError(401, "Refresh token is missing");
     }
 
+    // Verify refresh token with correct secret
+    let decoded;
     try {
-        // Verify refresh token with correct secret
-        const decoded = jwt.verify(refreshTokenFromCookie, process.env.REFRESH_TOKEN_SECRET);
+        decoded = jwt.verify(refreshTokenFromCookie, process.env.REFRESH_TOKEN_SECRET);
+    } catch (error) {
+        throw new apiError(401, "Invalid refresh token");
+    }
 
-        // Find user
-        const user = await User.findById(decoded.id);
-        if (!user || user.refreshToken !== refreshTokenFromCookie) {
-            throw new apiError(401, "Invalid refresh token");
-        }
+    if (!isValidObjectId(decoded.sid)) {
+        throw new apiError(401, "Invalid refresh token");
+    }
 
-        // Generate new tokens
-        const accessToken = user.generateAccessToken();
-        const newRefreshToken = user.generateRefreshToken();
+    // Find the session (token family) of this device
+    const session = await Session.findOne({ _id: decoded.sid, user: decoded.id });
+    if (!session) {
+        throw new apiError(401, "Invalid refresh token");
+    }
 
-        // Save new refresh token in DB
-        user.refreshToken = newRefreshToken;
-        await user.save({ validateBeforeSave: false });
+    // A parallel refresh (two tabs sharing the cookie) may have rotated this token a moment ago
+    const tokenHash = hashToken(refreshTokenFromCookie);
+    const graceMs = (parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS) || 30) * 1000;
+    const isJustRotated =
+        session.previousRefreshTokenHash === tokenHash && session.rotatedAt?.getTime() + graceMs > Date.now();
+
+    // A token signed for this family that is not the current one was already rotated, so it is being replayed
+    if (session.refreshTokenHash !== tokenHash && !isJustRotated) {
+        await handleRefreshTokenReuse(req, session, decoded);
+        clearAuthCookies(res);
+        throw new apiError(401, "Refresh token reuse detected, this session has been logged out");
+    }
 
-        // Set cookies
-        res.cookie("accessToken", accessToken, {
-            httpOnly: true,
-            secure: true,
-            sameSite: "strict",
-            maxAge: 15 * 60 * 1000, // 15 minutes
-        });
+    // Find user
+    const user = await User.findById(decoded.id);
+    if (!user) {
+        await session.deleteOne();
+        throw new apiError(401, "Invalid refresh token");
+    }
 
-        res.cookie("refreshToken", newRefreshToken, {
-            httpOnly: true,
-            secure: true,
-            sameSite: "strict",
-            maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-        });
+    assertNotBanned(user);
+
+    // Generate new tokens
+    const accessToken = user.generateJwtToken(session._id);
+    const newRefreshToken = user.generateRefreshToken(session._id, session.generation + 1);
+
+    // Save new refresh token hash, only if no parallel request rotated it first
+    const result = isJustRotated
+        ? { modifiedCount: 0 }
+        : await Session.updateOne(
+              { _id: session._id, refreshTokenHash: tokenHash },
+              {
+                  $set: {
+                      refreshTokenHash: hashToken(newRefreshToken),
+                      previousRefreshTokenHash: tokenHash,
+                      rotatedAt: new Date(),
+                      generation: session.generation + 1,
+                      lastUsedAt: new Date(),
+                      expiresAt: new Date(jwt.decode(newRefreshToken).exp * 1000),
+                  },
+              }
+          );
+
+    // Set cookies, the request that lost the rotation only gets an access token
+    // (the browser already holds the refresh token of the request that won)
+    if (result.modifiedCount === 0) {
+        setAccessTokenCookie(res, accessToken);
+    } else {
+        setAuthCookies(res, accessToken, newRefreshToken);
+    }
 
-        // Return minimal user info
-        const { password: _, refreshToken: __, ...userData } = user.toObject();
+    // Return minimal user info
+    const userData = toSafeUser(user);
 
-        return res.status(200).json(new apiRes(200, { user: userData }, "Tokens refreshed successfully"));
-    } catch (error) {
-        throw new apiError(401, "Invalid refresh token");
-    }
+    return res.status(200).json(new apiRes(200, { user: userData }, "Tokens refreshed successfully"));
 });
 
 // change the password of user
@@ -274,37 +441,68 @@ const updateUserProfile = asyncHandler(async (req, res) => {
         throw new apiError(404, "User not found");
     }
 
-    if (req.files) {
-        if (req.files.avatar && req.files.avatar[0]) {
-            // delete old avatar from cloudinary
-            if (user.avatarId) {
-                await deleteFromCloudinary(user.avatarId);
+    let avatar = null;
+    let coverImage = null;
+    // images the user pointed to before, deleted only once the new ones are saved
+    const replacedImages = [];
+    let emailChanged = false;
+
+    try {
+        if (req.files) {
+            if (req.files.avatar && req.files.avatar[0]) {
+                avatar = await processImage(req.files.avatar[0].path, "avatar");
+                replacedImages.push({ variants: [...user.avatarVariants], legacyId: user.avatarId });
+
+                user.avatar = avatar.url;
+                user.avatarId = avatar.id;
+                user.avatarVariants = avatar.variants;
             }
-            // upload new avatar
-            const avatar = await uploadToCloudinary(req.files.avatar[0].path);
-            user.avatar = avatar.secure_url;
-            user.avatarId = avatar.public_id;
-        }
 
-        if (req.files.coverImage && req.files.coverImage[0]) {
-            // delete old cover image from cloudinary
-            if (user.coverImageId) {
-                await deleteFromCloudinary(user.coverImageId);
+            if (req.files.coverImage && req.files.coverImage[0]) {
+                coverImage = await processImage(req.files.coverImage[0].path, "coverImage");
+                replacedImages.push({ variants: [...user.coverImageVariants], legacyId: user.coverImageId });
+
+                user.coverImage = coverImage.url;
+                user.coverImageId = coverImage.id;
+                user.coverImageVariants = coverImage.variants;
             }
-            // upload new cover image
-            const coverImage = await uploadToCloudinary(req.files.coverImage[0].path);
-            user.coverImage = coverImage.secure_url;
-            user.coverImageId = coverImage.public_id;
         }
+
+        // Update user profile
+        user.fullName = fullName || user.fullName;
+        user.userName = userName || user.userName;
+        user.email = email || user.email;
+
+        // A new email address has to be verified again
+        emailChanged = user.isModified("email");
+        if (emailChanged) {
+            user.isEmailVerified = false;
+        }
+
+        await user.save({ validateBeforeSave: false });
+    } catch (error) {
+        // a rejected image or a failed save keeps the old images, the new ones are not used
+        await deleteImageVariants(avatar?.variants);
+        await deleteImageVariants(coverImage?.variants);
+        throw error;
     }
 
-    // Update user profile
-    user.fullName = fullName || user.fullName;
-    user.userName = userName || user.userName;
-    user.email = email || user.email;
-    await user.save({ validateBeforeSave: false });
+    for (const { variants, legacyId } of replacedImages) {
+        await deleteImageVariants(variants, legacyId);
+    }
+
+    addDeferredVariants(user._id, "avatar", avatar);
+    addDeferredVariants(user._id, "coverImage", coverImage);
 
-    return res.status(200).json(new apiRes(200, { user }, "User profile updated successfully"));
+    if (emailChanged) {
+        try {
+            await sendVerificationEmail(user);
+        } catch (error) {
+            console.error("Failed to send verification email:", error);
+        }
+    }
+
+    return res.status(200).json(new apiRes(200, { user: toSafeUser(user) }, "User profile updated successfully"));
 });
 
 // get user channel by unsername in params
@@ -390,12 +588,35 @@ const getUserChannel = asyncHandler(async (req, res) => {
                 ],
             },
         },
+        // Lookup to sum the views of all videos of the channel, the same counts every video shows
+        {
+            $lookup: {
+                from: "videos",
+                localField: "_id",
+                foreignField: "owner",
+                as: "viewStats",
+                pipeline: [
+                    {
+                        $group: {
+                            _id: null,
+                            total: { $sum: "$views" },
+                            videoIds: { $push: "$_id" },
+                        },
+                    },
+                ],
+            },
+        },
         // Add field for video count
         {
             $addFields: {
                 videoCount: { $size: "$videos" },
-                // Calculate total views across all videos
-                totalViews: { $sum: "$videos.views" },
+                // Total views across all videos of the channel
+                totalViews: {
+                    $ifNull: [{ $arrayElemAt: ["$viewStats.total", 0] }, 0],
+                },
+                viewedVideoIds: {
+                    $ifNull: [{ $arrayElemAt: ["$viewStats.videoIds", 0] }, []],
+                },
             },
         },
         // Project final fields to return
@@ -407,11 +628,14 @@ const getUserChannel = asyncHandler(async (req, res) => {
                 email: 1,
                 avatar: 1,
                 coverImage: 1,
+                avatarVariants: 1,
+                coverImageVariants: 1,
                 subscribersCount: 1,
                 subscribedToCount: 1,
                 isSubscribed: 1,
                 videoCount: 1,
                 totalViews: 1,
+                viewedVideoIds: 1,
                 createdAt: 1,
                 videos: {
                     $slice: ["$videos", 0, 6], // Return only first 6 videos
@@ -424,7 +648,14 @@ const getUserChannel = asyncHandler(async (req, res) => {
         throw new apiError(404, "Channel not found");
     }
 
-    return res.status(200).json(new apiRes(200, { channel: channel[0] }, "User channel fetched successfully"));
+    // include views that are counted but not yet flushed to the videos
+    const { viewedVideoIds, ...channelDetails } = channel[0];
+    channelDetails.totalViews += viewedVideoIds.reduce((sum, videoId) => sum + getPendingViews(videoId), 0);
+    channelDetails.videos.forEach((video) => {
+        video.views += getPendingViews(video._id);
+    });
+
+    return res.status(200).json(new apiRes(200, { channel: channelDetails }, "User channel fetched successfully"));
 });
 
 // Get all channels that a user is subscribed to
@@ -567,6 +798,617 @@ const getSubscribedChannels = asyncHandler(async (req, res) => {
     return res.status(200).json(new apiRes(200, { subscribedChannels }, "Subscribed channels fetched successfully"));
 });
 
+// verify email with the token from the verification link
+const verifyEmail = asyncHandler(async (req, res) => {
+    const { token } = req.params;
+
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.EMAIL_VERIFICATION_SECRET || process.env.JWT_SECRET);
+    } catch (error) {
+        throw new apiError(400, "Invalid or expired verification link", ["token"]);
+    }
+
+    if (decoded.purpose !== "verify-email") {
+        throw new apiError(400, "Invalid or expired verification link", ["token"]);
+    }
+
+    // the stored hash is cleared after use, so a link works only once
+    const user = await User.findOne({
+        _id: decoded.id,
+        email: decoded.email,
+        emailVerificationToken: hashToken(token),
+        emailVerificationExpiry: { $gt: new Date() },
+    });
+
+    if (!user) {
+        throw new apiError(400, "Invalid or expired verification link", ["token"]);
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpiry = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    return res.status(200).json(new apiRes(200, null, "Email verified successfully"));
+});
+
+// send the verification email again, limited by a cooldown
+// every branch answers the same way and the mail is sent in the background, so nothing tells whether the account exists
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    if (!email) {
+        throw new apiError(400, "Email is required", ["email"]);
+    }
+
+    ValidateUser({ email });
+
+    // same response whether the account exists or not
+    const response = new apiRes(
+        200,
+        null,
+        "If the account exists and is not verified, a verification email has been sent"
+    );
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() }).select("+emailVerificationSentAt");
+    if (!user || user.isEmailVerified) {
+        return res.status(200).json(response);
+    }
+
+    // a mail sent within the cooldown (e.g. at registration) is not sent again, silently
+    const cooldownMs = (parseInt(process.env.EMAIL_VERIFICATION_COOLDOWN_SECONDS) || 60) * 1000;
+    if (user.emailVerificationSentAt && user.emailVerificationSentAt.getTime() + cooldownMs > Date.now()) {
+        return res.status(200).json(response);
+    }
+
+    sendVerificationEmail(user).catch((error) => {
+        console.error("Failed to send verification email:", error);
+    });
+
+    return res.status(200).json(response);
+});
+
+// send a password reset link, the response never reveals whether the email exists
+// not even by its timing: the mail is sent in the background
+const forgotPassword = asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    if (!email) {
+        throw new apiError(400, "Email is required", ["email"]);
+    }
+
+    ValidateUser({ email });
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+
+    if (user) {
+        sendPasswordResetEmail(user).catch((error) => {
+            console.error("Failed to send password reset email:", error);
+        });
+    }
+
+    return res
+        .status(200)
+        .json(new apiRes(200, null, "If an account with that email exists, a password reset link has been sent"));
+});
+
+// set a new password using the token from the reset link
+const resetPassword = asyncHandler(async (req, res) => {
+    const { token } = req.params;
+    const { password } = req.body;
+
+    if (!password) {
+        throw new apiError(400, "Password is required", ["password"]);
+    }
+
+    ValidateUser({ password });
+
+    const user = await User.findOne({
+        passwordResetToken: hashToken(token),
+        passwordResetExpiry: { $gt: new Date() },
+    });
+
+    if (!user) {
+        throw new apiError(400, "Invalid or expired password reset link", ["token"]);
+    }
+
+    // set new password (hashed in pre save hook), use the token only once
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpiry = undefined;
+
+    await user.save({ validateBeforeSave: false });
+
+    // log out everywhere so stolen sessions stop working
+    await Session.deleteMany({ user: user._id });
+
+    return res.status(200).json(new apiRes(200, null, "Password reset successfully, please log in again"));
+});
+
+// list logged in devices of the user
+const getSessions = asyncHandler(async (req, res) => {
+    const sessions = await Session.find({ user: req.user._id })
+        .select("userAgent ip createdAt lastUsedAt expiresAt")
+        .sort({ lastUsedAt: -1 })
+        .lean();
+
+    const data = sessions.map((session) => ({
+        ...session,
+        isCurrent: String(session._id) === String(req.sessionId),
+    }));
+
+    return res.status(200).json(new apiRes(200, { sessions: data }, "Sessions fetched successfully"));
+});
+
+// log out one device
+const revokeSession = asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+
+    if (!isValidObjectId(sessionId)) {
+        throw new apiError(400, "Invalid session id", ["sessionId"]);
+    }
+
+    const result = await Session.deleteOne({ _id: sessionId, user: req.user._id });
+    if (result.deletedCount === 0) {
+        throw new apiError(404, "Session not found");
+    }
+
+    // logging out the current device also clears its cookies
+    if (sessionId === String(req.sessionId)) {
+        clearAuthCookies(res);
+    }
+
+    return res.status(200).json(new apiRes(200, null, "Session revoked successfully"));
+});
+
+// log out everywhere, including this device
+const revokeAllSessions = asyncHandler(async (req, res) => {
+    const result = await Session.deleteMany({ user: req.user._id });
+
+    clearAuthCookies(res);
+
+    return res
+        .status(200)
+        .json(new apiRes(200, { revokedCount: result.deletedCount }, "Logged out from all devices successfully"));
+});
+
+// number of recovery codes given when 2FA is turned on
+const RECOVERY_CODE_COUNT = 10;
+
+// recovery codes are compared without dashes and case
+const normalizeRecoveryCode = (code) => String(code).replace(/-/g, "").trim().toLowerCase();
+
+// start 2FA enrollment: returns a new secret and its otpauth:// uri (for the QR code)
+const enrollTwoFactor = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactorEnabled) {
+        throw new apiError(400, "Two factor authentication is already enabled");
+    }
+
+    const secret = generateTotpSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    const otpauthUri = buildOtpAuthUri({
+        secret,
+        accountName: user.email,
+        issuer: process.env.TWO_FACTOR_ISSUER || "MERN Backend",
+    });
+
+    return res
+        .status(200)
+        .json(new apiRes(200, { secret, otpauthUri }, "Scan the code with your authenticator app and confirm it"));
+});
+
+// finish 2FA enrollment with a code from the app, returns the recovery codes (shown only once)
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select("+twoFactorPendingSecret");
+
+    if (user.twoFactorEnabled) {
+        throw new apiError(400, "Two factor authentication is already enabled");
+    }
+
+    if (!user.twoFactorPendingSecret) {
+        throw new apiError(400, "Start two factor enrollment first");
+    }
+
+    const step = verifyTotp(user.twoFactorPendingSecret, code);
+    if (step === null) {
+        throw new apiError(400, "Invalid two factor code", ["code"]);
+    }
+
+    const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString("hex");
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = recoveryCodes.map((code) => hashToken(normalizeRecoveryCode(code)));
+    user.twoFactorLastUsedStep = step;
+    await user.save({ validateBeforeSave: false });
+
+    return res
+        .status(200)
+        .json(
+            new apiRes(
+                200,
+                { recoveryCodes },
+                "Two factor authentication enabled, store the recovery codes somewhere safe"
+            )
+        );
+});
+
+// turn 2FA off, requires the password
+const disableTwoFactor = asyncHandler(async (req, res) => {
+    const { password } = req.body;
+
+    if (!password) {
+        throw new apiError(400, "Password is required", ["password"]);
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!(await user.isPasswordMatch(password))) {
+        throw new apiError(401, "Password is incorrect", ["password"]);
+    }
+
+    if (!user.twoFactorEnabled) {
+        throw new apiError(400, "Two factor authentication is not enabled");
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    return res.status(200).json(new apiRes(200, null, "Two factor authentication disabled"));
+});
+
+// second login step: exchange the challenge token plus a TOTP or recovery code for the real tokens
+const loginWithTwoFactor = asyncHandler(async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+        throw new apiError(400, "Please provide all required fields", [
+            ...(!challengeToken ? ["challengeToken"] : []),
+            ...(!code && !recoveryCode ? ["code or recoveryCode"] : []),
+        ]);
+    }
+
+    let decoded;
+    try {
+        decoded = jwt.verify(challengeToken, process.env.TWO_FACTOR_CHALLENGE_SECRET || process.env.JWT_SECRET);
+    } catch (error) {
+        throw new apiError(401, "Invalid or expired login challenge, please log in again", ["challengeToken"]);
+    }
+
+    if (decoded.purpose !== "2fa-challenge") {
+        throw new apiError(401, "Invalid or expired login challenge, please log in again", ["challengeToken"]);
+    }
+
+    const user = await User.findById(decoded.id).select("+twoFactorSecret +twoFactorLastUsedStep");
+    if (!user || !user.twoFactorEnabled) {
+        throw new apiError(401, "Invalid or expired login challenge, please log in again", ["challengeToken"]);
+    }
+
+    assertNotBanned(user);
+
+    // wrong codes count as failed logins of the account, and only a correct code resets them (not the password step)
+    // so the 6 digit code can't be brute forced
+    const attemptKeys = { account: accountKey(user._id), ip: ipKey(req.ip) };
+    await assertNotLocked(res, attemptKeys);
+
+    if (code) {
+        const step = verifyTotp(user.twoFactorSecret, code);
+
+        // only accept a code newer than the last used one, so an intercepted code can't be replayed
+        const result =
+            step === null
+                ? null
+                : await User.updateOne(
+                      {
+                          _id: user._id,
+                          $or: [
+                              { twoFactorLastUsedStep: { $exists: false } },
+                              { twoFactorLastUsedStep: { $lt: step } },
+                          ],
+                      },
+                      { $set: { twoFactorLastUsedStep: step } }
+                  );
+
+        if (!result || result.modifiedCount === 0) {
+            await recordLoginFailure(attemptKeys);
+            throw new apiError(401, "Invalid two factor code", ["code"]);
+        }
+    } else {
+        // each recovery code works once
+        const result = await User.updateOne(
+            { _id: user._id, twoFactorRecoveryCodes: hashToken(normalizeRecoveryCode(recoveryCode)) },
+            { $pull: { twoFactorRecoveryCodes: hashToken(normalizeRecoveryCode(recoveryCode)) } }
+        );
+
+        if (result.modifiedCount === 0) {
+            await recordLoginFailure(attemptKeys);
+            throw new apiError(401, "Invalid recovery code", ["recoveryCode"]);
+        }
+    }
+
+    await resetLoginFailures(attemptKeys.account);
+
+    // Create a session for this device and set both tokens in cookies
+    await startSession(req, res, user);
+
+    return res.status(200).json(new apiRes(200, { user: toSafeUser(user) }, "User logged in successfully"));
+});
+
+// max number of entries kept in the watch history
+const WATCH_HISTORY_LIMIT = 200;
+
+// get watch history of the logged in user (most recent first)
+const getWatchHistory = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+
+    const history = await User.aggregate([
+        // Match the logged in user
+        {
+            $match: {
+                _id: new mongoose.Types.ObjectId(userId),
+            },
+        },
+        // One document per history entry
+        {
+            $unwind: "$watchHistory",
+        },
+        {
+            $replaceRoot: { newRoot: "$watchHistory" },
+        },
+        // Most recently watched first
+        {
+            $sort: { watchedAt: -1 },
+        },
+        // Lookup the watched video along with its owner
+        {
+            $lookup: {
+                from: "videos",
+                localField: "video",
+                foreignField: "_id",
+                as: "video",
+                pipeline: [
+                    // Hide videos that were unpublished, unless they belong to this user
+                    {
+                        $match: {
+                            $or: [{ isPublished: true }, { owner: userId }],
+                        },
+                    },
+                    {
+                        $lookup: {
+                            from: "users",
+                            localField: "owner",
+                            foreignField: "_id",
+                            as: "owner",
+                            pipeline: [
+                                {
+                                    $project: {
+                                        _id: 1,
+                                        userName: 1,
+                                        fullName: 1,
+                                        avatar: 1,
+                                    },
+                                },
+                            ],
+                        },
+                    },
+                    {
+                        $addFields: {
+                            owner: { $first: "$owner" },
+                        },
+                    },
+                    {
+                        $project: {
+                            _id: 1,
+                            title: 1,
+                            thumbnail: 1,
+                            duration: 1,
+                            views: 1,
+                            owner: 1,
+                            createdAt: 1,
+                        },
+                    },
+                ],
+            },
+        },
+        // Drop entries whose video no longer exists
+        {
+            $unwind: "$video",
+        },
+        // Deduplicate in case the same video was recorded twice
+        {
+            $group: {
+                _id: "$video._id",
+                video: { $first: "$video" },
+                position: { $first: "$position" },
+                watchedAt: { $first: "$watchedAt" },
+            },
+        },
+        {
+            $sort: { watchedAt: -1 },
+        },
+        {
+            $project: {
+                _id: 0,
+                video: 1,
+                position: 1,
+                watchedAt: 1,
+            },
+        },
+    ]);
+
+    return res.status(200).json(new apiRes(200, { history }, "Watch history fetched successfully"));
+});
+
+// record that the logged in user watched a video, along with the playback position
+const addToWatchHistory = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+    const position = req.body?.position === undefined ? 0 : Number(req.body.position);
+
+    if (!isValidObjectId(videoId)) {
+        throw new apiError(400, "Invalid video id", ["videoId"]);
+    }
+
+    if (!Number.isFinite(position) || position < 0) {
+        throw new apiError(400, "Position must be a positive number of seconds", ["position"]);
+    }
+
+    const video = await Video.findById(videoId).select("_id duration isPublished owner");
+    if (!video || (!video.isPublished && !video.owner?.equals(req.user._id))) {
+        throw new apiError(404, "Video not found");
+    }
+
+    const entry = {
+        video: video._id,
+        position: video.duration ? Math.min(position, video.duration) : position,
+        watchedAt: new Date(),
+    };
+
+    // remove the old entry for this video, then put the new one on top
+    await User.updateOne({ _id: req.user._id }, { $pull: { watchHistory: { video: video._id } } });
+    await User.updateOne(
+        { _id: req.user._id },
+        {
+            $push: {
+                watchHistory: {
+                    $each: [entry],
+                    $position: 0,
+                    $slice: WATCH_HISTORY_LIMIT,
+                },
+            },
+        }
+    );
+
+    return res.status(200).json(new apiRes(200, { entry }, "Watch history updated successfully"));
+});
+
+// remove one video from the watch history
+const removeFromWatchHistory = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+
+    if (!isValidObjectId(videoId)) {
+        throw new apiError(400, "Invalid video id", ["videoId"]);
+    }
+
+    const result = await User.updateOne(
+        { _id: req.user._id },
+        { $pull: { watchHistory: { video: new mongoose.Types.ObjectId(videoId) } } }
+    );
+
+    if (result.modifiedCount === 0) {
+        throw new apiError(404, "Video not found in watch history");
+    }
+
+    return res.status(200).json(new apiRes(200, null, "Video removed from watch history"));
+});
+
+// clear the whole watch history
+const clearWatchHistory = asyncHandler(async (req, res) => {
+    await User.updateOne({ _id: req.user._id }, { $set: { watchHistory: [] } });
+
+    return res.status(200).json(new apiRes(200, null, "Watch history cleared successfully"));
+});
+
+// delete the account of the logged in user, body: { "password": "..." }
+// the data is purged after the grace period (ACCOUNT_DELETION_GRACE_DAYS), until then the account can be restored
+const deleteAccount = asyncHandler(async (req, res) => {
+    const { password } = req.body;
+
+    if (!password) {
+        throw new apiError(400, "Password is required to delete your account", ["password"]);
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!(await user.isPasswordMatch(password))) {
+        throw new apiError(401, "Password is incorrect", ["password"]);
+    }
+
+    const deletion = await scheduleAccountDeletion(user);
+    clearAuthCookies(res);
+
+    // without a grace period the account is purged right away
+    if (deletion.scheduledFor <= new Date()) {
+        try {
+            await purgeAccount(user);
+            return res.status(200).json(new apiRes(200, null, "Account deleted successfully"));
+        } catch (error) {
+            // the deletion worker finishes the purge later
+            console.error(`Failed to purge account ${user._id}, it will be retried:`, error);
+            return res.status(202).json(new apiRes(202, null, "Account deletion is in progress"));
+        }
+    }
+
+    return res
+        .status(202)
+        .json(
+            new apiRes(
+                202,
+                { scheduledFor: deletion.scheduledFor },
+                "Account scheduled for deletion, you can restore it until then"
+            )
+        );
+});
+
+// restore an account during its grace period, body: { "userName" or "email": "...", "password": "..." }
+const restoreAccount = asyncHandler(async (req, res) => {
+    const { userName, email, password } = req.body;
+
+    if ((!userName && !email) || !password) {
+        throw new apiError(400, "Please provide all required fields", [
+            ...(!userName && !email ? ["userName or email"] : []),
+            ...(!password ? ["password"] : []),
+        ]);
+    }
+
+    // restoring checks the password, so it counts against the login lockout
+    await assertNotLocked(res, { ip: ipKey(req.ip) });
+
+    const user = await User.findOne({
+        ...(userName ? { userName } : {}),
+        ...(email ? { email } : {}),
+    });
+
+    const attemptKeys = { account: accountKey(user ? user._id : userName || email), ip: ipKey(req.ip) };
+    await assertNotLocked(res, attemptKeys);
+
+    if (!user || !(await user.isPasswordMatch(password))) {
+        await recordLoginFailure(attemptKeys);
+        throw new apiError(401, "Invalid credentials");
+    }
+
+    await resetLoginFailures(attemptKeys.account);
+
+    if (!user.deletion) {
+        throw new apiError(400, "This account is not scheduled for deletion");
+    }
+
+    // only before the purge has started
+    const result = await User.updateOne(
+        { _id: user._id, "deletion.scheduledFor": { $gt: new Date() }, "deletion.completedSteps": { $size: 0 } },
+        { $set: { deletion: null } }
+    );
+
+    if (result.modifiedCount === 0) {
+        throw new apiError(410, "The grace period is over, this account can no longer be restored");
+    }
+
+    return res.status(200).json(new apiRes(200, null, "Account restored successfully, you can log in again"));
+});
+
 export {
     registerUser,
     loginUser,
@@ -577,4 +1419,21 @@ export {
     updateUserProfile,
     getUserChannel,
     getSubscribedChannels,
+    getWatchHistory,
+    addToWatchHistory,
+    removeFromWatchHistory,
+    clearWatchHistory,
+    verifyEmail,
+    resendVerificationEmail,
+    forgotPassword,
+    resetPassword,
+    getSessions,
+    revokeSession,
+    revokeAllSessions,
+    enrollTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    loginWithTwoFactor,
+    deleteAccount,
+    restoreAccount,
 };
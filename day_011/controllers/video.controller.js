@@ -0,0 +1,430 @@
+import crypto from "crypto";
+import mongoose, { isValidObjectId } from "mongoose";
+import asyncHandler from "../utils/asyncHandler.js";
+import Video from "../models/video.model.js";
+import User from "../models/user.model.js";
+import apiError from "../utils/apiError.js";
+import apiRes from "../utils/apiRes.js";
+import { uploadFile, deleteFile } from "../utils/storage/index.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { countView, getPendingViews } from "../utils/viewCounter.js";
+import { likeStatsStages } from "../utils/likeStats.js";
+import { hasRequestPermission } from "../middlewares/authorize.middleware.js";
+import { removeVideo } from "../utils/videoCleanup.js";
+import { createVideo } from "../utils/videoPublishing.js";
+import { queueVideoProcessing } from "../utils/videoProcessing.js";
+
+// fields the video list can be sorted by
+const SORT_FIELDS = ["createdAt", "views", "duration"];
+
+// duration buckets in seconds (max is exclusive)
+const DURATION_BUCKETS = {
+    short: { min: 0, max: 4 * 60 },
+    medium: { min: 4 * 60, max: 20 * 60 },
+    long: { min: 20 * 60, max: Infinity },
+};
+
+// escape user input before using it inside a regex
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// find a video by id and make sure the logged in user owns it
+// with allowModerator, users with the video:moderate permission (and API keys with that scope) pass too
+const findOwnedVideo = async (videoId, req, { allowModerator = false } = {}) => {
+    if (!isValidObjectId(videoId)) {
+        throw new apiError(400, "Invalid video id", ["videoId"]);
+    }
+
+    const video = await Video.findById(videoId);
+    if (!video) {
+        throw new apiError(404, "Video not found");
+    }
+
+    const isOwner = Boolean(video.owner?.equals(req.user._id));
+    if (!isOwner && !(allowModerator && hasRequestPermission(req, "video:moderate"))) {
+        throw new apiError(403, "You are not allowed to modify this video");
+    }
+
+    return video;
+};
+
+/**
+ * Upload a new video, the thumbnail is optional (one is generated while processing)
+ * the video is published (when asked for) once processing succeeded
+ */
+const publishVideo = asyncHandler(async (req, res) => {
+    const { title, desc, isPublished } = req.body;
+
+    // Check for required fields
+    if (!title?.trim() || !desc?.trim()) {
+        throw new apiError(400, "Please provide all required fields", [
+            ...(!title?.trim() ? ["title"] : []),
+            ...(!desc?.trim() ? ["desc"] : []),
+        ]);
+    }
+
+    // Check if files were uploaded
+    if (!req.files || !req.files.videoFile || !req.files.videoFile[0]) {
+        throw new apiError(400, "Video file is required", ["videoFile"]);
+    }
+
+    const video = await createVideo({
+        videoPath: req.files.videoFile[0].path,
+        thumbnailPath: req.files.thumbnail?.[0]?.path,
+        title: title.trim(),
+        desc: desc.trim(),
+        isPublished: isPublished === undefined ? true : String(isPublished) === "true",
+        owner: req.user._id,
+    });
+
+    return res.status(201).json(new apiRes(201, { video }, "Video uploaded successfully, processing started"));
+});
+
+// get published videos with pagination, sorting and filters
+// query: page, limit, query, sortBy, sortType, userName, from, to, duration
+const getAllVideos = asyncHandler(async (req, res) => {
+    const { query, sortBy = "createdAt", sortType = "desc", userName, from, to, duration } = req.query;
+
+    if (!SORT_FIELDS.includes(sortBy)) {
+        throw new apiError(400, `Invalid sort field. Allowed: ${SORT_FIELDS.join(", ")}`, ["sortBy"]);
+    }
+
+    if (!["asc", "desc"].includes(sortType)) {
+        throw new apiError(400, "Invalid sort type. Allowed: asc, desc", ["sortType"]);
+    }
+
+    const match = { isPublished: true };
+
+    // Filter by owner username
+    if (userName) {
+        const owner = await User.findOne({ userName: String(userName).toLowerCase() }).select("_id");
+        if (!owner) {
+            throw new apiError(404, "Channel not found", ["userName"]);
+        }
+        match.owner = owner._id;
+    }
+
+    // Filter by upload date range
+    if (from || to) {
+        const fromDate = from ? new Date(from) : null;
+        const toDate = to ? new Date(to) : null;
+
+        if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+            throw new apiError(400, "Invalid date range", [
+                ...(fromDate && isNaN(fromDate) ? ["from"] : []),
+                ...(toDate && isNaN(toDate) ? ["to"] : []),
+            ]);
+        }
+
+        match.createdAt = {
+            ...(fromDate && { $gte: fromDate }),
+            ...(toDate && { $lte: toDate }),
+        };
+    }
+
+    // Filter by duration bucket
+    if (duration) {
+        const bucket = DURATION_BUCKETS[duration];
+        if (!bucket) {
+            throw new apiError(400, `Invalid duration. Allowed: ${Object.keys(DURATION_BUCKETS).join(", ")}`, [
+                "duration",
+            ]);
+        }
+
+        match.duration = {
+            $gte: bucket.min,
+            ...(bucket.max !== Infinity && { $lt: bucket.max }),
+        };
+    }
+
+    // Search in title and description
+    if (query && String(query).trim()) {
+        const regex = new RegExp(escapeRegex(String(query).trim()), "i");
+        match.$or = [{ title: regex }, { desc: regex }];
+    }
+
+    const direction = sortType === "asc" ? 1 : -1;
+
+    const aggregate = Video.aggregate([
+        { $match: match },
+        { $sort: { [sortBy]: direction, _id: direction } },
+        // Lookup the owner of each video
+        {
+            $lookup: {
+                from: "users",
+                localField: "owner",
+                foreignField: "_id",
+                as: "owner",
+                pipeline: [
+                    {
+                        $project: {
+                            _id: 1,
+                            userName: 1,
+                            fullName: 1,
+                            avatar: 1,
+                        },
+                    },
+                ],
+            },
+        },
+        {
+            $addFields: {
+                owner: { $first: "$owner" },
+            },
+        },
+        // Project only needed fields for video cards
+        {
+            $project: {
+                _id: 1,
+                title: 1,
+                desc: 1,
+                thumbnail: 1,
+                duration: 1,
+                views: 1,
+                owner: 1,
+                createdAt: 1,
+            },
+        },
+    ]);
+
+    const videos = await Video.aggregatePaginate(aggregate, getPaginationOptions(req.query, { docs: "videos" }));
+
+    return res.status(200).json(new apiRes(200, videos, "Videos fetched successfully"));
+});
+
+// get a single video along with its owner details
+const getVideoById = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+
+    if (!isValidObjectId(videoId)) {
+        throw new apiError(400, "Invalid video id", ["videoId"]);
+    }
+
+    const video = await Video.aggregate([
+        // Match the video by id
+        {
+            $match: {
+                _id: new mongoose.Types.ObjectId(videoId),
+            },
+        },
+        // Lookup the owner of the video
+        {
+            $lookup: {
+                from: "users",
+                localField: "owner",
+                foreignField: "_id",
+                as: "owner",
+                pipeline: [
+                    {
+                        $project: {
+                            _id: 1,
+                            userName: 1,
+                            fullName: 1,
+                            avatar: 1,
+                        },
+                    },
+                ],
+            },
+        },
+        {
+            $addFields: {
+                owner: { $first: "$owner" },
+            },
+        },
+        // Add like / dislike counts and isLiked for the current user
+        ...likeStatsStages("Video", req.user._id),
+        // Remove storage ids and job internals from the response
+        {
+            $project: {
+                videoFileId: 0,
+                thumbnailId: 0,
+                streamFileIds: 0,
+                "processing.lockedUntil": 0,
+            },
+        },
+    ]);
+
+    // Unpublished videos are only visible to their owner
+    if (!video || video.length === 0 || (!video[0].isPublished && !video[0].owner?._id.equals(req.user._id))) {
+        throw new apiError(404, "Video not found");
+    }
+
+    // include views that are counted but not yet flushed to the video
+    video[0].views += getPendingViews(video[0]._id);
+
+    return res.status(200).json(new apiRes(200, { video: video[0] }, "Video fetched successfully"));
+});
+
+// update title and description of a video
+const updateVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+    const { title, desc } = req.body;
+
+    if (title === undefined && desc === undefined) {
+        throw new apiError(400, "Nothing to update", ["title", "desc"]);
+    }
+
+    if ((title !== undefined && !String(title).trim()) || (desc !== undefined && !String(desc).trim())) {
+        throw new apiError(400, "Title and description cannot be empty", [
+            ...(title !== undefined && !String(title).trim() ? ["title"] : []),
+            ...(desc !== undefined && !String(desc).trim() ? ["desc"] : []),
+        ]);
+    }
+
+    const video = await findOwnedVideo(videoId, req);
+
+    video.title = title !== undefined ? String(title).trim() : video.title;
+    video.desc = desc !== undefined ? String(desc).trim() : video.desc;
+    await video.save();
+
+    return res.status(200).json(new apiRes(200, { video }, "Video updated successfully"));
+});
+
+// replace the thumbnail of a video
+const updateVideoThumbnail = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+
+    if (!req.file) {
+        throw new apiError(400, "Thumbnail is required", ["thumbnail"]);
+    }
+
+    const video = await findOwnedVideo(videoId, req);
+
+    // upload new thumbnail first so the video never points to a missing image
+    const thumbnail = await uploadFile(req.file.path, "mern-backend/thumbnails", true);
+    const oldThumbnailId = video.thumbnailId;
+
+    video.thumbnail = thumbnail.url;
+    video.thumbnailId = thumbnail.id;
+    await video.save();
+
+    // delete old thumbnail from storage
+    if (oldThumbnailId) {
+        await deleteFile(oldThumbnailId);
+    }
+
+    return res.status(200).json(new apiRes(200, { video }, "Thumbnail updated successfully"));
+});
+
+// delete a video along with its files in storage
+const deleteVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+
+    const video = await findOwnedVideo(videoId, req, { allowModerator: true });
+
+    // assets, likes, comments, playlist and watch history entries go with the video
+    await removeVideo(video);
+
+    return res.status(200).json(new apiRes(200, null, "Video deleted successfully"));
+});
+
+// publish or unpublish a video
+const togglePublishStatus = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+
+    const video = await findOwnedVideo(videoId, req, { allowModerator: true });
+
+    // moderators can take videos down but only the owner can publish them
+    if (!video.isPublished && !video.owner?.equals(req.user._id)) {
+        throw new apiError(403, "Only the owner can publish this video");
+    }
+
+    // a video is only published once its processing succeeded
+    if (video.processing && video.processing.status !== "ready") {
+        if (video.processing.status === "failed") {
+            throw new apiError(409, "Video processing failed, retry it before publishing");
+        }
+
+        // still processing: change what happens when the job is done
+        video.publishWhenReady = !video.publishWhenReady;
+        await video.save();
+
+        return res
+            .status(200)
+            .json(
+                new apiRes(
+                    200,
+                    { video },
+                    video.publishWhenReady
+                        ? "Video will be published once processing is done"
+                        : "Video will stay unpublished once processing is done"
+                )
+            );
+    }
+
+    video.isPublished = !video.isPublished;
+    await video.save();
+
+    return res
+        .status(200)
+        .json(
+            new apiRes(
+                200,
+                { video },
+                video.isPublished ? "Video published successfully" : "Video unpublished successfully"
+            )
+        );
+});
+
+// run the processing job of a video again after it failed
+const retryVideoProcessing = asyncHandler(async (req, res) => {
+    const video = await findOwnedVideo(req.params.videoId, req);
+
+    if (video.processing?.status !== "failed") {
+        throw new apiError(409, "Only videos whose processing failed can be retried");
+    }
+
+    video.processing = { status: "pending" };
+    await video.save();
+    queueVideoProcessing();
+
+    return res.status(200).json(new apiRes(200, { video }, "Video processing restarted"));
+});
+
+// identify the viewer: user id when logged in, otherwise a hash of ip + user agent
+// only data the server sees itself, a client chosen value would let anyone add views at will
+const getViewerKey = (req) => {
+    if (req.user?._id) return `user:${req.user._id}`;
+
+    const fingerprint = `${req.ip}|${req.headers["user-agent"] || ""}`;
+    return `anon:${crypto.createHash("sha256").update(fingerprint).digest("hex")}`;
+};
+
+// count a view of a video (logged in or anonymous)
+const addVideoView = asyncHandler(async (req, res) => {
+    const { videoId } = req.params;
+
+    if (!isValidObjectId(videoId)) {
+        throw new apiError(400, "Invalid video id", ["videoId"]);
+    }
+
+    const video = await Video.findById(videoId).select("_id owner isPublished views");
+    if (!video || !video.isPublished) {
+        throw new apiError(404, "Video not found");
+    }
+
+    // owners watching their own videos are not counted
+    // counted views are buffered and written to the video in the next batch
+    const counted = video.owner?.equals(req.user?._id) ? false : await countView(video, getViewerKey(req));
+
+    return res
+        .status(200)
+        .json(
+            new apiRes(
+                200,
+                { counted, views: video.views + getPendingViews(video._id) },
+                counted ? "View counted" : "View already counted"
+            )
+        );
+});
+
+export {
+    getAllVideos,
+    publishVideo,
+    getVideoById,
+    updateVideo,
+    updateVideoThumbnail,
+    deleteVideo,
+    togglePublishStatus,
+    retryVideoProcessing,
+    addVideoView,
+};
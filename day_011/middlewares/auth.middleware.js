@@ -1,23 +1,129 @@
 // =============== auth middleware ===============
 
 import jwt from "jsonwebtoken";
+import { isValidObjectId } from "mongoose";
 import asyncHandler from "../utils/asyncHandler.js";
 import apiError from "../utils/apiError.js";
 import User from "../models/user.model.js";
+import Session from "../models/session.model.js";
+import ApiKey from "../models/apiKey.model.js";
+import { assertNotBanned } from "../utils/ban.js";
+import { hashToken } from "../utils/tokenHash.js";
+
+// access tokens stay valid only while their session exists (logout, revoked device, ...)
+const isSessionActive = (decoded) => Session.exists({ _id: decoded.sid, user: decoded.id });
+
+// resolve the X-API-Key header to its key and owner, null when the key is unknown or expired
+const findApiKeyUser = async (key) => {
+      const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+      if (!apiKey || apiKey.isExpired()) {
+          return null;
+      }
+
+      const user = await User.findById(apiKey.user).select("-password -refreshToken");
+      if (!user) {
+          return null;
+      }
+
+      // only write lastUsedAt once a minute, not on every request
+      await ApiKey.updateOne(
+          { _id: apiKey._id, $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: new Date(Date.now() - 60 * 1000) } }] },
+          { $set: { lastUsedAt: new Date() } }
+      );
+
+      return { apiKey, user };
+};
 
 const verifyJWT  = asyncHandler(async(req, res, next)=>{
+      // server-to-server calls send an API key instead of a token
+      const key = req.headers["x-api-key"];
+      if (key) {
+          const result = await findApiKeyUser(key);
+          if (!result) {
+              throw new apiError(401, "Invalid or expired API key");
+          }
+
+          assertNotBanned(result.user);
+
+          req.user = result.user;
+          // the authorize middleware also checks these scopes
+          req.apiKey = { _id: result.apiKey._id, scopes: result.apiKey.scopes };
+          return next();
+      }
+
       const token = req.cookies.accessToken || req.headers.authorization?.split(" ")[1];
       if (!token) {
           throw new apiError(401, "Access token is missing");
       }
 
+      let decoded;
       try {
-          const decoded = jwt.verify(token, process.env.JWT_SECRET);
-          req.user = await User.findById(decoded.id).select("-password -refreshToken");
-          next();
+          decoded = jwt.verify(token, process.env.JWT_SECRET);
       } catch (error) {
           throw new apiError(401, "Invalid access token");
       }
+
+      if (!isValidObjectId(decoded.sid) || !(await isSessionActive(decoded))) {
+          throw new apiError(401, "Session expired, please log in again");
+      }
+
+      const user = await User.findById(decoded.id).select("-password -refreshToken");
+      if (!user) {
+          throw new apiError(401, "Invalid access token");
+      }
+
+      // banned / suspended users are rejected with the ban details
+      assertNotBanned(user);
+
+      req.user = user;
+      req.sessionId = decoded.sid;
+      next();
+});
+
+// same as verifyJWT but lets anonymous requests through (req.user stays undefined)
+const optionalVerifyJWT = asyncHandler(async (req, res, next) => {
+      const key = req.headers["x-api-key"];
+      if (key) {
+          const result = await findApiKeyUser(key);
+
+          // unknown keys and banned users are treated as anonymous
+          if (result && !result.user.getActiveBan()) {
+              req.user = result.user;
+              req.apiKey = { _id: result.apiKey._id, scopes: result.apiKey.scopes };
+          }
+          return next();
+      }
+
+      const token = req.cookies.accessToken || req.headers.authorization?.split(" ")[1];
+      if (!token) {
+          return next();
+      }
+
+      try {
+          const decoded = jwt.verify(token, process.env.JWT_SECRET);
+          if (isValidObjectId(decoded.sid) && (await isSessionActive(decoded))) {
+              const user = await User.findById(decoded.id).select("-password -refreshToken");
+
+              // banned users are treated as anonymous
+              if (user && !user.getActiveBan()) {
+                  req.user = user;
+                  req.sessionId = decoded.sid;
+              }
+          }
+      } catch (error) {
+          req.user = undefined;
+      }
+      next();
 });
 
+// use after verifyJWT on routes that need a real login (sessions, passwords, API key management, ...)
+const denyApiKey = (req, res, next) => {
+      if (req.apiKey) {
+          throw new apiError(403, "This action is not available with an API key");
+      }
+      next();
+};
+
+export { optionalVerifyJWT, denyApiKey };
+
 export default verifyJWT;
\ No newline at end of file
@@ -0,0 +1,29 @@
+// =============== authorize middleware ===============
+// use after verifyJWT: router.delete("/:id", verifyJWT, authorize("video:moderate"), handler)
+
+import apiError from "../utils/apiError.js";
+import { hasPermission } from "../config/permissions.config.js";
+
+// permission of the logged in user, with an API key the permission must also be one of the key scopes
+// use this for checks inside controllers too (owner or moderator, ...)
+const hasRequestPermission = (req, permission) =>
+    hasPermission(req.user, permission) && (!req.apiKey || req.apiKey.scopes.includes(permission));
+
+const authorize =
+    (...permissions) =>
+    (req, res, next) => {
+        if (!req.user) {
+            throw new apiError(401, "Unauthorized request");
+        }
+
+        const missing = permissions.filter((permission) => !hasRequestPermission(req, permission));
+
+        if (missing.length > 0) {
+            throw new apiError(403, `Missing permission: ${missing.join(", ")}`, missing);
+        }
+
+        next();
+    };
+
+export default authorize;
+export { hasRequestPermission };
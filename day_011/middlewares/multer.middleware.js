@@ -2,6 +2,7 @@ import multer from "multer";
 import path from "path";
 import fs from "fs";
 import apiError from "../utils/apiError.js";
+import { detectFileType, isSameFileType } from "../utils/fileType.js";
 
 // Create uploads/temp directory if it doesn't exist
 const uploadDir = path.resolve("uploads/temp");
@@ -17,19 +18,94 @@ const storage = multer.diskStorage({
     },
 });
 
-const createFileFilter = (allowedTypes) => (req, file, cb) => {
-    if (!allowedTypes.includes(file.mimetype)) {
+const MB = 1024 * 1024;
+
+// getRule(file) -> { types, maxSizeMB } allowed for the field of the file
+const createFileFilter = (getRule) => (req, file, cb) => {
+    const { types } = getRule(file);
+
+    if (!types.includes(file.mimetype)) {
         // Just throw the error, global error handler will clean up files
-        cb(new apiError(400, `Unsupported file format. Allowed: ${allowedTypes.join(", ")}`, ["file_format"]), false);
+        cb(new apiError(400, `Unsupported file format. Allowed: ${types.join(", ")}`, ["file_format"]), false);
     } else {
         cb(null, true);
     }
 };
 
+// the file filter only sees the mimetype sent by the client, so once the files are in uploads/temp
+// check their real type from the magic bytes and expose it as file.detectedMimetype
+// the size limit of each field is checked here too, multer only knows a single limit for the whole request
+const createSignatureCheck = (getRule) => async (req, res, next) => {
+    const files = [...Object.values(req.files || {}).flat(), ...(req.file ? [req.file] : [])];
+
+    // remove every file of the request, not only the bad one
+    const reject = async (error) => {
+        await Promise.all(files.map((uploaded) => fs.promises.unlink(uploaded.path).catch(() => null)));
+        req.files = undefined;
+        req.file = undefined;
+        throw error;
+    };
+
+    for (const file of files) {
+        const { types, maxSizeMB } = getRule(file);
+
+        if (file.size > maxSizeMB * MB) {
+            await reject(
+                new apiError(400, `"${file.originalname}" is too large. Max size: ${maxSizeMB}MB`, [file.fieldname])
+            );
+        }
+
+        const detected = await detectFileType(file.path);
+
+        if (!detected || !types.includes(detected) || !isSameFileType(file.mimetype, detected)) {
+            await reject(
+                new apiError(
+                    400,
+                    `File content of "${file.originalname}" does not match ${file.mimetype}. Allowed: ${types.join(", ")}`,
+                    [file.fieldname]
+                )
+            );
+        }
+
+        file.detectedMimetype = detected;
+    }
+
+    next();
+};
+
+// same api as multer (single, array, fields, any), each one returns [multer, signature check]
+// fields() also takes the allowed types and size of each field, e.g. { name: "thumbnail", types, maxSizeMB: 5 },
+// fields without them get the ones of the uploader
 export const createUploader = (allowedTypes, maxSizeMB) => {
-    return multer({
-        storage,
-        fileFilter: createFileFilter(allowedTypes),
-        limits: { fileSize: maxSizeMB * 1024 * 1024 }, // in bytes
-    });
+    const build = (rules = []) => {
+        const getRule = (file) => ({
+            types: allowedTypes,
+            maxSizeMB,
+            ...rules.find((rule) => rule.name === file.fieldname),
+        });
+        const upload = multer({
+            storage,
+            fileFilter: createFileFilter(getRule),
+            // the largest field limit, the smaller ones are checked with the signatures
+            limits: { fileSize: Math.max(maxSizeMB, ...rules.map((rule) => rule.maxSizeMB || 0)) * MB }, // in bytes
+        });
+
+        return { upload, checkSignatures: createSignatureCheck(getRule) };
+    };
+
+    const { upload, checkSignatures } = build();
+
+    return {
+        single: (fieldName) => [upload.single(fieldName), checkSignatures],
+        array: (fieldName, maxCount) => [upload.array(fieldName, maxCount), checkSignatures],
+        fields: (fields) => {
+            const perField = build(fields);
+            return [
+                perField.upload.fields(fields.map(({ name, maxCount }) => ({ name, maxCount }))),
+                perField.checkSignatures,
+            ];
+        },
+        any: () => [upload.any(), checkSignatures],
+        none: () => upload.none(),
+    };
 };
@@ -0,0 +1,176 @@
+// =============== rate limit middleware ===============
+// router.post("/login", rateLimit({ name: "login", limit: 10, windowMs: 15 * 60 * 1000, keyBy: ["ip"] }), loginUser)
+// strategies:
+//   fixed-window: at most `limit` requests per `windowMs`
+//   token-bucket: bursts up to `limit`, refilled at `limit` tokens per `windowMs`
+
+import apiError from "../utils/apiError.js";
+import { getRateLimitStore } from "../utils/rateLimitStores.js";
+import { hashToken } from "../utils/tokenHash.js";
+
+const STRATEGIES = ["fixed-window", "token-bucket"];
+
+const numberFromEnv = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// options can be functions, so limits are read from the env on each request (.env loads after the imports)
+const resolve = (value) => (typeof value === "function" ? value() : value);
+
+// parts a limit can be keyed by, combine them with keyBy: ["ip", "route"]
+const keyParts = {
+    ip: (req) => `ip:${req.ip || "unknown"}`,
+    // falls back to the ip for anonymous requests
+    user: (req) => (req.user?._id ? `user:${req.user._id}` : `ip:${req.ip || "unknown"}`),
+    route: (req) => `route:${req.method}:${req.baseUrl}${req.route?.path || req.path}`,
+};
+
+const buildKey = (req, name, keyBy) => {
+    if (typeof keyBy === "function") return `${name}:${keyBy(req)}`;
+
+    const parts = [].concat(keyBy).map((part) => {
+        if (!keyParts[part]) {
+            throw new apiError(500, `Unknown rate limit key: ${part}`);
+        }
+        return keyParts[part](req);
+    });
+
+    return [name, ...parts].join(":");
+};
+
+// check one request against the strategy, returns what the headers need
+const consume = async (store, key, { strategy, limit, windowMs, now }) => {
+    if (strategy === "token-bucket") {
+        const refillPerMs = limit / windowMs;
+        const { allowed, tokens } = await store.takeToken(key, { capacity: limit, refillPerMs, now });
+
+        return {
+            allowed,
+            remaining: Math.floor(tokens),
+            // time until the bucket is full again
+            resetMs: Math.ceil((limit - tokens) / refillPerMs),
+            // time until the next token
+            retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs),
+        };
+    }
+
+    const { count, resetAt } = await store.incrementWindow(key, { windowMs, now });
+
+    return {
+        allowed: count <= limit,
+        remaining: Math.max(0, limit - count),
+        resetMs: resetAt - now,
+        retryAfterMs: resetAt - now,
+    };
+};
+
+const rateLimit = ({
+    name = "api",
+    strategy = "fixed-window",
+    limit = 100,
+    windowMs = 60 * 1000,
+    keyBy = "ip",
+    store = () => process.env.RATE_LIMIT_STORE || "memory",
+    message = "Too many requests, please try again later",
+    skip,
+} = {}) => {
+    if (!STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown rate limit strategy "${strategy}". Allowed: ${STRATEGIES.join(", ")}`);
+    }
+
+    return async (req, res, next) => {
+        if (process.env.RATE_LIMIT_ENABLED === "false" || skip?.(req)) {
+            return next();
+        }
+
+        const storeName = resolve(store);
+        const selectedStore = getRateLimitStore(storeName);
+        if (!selectedStore) {
+            throw new apiError(500, `Unknown rate limit store: ${storeName}`);
+        }
+
+        const options = { strategy, limit: resolve(limit), windowMs: resolve(windowMs), now: Date.now() };
+
+        let result;
+        try {
+            result = await consume(selectedStore, buildKey(req, name, keyBy), options);
+        } catch (error) {
+            // a broken store should not take the whole API down, let the request through
+            console.error("Rate limit store failed:", error);
+            return next();
+        }
+
+        // standard RateLimit-* headers (IETF draft), reset in seconds
+        res.set({
+            "RateLimit-Policy": `${options.limit};w=${Math.ceil(options.windowMs / 1000)}`,
+            "RateLimit-Limit": String(options.limit),
+            "RateLimit-Remaining": String(result.remaining),
+            "RateLimit-Reset": String(Math.ceil(result.resetMs / 1000)),
+        });
+
+        if (!result.allowed) {
+            const retryAfterSeconds = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+            res.set("Retry-After", String(retryAfterSeconds));
+
+            const error = new apiError(429, message, ["rateLimit"]);
+            error.data = { rateLimit: { limit: options.limit, retryAfterSeconds } };
+            throw error;
+        }
+
+        next();
+    };
+};
+
+// a chunk of a resumable upload: PATCH /api/v1/uploads/:uploadId
+const isUploadChunk = (req) => req.method === "PATCH" && /^\/api\/v1\/uploads\/[^/?]+\/?(\?|$)/.test(req.originalUrl);
+
+// default limit for every API request, a token bucket per ip
+const apiRateLimit = rateLimit({
+    name: "api",
+    strategy: "token-bucket",
+    limit: () => numberFromEnv("RATE_LIMIT_MAX", 300),
+    windowMs: () => numberFromEnv("RATE_LIMIT_WINDOW_MS", 15 * 60 * 1000),
+    keyBy: "ip",
+    // chunks are counted by uploadChunkRateLimit instead
+    skip: isUploadChunk,
+});
+
+// upload chunks get their own larger bucket per ip, a big video needs hundreds of them
+// checked before auth like the api limit, so unauthenticated chunk requests are limited too
+const uploadChunkRateLimit = rateLimit({
+    name: "upload-chunk",
+    strategy: "token-bucket",
+    limit: () => numberFromEnv("RATE_LIMIT_UPLOAD_CHUNK_MAX", 1000),
+    windowMs: () => numberFromEnv("RATE_LIMIT_UPLOAD_CHUNK_WINDOW_MS", 15 * 60 * 1000),
+    keyBy: "ip",
+    skip: (req) => !isUploadChunk(req),
+    message: "Too many upload chunks, please try again later",
+});
+
+// tighter limit for login, register and token refresh, counted per ip and route
+const authRateLimit = rateLimit({
+    name: "auth",
+    strategy: "fixed-window",
+    limit: () => numberFromEnv("RATE_LIMIT_AUTH_MAX", 10),
+    windowMs: () => numberFromEnv("RATE_LIMIT_AUTH_WINDOW_MS", 15 * 60 * 1000),
+    keyBy: ["ip", "route"],
+    message: "Too many authentication requests, please try again later",
+});
+
+// one mail per address and route per cooldown (password reset, verification)
+// keyed on the address whether an account exists or not, so the 429 does not reveal registered emails
+const emailRateLimit = rateLimit({
+    name: "email",
+    strategy: "fixed-window",
+    limit: 1,
+    windowMs: () => numberFromEnv("EMAIL_REQUEST_COOLDOWN_SECONDS", 60) * 1000,
+    keyBy: (req) => {
+        const email = typeof req.body?.email === "string" ? req.body.email.trim().toLowerCase() : "";
+        return `${keyParts.route(req)}:${email ? `email:${hashToken(email)}` : keyParts.ip(req)}`;
+    },
+    message: "Please wait before requesting another email",
+});
+
+export default rateLimit;
+export { apiRateLimit, uploadChunkRateLimit, authRateLimit, emailRateLimit };
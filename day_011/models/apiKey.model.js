@@ -0,0 +1,55 @@
+import { Schema, model } from "mongoose";
+import { ALL_PERMISSIONS } from "../config/permissions.config.js";
+
+// API keys for server-to-server access, sent in the X-API-Key header
+// only the hash of a key is stored, the key itself is shown once when it is created
+const apiKeySchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true,
+        },
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 100,
+        },
+        keyHash: {
+            type: String,
+            required: true,
+            unique: true,
+            select: false,
+        },
+        // first characters of the key, so users can tell their keys apart
+        prefix: {
+            type: String,
+            required: true,
+        },
+        // permissions this key may use, on top of the permissions of its owner
+        scopes: {
+            type: [{ type: String, enum: ALL_PERMISSIONS }],
+            default: [],
+        },
+        // null means the key never expires
+        expiresAt: {
+            type: Date,
+            default: null,
+        },
+        lastUsedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    { timestamps: true }
+);
+
+apiKeySchema.methods.isExpired = function () {
+    return Boolean(this.expiresAt && this.expiresAt <= new Date());
+};
+
+const ApiKey = model("ApiKey", apiKeySchema);
+
+export default ApiKey;
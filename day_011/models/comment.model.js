@@ -0,0 +1,50 @@
+import { Schema, model } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+const commentSchema = new Schema(
+    {
+        content: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 1000,
+        },
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video",
+            required: true,
+        },
+        owner: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        // top level comments have no parent, replies point to a top level comment (one level deep)
+        parentComment: {
+            type: Schema.Types.ObjectId,
+            ref: "Comment",
+            default: null,
+        },
+        isPinned: {
+            type: Boolean,
+            default: false,
+        },
+        isEdited: {
+            type: Boolean,
+            default: false,
+        },
+    },
+    { timestamps: true }
+);
+
+// used to list the top level comments of a video
+commentSchema.index({ video: 1, parentComment: 1, createdAt: -1 });
+
+// replies of a comment (oldest first) and reply counts look up by parentComment alone
+commentSchema.index({ parentComment: 1, createdAt: 1 });
+
+commentSchema.plugin(mongooseAggregatePaginate);
+
+const Comment = model("Comment", commentSchema);
+
+export default Comment;
@@ -0,0 +1,47 @@
+import { Schema, model } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+// models that can be liked, mapped to their collection names for $lookup
+export const LIKE_TARGETS = {
+    Video: "videos",
+    Comment: "comments",
+};
+
+const likeSchema = new Schema(
+    {
+        likedBy: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        // polymorphic target: the model name and the id of the liked document
+        targetType: {
+            type: String,
+            enum: Object.keys(LIKE_TARGETS),
+            required: true,
+        },
+        target: {
+            type: Schema.Types.ObjectId,
+            refPath: "targetType",
+            required: true,
+        },
+        reaction: {
+            type: String,
+            enum: ["like", "dislike"],
+            default: "like",
+        },
+    },
+    { timestamps: true }
+);
+
+// a user can react to an item only once (like or dislike)
+likeSchema.index({ likedBy: 1, targetType: 1, target: 1 }, { unique: true });
+
+// used to count likes of an item
+likeSchema.index({ targetType: 1, target: 1, reaction: 1 });
+
+likeSchema.plugin(mongooseAggregatePaginate);
+
+const Like = model("Like", likeSchema);
+
+export default Like;
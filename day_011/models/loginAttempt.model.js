@@ -0,0 +1,37 @@
+import { Schema, model } from "mongoose";
+
+// failed login attempts per account or per ip, shared by every server instance
+const loginAttemptSchema = new Schema(
+    {
+        // "account:<id or identifier>" or "ip:<address>"
+        key: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        failures: {
+            type: Number,
+            default: 0,
+        },
+        lastFailureAt: {
+            type: Date,
+            default: Date.now,
+        },
+        lockedUntil: {
+            type: Date,
+            default: null,
+        },
+        // MongoDB forgets the attempts once this date has passed
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    { timestamps: true }
+);
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = model("LoginAttempt", loginAttemptSchema);
+
+export default LoginAttempt;
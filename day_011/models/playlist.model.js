@@ -0,0 +1,42 @@
+import { Schema, model } from "mongoose";
+
+const playlistSchema = new Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 100,
+        },
+        description: {
+            type: String,
+            trim: true,
+            default: "",
+            maxlength: 1000,
+        },
+        owner: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true,
+        },
+        // videos in playlist order
+        videos: [
+            {
+                type: Schema.Types.ObjectId,
+                ref: "Video",
+            },
+        ],
+        // public: listed on the channel, unlisted: anyone with the id, private: only the owner
+        visibility: {
+            type: String,
+            enum: ["public", "unlisted", "private"],
+            default: "public",
+        },
+    },
+    { timestamps: true }
+);
+
+const Playlist = model("Playlist", playlistSchema);
+
+export default Playlist;
@@ -0,0 +1,36 @@
+import { Schema, model } from "mongoose";
+
+// rate limit counters shared by every server instance
+// fixed window uses count, token bucket uses tokens + refilledAt
+const rateLimitSchema = new Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    count: {
+        type: Number,
+        default: 0,
+    },
+    tokens: {
+        type: Number,
+    },
+    refilledAt: {
+        type: Date,
+    },
+    // result of the last token bucket take
+    allowed: {
+        type: Boolean,
+    },
+    // MongoDB removes the counter once this date has passed
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+});
+
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = model("RateLimit", rateLimitSchema);
+
+export default RateLimit;
@@ -0,0 +1,44 @@
+import { Schema, model } from "mongoose";
+
+// audit log of security related events on an account
+const securityEventSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true,
+        },
+        type: {
+            type: String,
+            enum: [
+                "refresh_token_reuse",
+                // admin actions
+                "account_banned",
+                "account_unbanned",
+                "forced_logout",
+                "forced_password_reset",
+                "role_changed",
+            ],
+            required: true,
+        },
+        ip: {
+            type: String,
+            default: "",
+        },
+        userAgent: {
+            type: String,
+            default: "",
+        },
+        // extra information about the event (session id, token generation, ...)
+        details: {
+            type: Schema.Types.Mixed,
+            default: {},
+        },
+    },
+    { timestamps: true }
+);
+
+const SecurityEvent = model("SecurityEvent", securityEventSchema);
+
+export default SecurityEvent;
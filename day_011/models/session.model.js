@@ -0,0 +1,57 @@
+import { Schema, model } from "mongoose";
+
+// one session per logged in device, each with its own refresh token
+// a session is also a refresh token family: every rotated token carries the session id and a generation number
+const sessionSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true,
+        },
+        // only the hash of the current refresh token is stored
+        refreshTokenHash: {
+            type: String,
+            required: true,
+        },
+        // generation of the current refresh token, increased on every rotation
+        generation: {
+            type: Number,
+            default: 0,
+        },
+        // the token replaced by the last rotation, still accepted for a few seconds (parallel refreshes from two tabs)
+        previousRefreshTokenHash: {
+            type: String,
+            default: null,
+        },
+        rotatedAt: {
+            type: Date,
+            default: null,
+        },
+        userAgent: {
+            type: String,
+            default: "",
+        },
+        ip: {
+            type: String,
+            default: "",
+        },
+        lastUsedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        // when the refresh token expires, MongoDB removes the session automatically
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    { timestamps: true }
+);
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = model("Session", sessionSchema);
+
+export default Session;
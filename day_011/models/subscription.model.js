@@ -1,6 +1,5 @@
 import { Schema, model } from "mongoose";
-import User from "./user.model";
-
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 
 const subscriptionSchema = new Schema(
     {
@@ -18,6 +17,14 @@ const subscriptionSchema = new Schema(
     { timestamps: true }
 );
 
+// a user can subscribe to a channel only once
+subscriptionSchema.index({ subscriber: 1, channel: 1 }, { unique: true });
+
+// used to list and count subscribers of a channel
+subscriptionSchema.index({ channel: 1, createdAt: -1 });
+
+subscriptionSchema.plugin(mongooseAggregatePaginate);
+
 const Subscription = model("Subscription", subscriptionSchema);
 
 export default Subscription;
@@ -0,0 +1,68 @@
+import { Schema, model } from "mongoose";
+
+// a resumable video upload: the client creates it, appends chunks at the current offset, then completes it
+const uploadSchema = new Schema(
+    {
+        owner: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true,
+        },
+        filename: {
+            type: String,
+            required: true,
+        },
+        // mimetype declared by the client, checked against the magic bytes on completion
+        mimetype: {
+            type: String,
+            required: true,
+        },
+        // total size of the file in bytes
+        size: {
+            type: Number,
+            required: true,
+        },
+        // bytes received so far, the next chunk has to start here
+        offset: {
+            type: Number,
+            default: 0,
+        },
+        status: {
+            type: String,
+            enum: ["uploading", "completing"],
+            default: "uploading",
+        },
+        // the request writing a chunk (or completing) holds the upload until this date
+        lockedUntil: {
+            type: Date,
+            default: null,
+        },
+        // details of the video created on completion
+        title: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        desc: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        isPublished: {
+            type: Boolean,
+            default: true,
+        },
+        // abandoned uploads are removed after this date, every chunk pushes it back
+        expiresAt: {
+            type: Date,
+            required: true,
+            index: true,
+        },
+    },
+    { timestamps: true }
+);
+
+const Upload = model("Upload", uploadSchema);
+
+export default Upload;
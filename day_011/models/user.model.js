@@ -1,7 +1,23 @@
 // ---------------------------------------- day 8 ---------------------------
 import { Schema, model } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
+import crypto from "crypto";
+import { hashToken } from "../utils/tokenHash.js";
+import { ROLES, ALL_PERMISSIONS } from "../config/permissions.config.js";
+
+// one resized / re-encoded version of an uploaded image
+const imageVariantSchema = new Schema(
+    {
+        width: Number,
+        height: Number,
+        format: String,
+        url: String,
+        id: String,
+    },
+    { _id: false }
+);
 
 const userSchema = new Schema(
     {
@@ -44,18 +60,148 @@ const userSchema = new Schema(
         coverImageId: {
             type: String,
         },
+        // processed versions of the avatar / cover image, clients pick the size and format they need
+        avatarVariants: [imageVariantSchema],
+        coverImageVariants: [imageVariantSchema],
+        // most recently watched first, one entry per video
         watchHistory: [
             {
-                type: Schema.Types.ObjectId,
-                ref: "Video",
+                _id: false,
+                video: {
+                    type: Schema.Types.ObjectId,
+                    ref: "Video",
+                    required: true,
+                },
+                // last playback position in seconds
+                position: {
+                    type: Number,
+                    default: 0,
+                    min: 0,
+                },
+                watchedAt: {
+                    type: Date,
+                    default: Date.now,
+                },
             },
         ],
         password: {
             type: String,
             required: [true, "password is required"],
         },
-        refreshToken: {
+        // access control, see config/permissions.config.js
+        role: {
+            type: String,
+            enum: ROLES,
+            default: "user",
+        },
+        // extra permissions on top of the role
+        permissions: [
+            {
+                type: String,
+                enum: ALL_PERMISSIONS,
+            },
+        ],
+        // set by an admin, a ban without expiresAt is permanent, with expiresAt it is a suspension
+        ban: {
+            type: new Schema(
+                {
+                    reason: {
+                        type: String,
+                        required: true,
+                    },
+                    bannedAt: {
+                        type: Date,
+                        default: Date.now,
+                    },
+                    expiresAt: {
+                        type: Date,
+                        default: null,
+                    },
+                    bannedBy: {
+                        type: Schema.Types.ObjectId,
+                        ref: "User",
+                    },
+                },
+                { _id: false }
+            ),
+            default: null,
+        },
+        // set when the user deletes the account, the data is purged once scheduledFor has passed
+        deletion: {
+            type: new Schema(
+                {
+                    requestedAt: {
+                        type: Date,
+                        default: Date.now,
+                    },
+                    scheduledFor: {
+                        type: Date,
+                        required: true,
+                    },
+                    // purge steps already done, so a failed purge continues where it stopped
+                    completedSteps: {
+                        type: [String],
+                        default: [],
+                    },
+                    // the instance purging the account holds it until this date
+                    lockedUntil: {
+                        type: Date,
+                        default: null,
+                    },
+                },
+                { _id: false }
+            ),
+            default: null,
+        },
+        // email verification
+        isEmailVerified: {
+            type: Boolean,
+            default: false,
+        },
+        emailVerificationToken: {
+            type: String,
+            select: false,
+        },
+        emailVerificationExpiry: {
+            type: Date,
+            select: false,
+        },
+        emailVerificationSentAt: {
+            type: Date,
+            select: false,
+        },
+        // password reset
+        passwordResetToken: {
+            type: String,
+            select: false,
+        },
+        passwordResetExpiry: {
+            type: Date,
+            select: false,
+        },
+        // two factor authentication (TOTP)
+        twoFactorEnabled: {
+            type: Boolean,
+            default: false,
+        },
+        twoFactorSecret: {
+            type: String,
+            select: false,
+        },
+        // secret waiting for the confirm step during enrollment
+        twoFactorPendingSecret: {
             type: String,
+            select: false,
+        },
+        // hashed one time recovery codes
+        twoFactorRecoveryCodes: {
+            type: [String],
+            select: false,
+        },
+        // last accepted time step, so a code can't be used twice
+        twoFactorLastUsedStep: {
+            type: Number,
+            select: false,
         },
     },
     {
@@ -78,10 +224,17 @@ userSchema.methods.isPasswordMatch = async function (enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// generate jwt token
-userSchema.methods.generateJwtToken = function () {
+// the current ban of the user, or null when not banned (or the suspension is over)
+userSchema.methods.getActiveBan = function () {
+    if (!this.ban) return null;
+    if (this.ban.expiresAt && this.ban.expiresAt <= new Date()) return null;
+    return this.ban;
+};
+
+// generate jwt token, sid is the session (device) the token belongs to
+userSchema.methods.generateJwtToken = function (sessionId) {
     return jwt.sign(
-        { id: this._id, email: this.email, userName: this.userName, fullName: this.fullName },
+        { id: this._id, sid: sessionId, email: this.email, userName: this.userName, fullName: this.fullName },
         process.env.JWT_SECRET,
         {
             expiresIn: process.env.JWT_EXPIRES_IN,
@@ -89,14 +242,49 @@ userSchema.methods.generateJwtToken = function () {
     );
 };
 
-// generate refresh token
-userSchema.methods.generateRefreshToken = function () {
-    return jwt.sign({ id: this._id }, process.env.REFRESH_TOKEN_SECRET, {
+// generate refresh token for a session (token family), jwtid makes every rotated token unique
+userSchema.methods.generateRefreshToken = function (sessionId, generation = 0) {
+    return jwt.sign({ id: this._id, sid: sessionId, gen: generation }, process.env.REFRESH_TOKEN_SECRET, {
         expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN,
+        jwtid: crypto.randomUUID(),
     });
 };
 
 
+// generate a signed, single use email verification token
+// only its hash is stored, it is cleared once the email is verified
+userSchema.methods.generateEmailVerificationToken = function () {
+    const token = jwt.sign(
+        { id: this._id, email: this.email, purpose: "verify-email", nonce: crypto.randomBytes(16).toString("hex") },
+        process.env.EMAIL_VERIFICATION_SECRET || process.env.JWT_SECRET,
+        {
+            expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || "1d",
+        }
+    );
+
+    this.emailVerificationToken = hashToken(token);
+    this.emailVerificationExpiry = new Date(jwt.decode(token).exp * 1000);
+    this.emailVerificationSentAt = new Date();
+
+    return token;
+};
+
+// generate a random, single use password reset token
+// only its hash is stored, it is cleared once the password is reset
+userSchema.methods.generatePasswordResetToken = function () {
+    const token = crypto.randomBytes(32).toString("hex");
+    const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 15;
+
+    this.passwordResetToken = hashToken(token);
+    this.passwordResetExpiry = new Date(Date.now() + minutes * 60 * 1000);
+
+    return token;
+};
+
+userSchema.plugin(mongooseAggregatePaginate);
+
+// accounts waiting to be purged
+userSchema.index({ "deletion.scheduledFor": 1 }, { sparse: true });
 
 const User = model("User", userSchema);
 
@@ -8,10 +8,19 @@ const videoSchema = new mongoose.Schema(
             type: String,
             required: true,
         },
-        thumbnail: {
+        videoFileId: {
             type: String,
             required: true,
         },
+        // generated by the processing job when the uploader does not send one
+        thumbnail: {
+            type: String,
+            default: null,
+        },
+        thumbnailId: {
+            type: String,
+            default: null,
+        },
         title: {
             type: String,
             required: true,
@@ -20,9 +29,17 @@ const videoSchema = new mongoose.Schema(
             type: String,
             required: true,
         },
+        // probed by the processing job (in seconds)
         duration: {
             type: Number,
             required: true,
+            default: 0,
+        },
+        width: {
+            type: Number,
+        },
+        height: {
+            type: Number,
         },
         views: {
             type: Number,
@@ -36,6 +53,82 @@ const videoSchema = new mongoose.Schema(
             type: Schema.Types.ObjectId,
             ref: "User",
         },
+        // what the uploader asked for, applied once processing succeeded
+        publishWhenReady: {
+            type: Boolean,
+            default: false,
+        },
+        // processing job state, null for videos uploaded before processing existed
+        processing: {
+            type: new Schema(
+                {
+                    status: {
+                        type: String,
+                        enum: ["pending", "processing", "ready", "failed"],
+                        default: "pending",
+                    },
+                    attempts: {
+                        type: Number,
+                        default: 0,
+                    },
+                    error: {
+                        type: String,
+                        default: null,
+                    },
+                    // the instance running the job holds the video until this date
+                    lockedUntil: {
+                        type: Date,
+                        default: null,
+                    },
+                    startedAt: Date,
+                    finishedAt: Date,
+                },
+                { _id: false }
+            ),
+            default: null,
+        },
+        // storyboard image: frames of the video in a grid, for previews while seeking
+        sprite: {
+            type: new Schema(
+                {
+                    url: String,
+                    id: String,
+                    columns: Number,
+                    rows: Number,
+                    // seconds between two frames
+                    interval: Number,
+                    frameWidth: Number,
+                    frameHeight: Number,
+                },
+                { _id: false }
+            ),
+            default: null,
+        },
+        // HLS streaming: master playlist and one rendition per resolution
+        hls: {
+            type: new Schema(
+                {
+                    url: String,
+                    id: String,
+                    renditions: [
+                        {
+                            _id: false,
+                            width: Number,
+                            height: Number,
+                            bandwidth: Number,
+                            url: String,
+                        },
+                    ],
+                },
+                { _id: false }
+            ),
+            default: null,
+        },
+        // every stored HLS file (playlists and segments), removed with the video
+        streamFileIds: {
+            type: [String],
+            select: false,
+        },
     },
     {
         timestamps: true,
@@ -44,6 +137,9 @@ const videoSchema = new mongoose.Schema(
 
 videoSchema.plugin(mongooseAggregatePaginate);
 
+// videos waiting for the processing job
+videoSchema.index({ "processing.status": 1 }, { sparse: true });
+
 const Video = mongoose.model("Video", videoSchema);
 
 export default Video;
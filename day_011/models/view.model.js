@@ -0,0 +1,45 @@
+import { Schema, model } from "mongoose";
+
+// one document per counted view: a viewer is counted at most once per video per VIEW_WINDOW_HOURS (sliding)
+const viewSchema = new Schema(
+    {
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video",
+            required: true,
+        },
+        // owner of the video, kept here so channel stats don't need to join videos
+        channel: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        // "user:<id>" for logged in viewers, "anon:<hash>" for anonymous ones
+        viewer: {
+            type: String,
+            required: true,
+        },
+        // the last counted view of this viewer for this video, older ones are set to false
+        isLatest: {
+            type: Boolean,
+            default: true,
+        },
+    },
+    { timestamps: true }
+);
+
+// views are kept for 90 days, then MongoDB removes them: the totals live on the videos, the views themselves are only
+// needed for the counting window (VIEW_WINDOW_HOURS must stay below this) and the statistics of recent periods
+const VIEW_RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+// only one latest view per viewer and video, this is what makes counting safe across parallel requests and servers
+viewSchema.index({ video: 1, viewer: 1 }, { unique: true, partialFilterExpression: { isLatest: true } });
+
+// used for channel statistics
+viewSchema.index({ channel: 1, createdAt: -1 });
+
+viewSchema.index({ createdAt: 1 }, { expireAfterSeconds: VIEW_RETENTION_SECONDS });
+
+const View = model("View", viewSchema);
+
+export default View;
@@ -0,0 +1,42 @@
+import { Router } from "express";
+import {
+    listUsers,
+    getUserDetails,
+    banUser,
+    unbanUser,
+    forceLogout,
+    forcePasswordReset,
+    changeUserRole,
+} from "../controllers/admin.controller.js";
+import verifyJWT from "../middlewares/auth.middleware.js";
+import authorize from "../middlewares/authorize.middleware.js";
+
+const router = Router();
+
+// every admin route needs a logged in user, permissions are checked per route
+router.use(verifyJWT);
+
+// search users, e.g. /api/v1/admin/users?query=kush&role=moderator&status=banned&page=1
+router.get("/users", authorize("user:manage"), listUsers);
+
+// http://localhost:3000/api/v1/admin/users
+
+// full profile of a user, moderators can see it too
+router.get("/users/:userId", authorize("moderation:read"), getUserDetails);
+
+// ban / suspend, body: { "reason": "...", "expiresAt": "2026-12-31" }
+router.post("/users/:userId/ban", authorize("user:ban"), banUser);
+
+// lift a ban
+router.delete("/users/:userId/ban", authorize("user:ban"), unbanUser);
+
+// log out every device of a user
+router.post("/users/:userId/logout", authorize("user:ban"), forceLogout);
+
+// force a password reset
+router.post("/users/:userId/reset-password", authorize("user:ban"), forcePasswordReset);
+
+// change role and extra permissions, body: { "role": "moderator", "permissions": [] }
+router.patch("/users/:userId/role", authorize("user:role"), changeUserRole);
+
+export default router;
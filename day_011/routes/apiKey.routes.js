@@ -0,0 +1,24 @@
+import { Router } from "express";
+import { createApiKey, getApiKeys, updateApiKey, revokeApiKey } from "../controllers/apiKey.controller.js";
+import verifyJWT, { denyApiKey } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+// keys are managed with a logged in session only, an API key can't create more keys
+router.use(verifyJWT, denyApiKey);
+
+// create a key, body: { "name": "deploy bot", "scopes": ["video:create"], "expiresAt": "2027-01-01" }
+router.post("/", createApiKey);
+
+// http://localhost:3000/api/v1/api-keys
+
+// list keys
+router.get("/", getApiKeys);
+
+// rename a key or change its scopes
+router.patch("/:keyId", updateApiKey);
+
+// revoke a key
+router.delete("/:keyId", revokeApiKey);
+
+export default router;
@@ -0,0 +1,35 @@
+import { Router } from "express";
+import {
+    getVideoComments,
+    getCommentReplies,
+    addComment,
+    updateComment,
+    deleteComment,
+    togglePinComment,
+} from "../controllers/comment.controller.js";
+import verifyJWT from "../middlewares/auth.middleware.js";
+import authorize from "../middlewares/authorize.middleware.js";
+
+const router = Router();
+
+// get comments of a video
+router.get("/v/:videoId", verifyJWT, authorize("content:read"), getVideoComments);
+
+// http://localhost:3000/api/v1/comments/v/:videoId
+
+// add a comment, body: { "content": "...", "parentComment": "<commentId>" (optional, for replies) }
+router.post("/v/:videoId", verifyJWT, authorize("comment:create"), addComment);
+
+// get replies of a comment
+router.get("/c/:commentId/replies", verifyJWT, authorize("content:read"), getCommentReplies);
+
+// edit own comment
+router.patch("/c/:commentId", verifyJWT, authorize("comment:update"), updateComment);
+
+// pin / unpin a comment (video owner, it changes how the video page looks)
+router.patch("/c/:commentId/pin", verifyJWT, authorize("video:update"), togglePinComment);
+
+// delete a comment (author, video owner or moderator with comment:moderate)
+router.delete("/c/:commentId", verifyJWT, authorize("comment:delete"), deleteComment);
+
+export default router;
@@ -0,0 +1,13 @@
+import { Router } from "express";
+import { getChannelStats } from "../controllers/dashboard.controller.js";
+import verifyJWT from "../middlewares/auth.middleware.js";
+import authorize from "../middlewares/authorize.middleware.js";
+
+const router = Router();
+
+// stats of the authenticated user's channel
+router.get("/stats", verifyJWT, authorize("user:read"), getChannelStats);
+
+// http://localhost:3000/api/v1/dashboard/stats
+
+export default router;
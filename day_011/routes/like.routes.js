@@ -0,0 +1,22 @@
+import { Router } from "express";
+import { toggleVideoLike, toggleCommentLike, getVideoLikes, getLikedVideos } from "../controllers/like.controller.js";
+import verifyJWT from "../middlewares/auth.middleware.js";
+import authorize from "../middlewares/authorize.middleware.js";
+
+const router = Router();
+
+// videos liked by the logged in user
+router.get("/videos", verifyJWT, authorize("user:read"), getLikedVideos);
+
+// http://localhost:3000/api/v1/likes/videos
+
+// like / dislike a video, body: { "reaction": "like" | "dislike" }
+router.post("/v/:videoId", verifyJWT, authorize("like:manage"), toggleVideoLike);
+
+// like / dislike counts of a video
+router.get("/v/:videoId", verifyJWT, authorize("content:read"), getVideoLikes);
+
+// like / dislike a comment, body: { "reaction": "like" | "dislike" }
+router.post("/c/:commentId", verifyJWT, authorize("like:manage"), toggleCommentLike);
+
+export default router;
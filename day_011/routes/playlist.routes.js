@@ -0,0 +1,39 @@
+import { Router } from "express";
+import {
+    createPlaylist,
+    getPlaylistById,
+    updatePlaylist,
+    deletePlaylist,
+    addVideoToPlaylist,
+    removeVideoFromPlaylist,
+    reorderPlaylistVideos,
+} from "../controllers/playlist.controller.js";
+import verifyJWT from "../middlewares/auth.middleware.js";
+import authorize from "../middlewares/authorize.middleware.js";
+
+const router = Router();
+
+// create a playlist, body: { "name": "...", "description": "...", "visibility": "public" | "unlisted" | "private" }
+router.post("/", verifyJWT, authorize("playlist:manage"), createPlaylist);
+
+// http://localhost:3000/api/v1/playlists
+
+// get a playlist with its videos
+router.get("/:playlistId", verifyJWT, authorize("content:read"), getPlaylistById);
+
+// update name, description or visibility
+router.patch("/:playlistId", verifyJWT, authorize("playlist:manage"), updatePlaylist);
+
+// delete a playlist
+router.delete("/:playlistId", verifyJWT, authorize("playlist:manage"), deletePlaylist);
+
+// reorder videos, body: { "videoIds": [...] }
+router.patch("/:playlistId/videos", verifyJWT, authorize("playlist:manage"), reorderPlaylistVideos);
+
+// add a video to a playlist
+router.post("/:playlistId/videos/:videoId", verifyJWT, authorize("playlist:manage"), addVideoToPlaylist);
+
+// remove a video from a playlist
+router.delete("/:playlistId/videos/:videoId", verifyJWT, authorize("playlist:manage"), removeVideoFromPlaylist);
+
+export default router;
@@ -0,0 +1,16 @@
+import { Router } from "express";
+import { toggleSubscription, getChannelSubscribers } from "../controllers/subscription.controller.js";
+import verifyJWT from "../middlewares/auth.middleware.js";
+import authorize from "../middlewares/authorize.middleware.js";
+
+const router = Router();
+
+// subscribe / unsubscribe to a channel
+router.post("/c/:channelId", verifyJWT, authorize("subscription:manage"), toggleSubscription);
+
+// http://localhost:3000/api/v1/subscriptions/c/:channelId
+
+// get subscribers of a channel
+router.get("/c/:channelId", verifyJWT, authorize("content:read"), getChannelSubscribers);
+
+export default router;
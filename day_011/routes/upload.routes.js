@@ -0,0 +1,39 @@
+import { Router } from "express";
+import {
+    createUpload,
+    getUploadStatus,
+    appendChunk,
+    completeUpload,
+    cancelUpload,
+} from "../controllers/upload.controller.js";
+import { createUploader } from "../middlewares/multer.middleware.js";
+import verifyJWT from "../middlewares/auth.middleware.js";
+import authorize from "../middlewares/authorize.middleware.js";
+
+const router = Router();
+
+router.use(verifyJWT, authorize("video:create"));
+
+// start a resumable video upload
+// body: { "filename": "talk.mp4", "size": 734003200, "mimetype": "video/mp4", "title": "...", "desc": "..." }
+router.post("/", createUpload);
+
+// http://localhost:3000/api/v1/uploads
+
+// current offset, to resume after a lost connection
+router.get("/:uploadId", getUploadStatus);
+
+// append a chunk: raw body, headers "Upload-Offset: <offset>" and "Upload-Checksum: sha256 <base64 digest>"
+router.patch("/:uploadId", appendChunk);
+
+// create the video once every byte is uploaded, multipart form with an optional thumbnail
+router.post(
+    "/:uploadId/complete",
+    createUploader(["image/jpeg", "image/png", "image/gif"], 5).single("thumbnail"),
+    completeUpload
+);
+
+// cancel an upload
+router.delete("/:uploadId", cancelUpload);
+
+export default router;
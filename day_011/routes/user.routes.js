@@ -9,9 +9,29 @@ import {
     updateUserProfile,
     getUserChannel,
     getSubscribedChannels,
+    getWatchHistory,
+    addToWatchHistory,
+    removeFromWatchHistory,
+    clearWatchHistory,
+    verifyEmail,
+    resendVerificationEmail,
+    forgotPassword,
+    resetPassword,
+    getSessions,
+    revokeSession,
+    revokeAllSessions,
+    enrollTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    loginWithTwoFactor,
+    deleteAccount,
+    restoreAccount,
 } from "../controllers/user.controller.js";
+import { getUserPlaylists } from "../controllers/playlist.controller.js";
 import { createUploader } from "../middlewares/multer.middleware.js";
-import verifyJWT from "../middlewares/auth.middleware.js";
+import verifyJWT, { denyApiKey } from "../middlewares/auth.middleware.js";
+import authorize from "../middlewares/authorize.middleware.js";
+import { authRateLimit, emailRateLimit } from "../middlewares/rateLimit.middleware.js";
 
 const router = Router();
 
@@ -19,6 +39,7 @@ const router = Router();
 // and DO NOT add any other body parser middleware
 router.post(
     "/register",
+    authRateLimit,
     createUploader(["image/jpeg", "image/png", "image/gif"], 5).fields([
         { name: "avatar", maxCount: 1 },
         { name: "coverImage", maxCount: 1 },
@@ -37,20 +58,36 @@ router.post(
 // router.post("/upload-documents", documentUploader.array('documents', 5), handleDocumentUpload);
 
 // login route
-router.post("/login", loginUser);
+router.post("/login", authRateLimit, loginUser);
+
+// second login step when 2FA is on, body: { "challengeToken": "...", "code": "123456" } or { ..., "recoveryCode": "..." }
+router.post("/login/2fa", authRateLimit, loginWithTwoFactor);
+
+// verify email with the token from the verification link
+router.post("/verify-email/:token", verifyEmail);
+
+// resend verification email, body: { "email": "..." }
+router.post("/resend-verification", authRateLimit, emailRateLimit, resendVerificationEmail);
+
+// send a password reset link, body: { "email": "..." }
+router.post("/forgot-password", authRateLimit, emailRateLimit, forgotPassword);
+
+// set a new password with the token from the reset link, body: { "password": "..." }
+router.post("/reset-password/:token", resetPassword);
 
 // get user profile
-router.get("/profile", verifyJWT, getUserProfile);
+router.get("/profile", verifyJWT, authorize("user:read"), getUserProfile);
 
 // change password
-router.post("/change-password", verifyJWT, changePassword);
+router.post("/change-password", verifyJWT, denyApiKey, changePassword);
 
-router.post("/logout", verifyJWT, logoutUser);
+router.post("/logout", verifyJWT, denyApiKey, logoutUser);
 
 // update user profile
 router.patch(
     "/profile",
     verifyJWT,
+    authorize("user:update"),
     createUploader(["image/jpeg", "image/png", "image/gif"], 5).fields([
         { name: "avatar", maxCount: 1 },
         { name: "coverImage", maxCount: 1 },
@@ -59,12 +96,47 @@ router.patch(
 );
 
 // token refresh
-router.post("/token", generateNewTokens);
+router.post("/token", authRateLimit, generateNewTokens);
+
+// Two factor authentication: enroll -> confirm with a code -> (later) disable with the password
+router.post("/2fa/enroll", verifyJWT, denyApiKey, enrollTwoFactor);
+router.post("/2fa/confirm", verifyJWT, denyApiKey, confirmTwoFactor);
+router.post("/2fa/disable", verifyJWT, denyApiKey, disableTwoFactor);
+
+// Logged in devices of the authenticated user
+router.get("/sessions", verifyJWT, denyApiKey, getSessions);
+
+// Log out one device
+router.delete("/sessions/:sessionId", verifyJWT, denyApiKey, revokeSession);
+
+// Log out everywhere
+router.delete("/sessions", verifyJWT, denyApiKey, revokeAllSessions);
+
+// Delete your account, body: { "password": "..." } (purged after the grace period)
+router.delete("/me", verifyJWT, denyApiKey, deleteAccount);
+
+// Restore an account during its grace period, body: { "email": "...", "password": "..." }
+router.post("/me/restore", authRateLimit, restoreAccount);
 
 // Get user channel by username
 router.get("/channel/:userName", getUserChannel);
 
 // Get all channels that the authenticated user is subscribed to
-router.get("/subscriptions", verifyJWT, getSubscribedChannels);
+router.get("/subscriptions", verifyJWT, authorize("user:read"), getSubscribedChannels);
+
+// Get playlists of a user (only public ones unless it is your own channel)
+router.get("/:userName/playlists", verifyJWT, authorize("content:read"), getUserPlaylists);
+
+// Watch history of the authenticated user
+router.get("/history", verifyJWT, authorize("user:read"), getWatchHistory);
+
+// Record a watch with the last playback position, e.g. { "position": 42 }
+router.post("/history/:videoId", verifyJWT, authorize("history:manage"), addToWatchHistory);
+
+// Remove one video from watch history
+router.delete("/history/:videoId", verifyJWT, authorize("history:manage"), removeFromWatchHistory);
+
+// Clear the whole watch history
+router.delete("/history", verifyJWT, authorize("history:manage"), clearWatchHistory);
 
 export default router;
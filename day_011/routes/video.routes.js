@@ -0,0 +1,70 @@
+import { Router } from "express";
+import {
+    getAllVideos,
+    publishVideo,
+    getVideoById,
+    updateVideo,
+    updateVideoThumbnail,
+    deleteVideo,
+    togglePublishStatus,
+    retryVideoProcessing,
+    addVideoView,
+} from "../controllers/video.controller.js";
+import { createUploader } from "../middlewares/multer.middleware.js";
+import verifyJWT, { optionalVerifyJWT } from "../middlewares/auth.middleware.js";
+import authorize from "../middlewares/authorize.middleware.js";
+
+const router = Router();
+
+const imageTypes = ["image/jpeg", "image/png", "image/gif"];
+const videoTypes = ["video/mp4", "video/webm", "video/quicktime", "video/x-matroska"];
+
+// upload a new video, the thumbnail is optional (one is generated while processing)
+// each field only takes its own kind of file: a video of up to 100MB, an image of up to 5MB
+router.post(
+    "/",
+    verifyJWT,
+    authorize("video:create"),
+    createUploader(videoTypes, 100).fields([
+        { name: "videoFile", maxCount: 1 },
+        { name: "thumbnail", maxCount: 1, types: imageTypes, maxSizeMB: 5 },
+    ]),
+    publishVideo
+);
+
+// http://localhost:3000/api/v1/videos
+
+// list published videos
+// e.g. /api/v1/videos?page=1&limit=10&sortBy=views&sortType=desc&duration=short&query=node
+router.get("/", verifyJWT, authorize("content:read"), getAllVideos);
+
+// get a single video
+router.get("/:videoId", verifyJWT, authorize("content:read"), getVideoById);
+
+// update title and description
+router.patch("/:videoId", verifyJWT, authorize("video:update"), updateVideo);
+
+// replace thumbnail
+router.patch(
+    "/:videoId/thumbnail",
+    verifyJWT,
+    authorize("video:update"),
+    createUploader(imageTypes, 5).single("thumbnail"),
+    updateVideoThumbnail
+);
+
+// publish / unpublish
+// owners toggle their own videos, moderators (video:moderate) can unpublish any video
+router.patch("/:videoId/publish", verifyJWT, authorize("video:update"), togglePublishStatus);
+
+// run the processing job again after it failed
+router.post("/:videoId/processing/retry", verifyJWT, authorize("video:update"), retryVideoProcessing);
+
+// count a view, works for logged in and anonymous viewers
+router.post("/:videoId/views", optionalVerifyJWT, addVideoView);
+
+// delete video
+// owners delete their own videos, moderators (video:moderate) can delete any video
+router.delete("/:videoId", verifyJWT, authorize("video:delete"), deleteVideo);
+
+export default router;
@@ -71,20 +71,49 @@ dotenv.config({
     path: "./.env",
 });
 
+import mongoose from "mongoose";
 import connectDB from "./config/db.config.js";
 import app from "./src/app.js";
 import { clearTempUploads } from "./utils/staticFiles.js";
+import { startAccountDeletionWorker } from "./utils/accountDeletion.js";
+import { startUploadCleanupWorker } from "./utils/uploadCleanup.js";
+import { startVideoProcessingWorker } from "./utils/videoProcessing.js";
+import { stopViewCounter } from "./utils/viewCounter.js";
+import { assertMailerConfigured } from "./utils/mailer.js";
 
 const port = process.env.PORT || 3000;
 
+// refuse to start in production without a real mail transport
+assertMailerConfigured();
+
 // Clear temporary uploads on server startup
 await clearTempUploads();
 
 connectDB()
     .then(() => {
-        app.listen(process.env.PORT || 8000, () => {
+        // purge accounts whose deletion grace period is over
+        startAccountDeletionWorker();
+
+        // remove resumable uploads that were abandoned
+        startUploadCleanupWorker();
+
+        // probe, thumbnail and transcode uploaded videos to HLS
+        startVideoProcessingWorker();
+
+        const server = app.listen(process.env.PORT || 8000, () => {
             console.log(`⚙️ Server running at http://localhost:${port}`);
         });
+
+        // stop taking requests and write the buffered view counts before exiting (deploys, Ctrl+C)
+        const shutdown = async (signal) => {
+            console.log(`${signal} received, shutting down`);
+            server.close();
+            await stopViewCounter();
+            await mongoose.disconnect();
+            process.exit(0);
+        };
+        process.once("SIGTERM", shutdown);
+        process.once("SIGINT", shutdown);
     })
     .catch((err) => {
         console.log("MONGO db connection failed !!! ", err);
@@ -22,6 +22,16 @@ serveStaticFiles(app);
 
 app.use(cookieParser());
 
+// day_011: req.ip is the client address only when the proxy in front of the app is trusted
+if (process.env.TRUST_PROXY) {
+    app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
+// day_011: rate limit every API request (login, register and token have tighter limits in user.routes.js)
+// upload chunks are counted in their own bucket
+import { apiRateLimit, uploadChunkRateLimit } from "../middlewares/rateLimit.middleware.js";
+app.use("/api", apiRateLimit, uploadChunkRateLimit);
+
 // day_010 -----------------------------------------------------
 import userRouter from "../routes/user.routes.js";
 import apiError from "../utils/apiError.js";
@@ -35,21 +45,59 @@ app.use("/api/v1/users", userRouter);
 
 // day_010 ----------------------------------------------
 
+// day_011 ----------------------------------------------
+import videoRouter from "../routes/video.routes.js";
+import subscriptionRouter from "../routes/subscription.routes.js";
+import likeRouter from "../routes/like.routes.js";
+import commentRouter from "../routes/comment.routes.js";
+import playlistRouter from "../routes/playlist.routes.js";
+import dashboardRouter from "../routes/dashboard.routes.js";
+import adminRouter from "../routes/admin.routes.js";
+import apiKeyRouter from "../routes/apiKey.routes.js";
+import uploadRouter from "../routes/upload.routes.js";
+
+// Video routes - upload, update, publish and delete videos
+app.use("/api/v1/videos", videoRouter);
+
+// Subscription routes - subscribe / unsubscribe and channel subscribers
+app.use("/api/v1/subscriptions", subscriptionRouter);
+
+// Like routes - like / dislike videos and liked videos list
+app.use("/api/v1/likes", likeRouter);
+
+// Comment routes - comments and replies on videos
+app.use("/api/v1/comments", commentRouter);
+
+// Playlist routes - create playlists and organize videos
+app.use("/api/v1/playlists", playlistRouter);
+
+// Dashboard routes - channel stats for creators
+app.use("/api/v1/dashboard", dashboardRouter);
+
+// Admin routes - user management for operators
+app.use("/api/v1/admin", adminRouter);
+
+// API key routes - keys for server-to-server access
+app.use("/api/v1/api-keys", apiKeyRouter);
+
+// Upload routes - resumable chunked uploads for large videos
+app.use("/api/v1/uploads", uploadRouter);
+
+// day_011 ----------------------------------------------
+
 // Global error handling middleware
 app.use((err, req, res, next) => {
     console.error("Error encountered:", err);
 
     // Check if request had files uploaded and clean them up
-    if (req.files) {
+    if (req.files || req.file) {
         const filesToDelete = [];
 
-        // Collect file paths from all files in req.files
-        Object.values(req.files).forEach((fileArray) => {
-            fileArray.forEach((file) => {
-                if (file && file.path) {
-                    filesToDelete.push(file.path);
-                }
-            });
+        // Collect file paths from all files in req.files (and req.file for single uploads)
+        [...Object.values(req.files || {}).flat(), req.file].forEach((file) => {
+            if (file && file.path) {
+                filesToDelete.push(file.path);
+            }
         });
 
         // Delete all collected files
@@ -0,0 +1,123 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { Types } from "mongoose";
+import User from "../models/user.model.js";
+import Video from "../models/video.model.js";
+import Session from "../models/session.model.js";
+import ApiKey from "../models/apiKey.model.js";
+import Subscription from "../models/subscription.model.js";
+import Playlist from "../models/playlist.model.js";
+import Comment from "../models/comment.model.js";
+import Like from "../models/like.model.js";
+import SecurityEvent from "../models/securityEvent.model.js";
+import { scheduleAccountDeletion, purgeAccount, purgeDueAccounts } from "../utils/accountDeletion.js";
+import { queryOf } from "./helpers.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const userDueForDeletion = (completedSteps = []) => ({
+    _id: new Types.ObjectId(),
+    avatarVariants: [],
+    coverImageVariants: [],
+    deletion: { scheduledFor: new Date(Date.now() - 1000), completedSteps: [...completedSteps] },
+});
+
+describe("account deletion", () => {
+    const env = { ...process.env };
+    let calls;
+
+    // record which model was cleaned up, in order
+    const track = (Model, method, result = { deletedCount: 0 }) =>
+        mock.method(Model, method, () => {
+            calls.push(`${Model.modelName}.${method}`);
+            return method === "find" ? queryOf([]) : Promise.resolve(result);
+        });
+
+    beforeEach(() => {
+        calls = [];
+        process.env.LOGIN_ATTEMPT_STORE = "memory";
+        track(Session, "deleteMany");
+        track(ApiKey, "deleteMany");
+        track(Video, "find");
+        track(Comment, "find");
+        track(Comment, "deleteMany");
+        track(Like, "deleteMany");
+        track(Subscription, "deleteMany");
+        track(Playlist, "deleteMany");
+        track(SecurityEvent, "deleteMany");
+        mock.method(User, "updateOne", async () => ({ modifiedCount: 1 }));
+        track(User, "deleteOne");
+    });
+
+    afterEach(() => {
+        process.env = { ...env };
+        mock.restoreAll();
+    });
+
+    it("schedules the deletion after the grace period and logs the user out", async () => {
+        process.env.ACCOUNT_DELETION_GRACE_DAYS = "7";
+        const user = new User({ userName: "jane", email: "jane@example.com", fullName: "Jane", password: "x" });
+        mock.method(user, "save", async () => user);
+
+        const deletion = await scheduleAccountDeletion(user);
+
+        const delay = deletion.scheduledFor - deletion.requestedAt;
+        assert.ok(Math.abs(delay - 7 * DAY_MS) < 1000);
+        assert.deepEqual(calls, ["Session.deleteMany", "ApiKey.deleteMany"]);
+    });
+
+    it("purges every step in order, then deletes the user", async () => {
+        const user = userDueForDeletion();
+
+        await purgeAccount(user);
+
+        assert.deepEqual(user.deletion.completedSteps, [
+            "credentials",
+            "videos",
+            "comments",
+            "subscriptions",
+            "playlists",
+            "images",
+            "security",
+        ]);
+        assert.equal(User.updateOne.mock.callCount(), 7);
+        assert.equal(calls.at(-1), "User.deleteOne");
+    });
+
+    it("resumes after the last completed step", async () => {
+        const user = userDueForDeletion(["credentials", "videos", "comments"]);
+
+        await purgeAccount(user);
+
+        assert.equal(calls.includes("Session.deleteMany"), false);
+        assert.equal(calls.includes("Video.find"), false);
+        assert.equal(calls.includes("Comment.find"), false);
+        assert.ok(calls.includes("Subscription.deleteMany"));
+    });
+
+    it("keeps the user and the finished steps when a step fails", async () => {
+        const user = userDueForDeletion();
+        mock.method(Subscription, "deleteMany", async () => {
+            throw new Error("database is down");
+        });
+
+        await assert.rejects(purgeAccount(user), /database is down/);
+
+        assert.deepEqual(user.deletion.completedSteps, ["credentials", "videos", "comments"]);
+        assert.equal(calls.includes("User.deleteOne"), false);
+    });
+
+    it("goes on with the next account when a purge fails", async () => {
+        const failing = userDueForDeletion();
+        const healthy = userDueForDeletion();
+        const due = [failing, healthy];
+        mock.method(User, "findOneAndUpdate", async () => due.shift() || null);
+        mock.method(SecurityEvent, "deleteMany", async (filter) => {
+            if (filter.user === failing._id) throw new Error("database is down");
+        });
+        mock.method(console, "error", () => null);
+
+        assert.equal(await purgeDueAccounts(), 1);
+        assert.equal(User.deleteOne.mock.calls[0].arguments[0]._id, healthy._id);
+    });
+});
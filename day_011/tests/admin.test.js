@@ -0,0 +1,128 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/user.model.js";
+import Session from "../models/session.model.js";
+import SecurityEvent from "../models/securityEvent.model.js";
+import {
+    banUser,
+    unbanUser,
+    forceLogout,
+    forcePasswordReset,
+    changeUserRole,
+} from "../controllers/admin.controller.js";
+import { registerTransport } from "../utils/mailer.js";
+import { createReq, runHandler, queryOf } from "./helpers.js";
+
+const newUser = (role, overrides = {}) =>
+    new User({
+        username: `${role}user`,
+        email: `${role}@example.com`,
+        fullName: role,
+        password: "secret",
+        role,
+        ...overrides,
+    });
+
+// a request from `actor` on `target`, the target is what User.findById returns
+const actOn = (handler, actor, target, body = {}) => {
+    mock.method(User, "findById", () => queryOf(target));
+    return runHandler(handler, createReq({ user: actor, params: { userId: String(target._id) }, body }));
+};
+
+describe("admin actions", () => {
+    const env = { ...process.env };
+    let sent;
+
+    beforeEach(() => {
+        sent = [];
+        registerTransport("test", async (mail) => {
+            sent.push(mail);
+        });
+        process.env.MAIL_TRANSPORT = "test";
+
+        mock.method(User.prototype, "save", async function () {
+            return this;
+        });
+        mock.method(Session, "deleteMany", async () => ({ deletedCount: 1 }));
+        mock.method(SecurityEvent, "create", async () => null);
+    });
+
+    afterEach(() => {
+        process.env = { ...env };
+        mock.restoreAll();
+    });
+
+    it("lets an admin ban a regular user", async () => {
+        const { res, error } = await actOn(banUser, newUser("admin"), newUser("user"), { reason: "spam" });
+
+        assert.equal(error, undefined);
+        assert.equal(res.statusCode, 200);
+    });
+
+    it("forbids acting on users ranking at or above the caller", async () => {
+        // a moderator who was given the admin permissions on top of the role
+        const moderator = newUser("moderator", { permissions: ["user:ban", "user:role"] });
+
+        for (const [handler, body] of [
+            [banUser, { reason: "spam" }],
+            [unbanUser, {}],
+            [forceLogout, {}],
+            [forcePasswordReset, {}],
+            [changeUserRole, { role: "user" }],
+        ]) {
+            const admin = await actOn(handler, moderator, newUser("admin"), body);
+            assert.equal(admin.error?.statusCode, 403, handler.name);
+
+            const peer = await actOn(handler, moderator, newUser("moderator"), body);
+            assert.equal(peer.error?.statusCode, 403, handler.name);
+        }
+
+        assert.equal(sent.length, 0);
+    });
+
+    it("rejects any change of your own permissions", async () => {
+        const admin = newUser("admin");
+
+        const { error } = await actOn(changeUserRole, admin, admin, { permissions: ["video:moderate"] });
+
+        assert.equal(error?.statusCode, 400);
+    });
+
+    it("does not let a caller hand out a role or permissions they don't have", async () => {
+        const moderator = newUser("moderator", { permissions: ["user:role"] });
+
+        const role = await actOn(changeUserRole, moderator, newUser("user"), { role: "admin" });
+        assert.equal(role.error?.statusCode, 403);
+
+        const permissions = await actOn(changeUserRole, moderator, newUser("user"), { permissions: ["user:ban"] });
+        assert.equal(permissions.error?.statusCode, 403);
+    });
+
+    it("keeps the password and sessions when the reset mail fails", async () => {
+        registerTransport("test", async () => {
+            throw new Error("smtp down");
+        });
+        mock.method(console, "error", () => null);
+        const user = newUser("user");
+        const password = user.password;
+
+        const { error } = await actOn(forcePasswordReset, newUser("admin"), user);
+
+        assert.ok(error);
+        assert.equal(user.password, password);
+        assert.equal(Session.deleteMany.mock.callCount(), 0);
+    });
+
+    it("locks the password and logs the user out once the mail is sent", async () => {
+        const user = newUser("user");
+        const password = user.password;
+
+        const { res, error } = await actOn(forcePasswordReset, newUser("admin"), user);
+
+        assert.equal(error, undefined);
+        assert.equal(res.statusCode, 200);
+        assert.equal(sent.length, 1);
+        assert.notEqual(user.password, password);
+        assert.equal(Session.deleteMany.mock.callCount(), 1);
+    });
+});
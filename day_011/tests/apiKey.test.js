@@ -0,0 +1,139 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import app from "../src/app.js";
+import User from "../models/user.model.js";
+import Video from "../models/video.model.js";
+import Comment from "../models/comment.model.js";
+import ApiKey from "../models/apiKey.model.js";
+import { startServer, queryOf } from "./helpers.js";
+
+const id = () => String(new mongoose.Types.ObjectId());
+
+describe("API key scopes", () => {
+    let server;
+    let moderator;
+    let scopes;
+
+    before(async () => {
+        process.env.RATE_LIMIT_ENABLED = "false";
+        server = await startServer(app);
+    });
+
+    after(async () => {
+        delete process.env.RATE_LIMIT_ENABLED;
+        await server.close();
+    });
+
+    beforeEach(() => {
+        scopes = [];
+        moderator = new User({
+            userName: "mod",
+            email: "mod@example.com",
+            fullName: "mod",
+            password: "x",
+            avatar: "a",
+            avatarId: "a",
+            role: "moderator",
+        });
+
+        // every request authenticates with a key of the moderator that has `scopes`
+        mock.method(ApiKey, "findOne", () =>
+            queryOf({ _id: id(), user: moderator._id, scopes, isExpired: () => false })
+        );
+        mock.method(ApiKey, "updateOne", async () => ({ modifiedCount: 1 }));
+        mock.method(User, "findById", () => queryOf(moderator));
+        mock.method(console, "error", () => null);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const request = (method, url) =>
+        fetch(`${server.url}/api/v1${url}`, {
+            method,
+            headers: { "x-api-key": "mbk_test", "content-type": "application/json" },
+            body: method === "GET" ? undefined : "{}",
+        });
+
+    const routes = [
+        ["POST", `/likes/v/${id()}`, "like:manage"],
+        ["POST", `/likes/c/${id()}`, "like:manage"],
+        ["GET", "/likes/videos", "user:read"],
+        ["POST", `/subscriptions/c/${id()}`, "subscription:manage"],
+        ["GET", "/users/history", "user:read"],
+        ["POST", `/users/history/${id()}`, "history:manage"],
+        ["DELETE", `/users/history/${id()}`, "history:manage"],
+        ["DELETE", "/users/history", "history:manage"],
+        ["GET", "/users/subscriptions", "user:read"],
+        ["GET", "/users/profile", "user:read"],
+        ["GET", "/dashboard/stats", "user:read"],
+        ["GET", "/videos", "content:read"],
+        ["GET", `/videos/${id()}`, "content:read"],
+        ["GET", `/playlists/${id()}`, "content:read"],
+        ["GET", "/users/mod/playlists", "content:read"],
+        ["GET", `/comments/v/${id()}`, "content:read"],
+        ["GET", `/comments/c/${id()}/replies`, "content:read"],
+        ["GET", `/likes/v/${id()}`, "content:read"],
+        ["GET", `/subscriptions/c/${id()}`, "content:read"],
+        ["PATCH", `/comments/c/${id()}/pin`, "video:update"],
+        ["GET", `/admin/users/${id()}`, "moderation:read"],
+    ];
+
+    for (const [method, url, permission] of routes) {
+        it(`rejects ${method} ${url.replace(/[0-9a-f]{24}/, ":id")} without the ${permission} scope`, async () => {
+            const response = await request(method, url);
+            const body = await response.json();
+
+            assert.equal(response.status, 403);
+            assert.deepEqual(body.errors, [permission]);
+        });
+    }
+
+    it("lets a key with the scope through", async () => {
+        scopes.push("user:read");
+
+        const response = await request("GET", "/users/profile");
+
+        assert.equal(response.status, 200);
+    });
+
+    it("does not let a moderator's key moderate videos without the video:moderate scope", async () => {
+        const video = new Video({
+            videoFile: "v",
+            videoFileId: "v",
+            title: "t",
+            desc: "d",
+            owner: new mongoose.Types.ObjectId(),
+            isPublished: true,
+        });
+        mock.method(Video, "findById", () => queryOf(video));
+        mock.method(Video.prototype, "save", async function () {
+            return this;
+        });
+
+        scopes.push("video:update");
+        assert.equal((await request("PATCH", `/videos/${video._id}/publish`)).status, 403);
+
+        scopes.push("video:moderate");
+        const response = await request("PATCH", `/videos/${video._id}/publish`);
+        assert.equal(response.status, 200);
+        assert.equal(video.isPublished, false);
+    });
+
+    it("does not let a moderator's key delete comments of others without the comment:moderate scope", async () => {
+        const comment = new Comment({
+            content: "c",
+            video: new mongoose.Types.ObjectId(),
+            owner: new mongoose.Types.ObjectId(),
+        });
+        mock.method(Comment, "findById", () => queryOf(comment));
+        mock.method(Video, "findById", () => queryOf({ owner: new mongoose.Types.ObjectId() }));
+
+        scopes.push("comment:delete");
+        const response = await request("DELETE", `/comments/c/${comment._id}`);
+
+        assert.equal(response.status, 403);
+    });
+});
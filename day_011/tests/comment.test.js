@@ -0,0 +1,42 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Comment from "../models/comment.model.js";
+import Video from "../models/video.model.js";
+import { addComment } from "../controllers/comment.controller.js";
+import { createReq, runHandler, queryOf } from "./helpers.js";
+
+describe("comments", () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it("has an index for looking up replies by parentComment", () => {
+        const keys = Comment.schema.indexes().map(([fields]) => fields);
+        assert.ok(keys.some((fields) => JSON.stringify(fields) === JSON.stringify({ parentComment: 1, createdAt: 1 })));
+    });
+
+    it("puts a reply to a reply under the top level comment", async () => {
+        const videoId = new mongoose.Types.ObjectId();
+        const topLevelId = new mongoose.Types.ObjectId();
+        const reply = new Comment({ content: "reply", video: videoId, owner: videoId, parentComment: topLevelId });
+
+        mock.method(Video, "findById", () => queryOf({ _id: videoId, isPublished: true }));
+        mock.method(Comment, "findById", () => queryOf(reply));
+        const create = mock.method(Comment, "create", async (doc) => doc);
+
+        const { res, error } = await runHandler(
+            addComment,
+            createReq({
+                params: { videoId: String(videoId) },
+                body: { content: " nested ", parentComment: String(reply._id) },
+                user: { _id: new mongoose.Types.ObjectId() },
+            })
+        );
+
+        assert.equal(error, undefined);
+        assert.equal(res.statusCode, 201);
+        assert.equal(create.mock.calls[0].arguments[0].content, "nested");
+        assert.equal(String(create.mock.calls[0].arguments[0].parentComment), String(topLevelId));
+    });
+});
@@ -0,0 +1,62 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { Types } from "mongoose";
+import Video from "../models/video.model.js";
+import View from "../models/view.model.js";
+import Subscription from "../models/subscription.model.js";
+import { getChannelStats } from "../controllers/dashboard.controller.js";
+import { recordView } from "../utils/viewCounter.js";
+import { createReq, runHandler } from "./helpers.js";
+
+describe("channel dashboard", () => {
+    const user = { _id: new Types.ObjectId() };
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const videoStats = (overrides) => ({
+        _id: new Types.ObjectId(),
+        views: 0,
+        likesCount: 0,
+        commentsCount: 0,
+        isPublished: true,
+        ...overrides,
+    });
+
+    it("sums the videos, drafts included, and the views still buffered", async () => {
+        const videos = [
+            videoStats({ views: 10, likesCount: 2 }),
+            videoStats({ views: 5, likesCount: 1, isPublished: false }),
+        ];
+        mock.method(Video, "aggregate", async () => videos);
+        mock.method(View, "aggregate", async () => [{ total: 15, last7Days: 3, last30Days: 9, last90Days: 15 }]);
+        mock.method(Subscription, "aggregate", async () => [{ total: 4, last7Days: 1, last30Days: 2, last90Days: 4 }]);
+        recordView(videos[1]._id);
+
+        const { res } = await runHandler(getChannelStats, createReq({ user }));
+
+        const { stats } = res.body.data;
+        assert.equal(stats.totalVideos, 2);
+        assert.equal(stats.publishedVideos, 1);
+        assert.equal(stats.totalViews, 16);
+        assert.equal(stats.totalLikes, 3);
+        assert.equal(stats.subscribersCount, 4);
+        assert.deepEqual(stats.viewsGained, { last7Days: 3, last30Days: 9, last90Days: 15 });
+        assert.deepEqual(stats.subscribersGained, { last7Days: 1, last30Days: 2, last90Days: 4 });
+        assert.deepEqual(Video.aggregate.mock.calls[0].arguments[0][0], { $match: { owner: user._id } });
+    });
+
+    it("answers zeros for a new channel", async () => {
+        mock.method(Video, "aggregate", async () => []);
+        mock.method(View, "aggregate", async () => []);
+        mock.method(Subscription, "aggregate", async () => []);
+
+        const { res } = await runHandler(getChannelStats, createReq({ user }));
+
+        const { stats } = res.body.data;
+        assert.equal(stats.totalViews, 0);
+        assert.equal(stats.subscribersCount, 0);
+        assert.deepEqual(stats.viewsGained, { last7Days: 0, last30Days: 0, last90Days: 0 });
+    });
+});
@@ -0,0 +1,80 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { detectFileType, isSameFileType } from "../utils/fileType.js";
+
+// an atom / box: 4 bytes size, 4 bytes type, then the content
+const atom = (type, content = Buffer.alloc(8)) => {
+    const size = Buffer.alloc(4);
+    size.writeUInt32BE(8 + content.length);
+    return Buffer.concat([size, Buffer.from(type, "latin1"), content]);
+};
+
+const ftyp = (brand) => atom("ftyp", Buffer.from(`${brand}\0\0\0\0isom`, "latin1"));
+
+describe("file type detection", () => {
+    let dir;
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), "file-type-"));
+    });
+
+    after(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    const detect = async (content) => {
+        const filePath = path.join(dir, "file");
+        await fs.writeFile(filePath, content);
+        return detectFileType(filePath);
+    };
+
+    it("detects images and documents from their magic bytes", async () => {
+        assert.equal(await detect(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0])), "image/jpeg");
+        assert.equal(await detect(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])), "image/png");
+        assert.equal(await detect(Buffer.from("GIF89a......")), "image/gif");
+        assert.equal(await detect(Buffer.from("RIFF\0\0\0\0WEBPVP8 ")), "image/webp");
+        assert.equal(await detect(Buffer.from("%PDF-1.7")), "application/pdf");
+        assert.equal(await detect(Buffer.from("just some text")), null);
+    });
+
+    it("accepts the mp4, quicktime and avif brands", async () => {
+        assert.equal(await detect(ftyp("isom")), "video/mp4");
+        assert.equal(await detect(ftyp("mp42")), "video/mp4");
+        assert.equal(await detect(ftyp("qt  ")), "video/quicktime");
+        assert.equal(await detect(ftyp("avif")), "image/avif");
+    });
+
+    it("rejects other ISO media brands", async () => {
+        for (const brand of ["heic", "mif1", "3gp4", "3g2a", "M4A "]) {
+            assert.equal(await detect(ftyp(brand)), null, brand);
+        }
+    });
+
+    it("accepts old quicktime files only with a movie header", async () => {
+        const moov = atom("moov", atom("mvhd", Buffer.alloc(100)));
+
+        assert.equal(await detect(moov), "video/quicktime");
+        assert.equal(await detect(Buffer.concat([atom("wide", Buffer.alloc(0)), moov])), "video/quicktime");
+
+        // padding or media data without a movie header can be anything
+        assert.equal(await detect(atom("free", Buffer.from("anything at all"))), null);
+        assert.equal(await detect(atom("mdat", Buffer.alloc(64))), null);
+        assert.equal(await detect(atom("moov", Buffer.from("not a movie header"))), null);
+    });
+
+    it("matches webm and matroska", async () => {
+        const ebml = Buffer.from([0x1a, 0x45, 0xdf, 0xa3]);
+
+        assert.equal(await detect(Buffer.concat([ebml, Buffer.from("....webm")])), "video/webm");
+        assert.equal(await detect(Buffer.concat([ebml, Buffer.from("....matroska")])), "video/x-matroska");
+    });
+
+    it("treats types of the same container as the same", () => {
+        assert.equal(isSameFileType("video/mp4", "video/quicktime"), true);
+        assert.equal(isSameFileType("video/webm", "video/x-matroska"), true);
+        assert.equal(isSameFileType("image/png", "image/jpeg"), false);
+    });
+});
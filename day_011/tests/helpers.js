@@ -0,0 +1,97 @@
+// shared helpers for the tests: run a handler / middleware without a server, and start the app on a free port
+
+// minimal express response that records what the handler sent
+const createRes = () => {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        cookies: {},
+        body: undefined,
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            return res;
+        },
+        set(name, value) {
+            res.headers[String(name).toLowerCase()] = value;
+            return res;
+        },
+        setHeader(name, value) {
+            return res.set(name, value);
+        },
+        cookie(name, value) {
+            res.cookies[name] = value;
+            return res;
+        },
+        clearCookie(name) {
+            res.cookies[name] = "";
+            return res;
+        },
+    };
+    return res;
+};
+
+const createReq = (overrides = {}) => ({
+    ip: "127.0.0.1",
+    method: "GET",
+    originalUrl: "/",
+    headers: {},
+    cookies: {},
+    params: {},
+    query: {},
+    body: {},
+    ...overrides,
+});
+
+// run an express handler (asyncHandler wrapped or plain), resolves with { res, error }
+const runHandler = (handler, req = createReq(), res = createRes()) =>
+    new Promise((resolve) => {
+        const next = (error) => resolve({ req, res, error });
+        const done = () => resolve({ req, res, error: undefined });
+
+        const originalJson = res.json;
+        res.json = (body) => {
+            originalJson(body);
+            done();
+            return res;
+        };
+
+        try {
+            const result = handler(req, res, next);
+            if (result && typeof result.then === "function") {
+                result.catch(next);
+            }
+        } catch (error) {
+            next(error);
+        }
+    });
+
+// start the express app on a free port, returns its base url and a close function
+const startServer = async (app) => {
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+};
+
+// mongoose queries are thenables with chainable helpers, this resolves to value whatever is chained
+const queryOf = (value) => {
+    const query = {
+        select: () => query,
+        lean: () => query,
+        sort: () => query,
+        populate: () => query,
+        then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+        catch: (reject) => Promise.resolve(value).catch(reject),
+    };
+    return query;
+};
+
+export { createReq, createRes, runHandler, startServer, queryOf };
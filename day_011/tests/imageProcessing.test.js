@@ -0,0 +1,199 @@
+import { describe, it, before, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import { existsSync } from "fs";
+import os from "os";
+import path from "path";
+import sharp from "sharp";
+import mongoose from "mongoose";
+import User from "../models/user.model.js";
+import { processImage, addDeferredVariants } from "../utils/imageProcessing.js";
+import { registerStorageDriver } from "../utils/storage/index.js";
+import { updateUserProfile } from "../controllers/user.controller.js";
+import { createReq, runHandler, queryOf } from "./helpers.js";
+
+// storage driver keeping the files in memory
+const stored = new Map();
+let nextId = 0;
+
+registerStorageDriver("test", {
+    upload: async (filePath) => {
+        const id = `file-${nextId++}`;
+        stored.set(id, await fs.readFile(filePath));
+        return { id, url: `http://files/${id}` };
+    },
+    delete: async (id) => {
+        stored.delete(id);
+    },
+    getUrl: (id) => `http://files/${id}`,
+    stat: async () => null,
+});
+
+describe("image processing", () => {
+    const env = { ...process.env };
+    let dir;
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), "images-"));
+    });
+
+    beforeEach(() => {
+        process.env.STORAGE_DRIVER = "test";
+        stored.clear();
+    });
+
+    afterEach(async () => {
+        process.env = { ...env };
+        mock.restoreAll();
+        await fs.rm(dir, { recursive: true, force: true });
+        await fs.mkdir(dir);
+    });
+
+    const writePng = async (width, height) => {
+        const filePath = path.join(dir, `upload-${width}x${height}`);
+        await sharp({ create: { width, height, channels: 3, background: "#336699" } })
+            .png()
+            .toFile(filePath);
+        return filePath;
+    };
+
+    it("stores cropped webp variants of every size and cleans up the local files", async () => {
+        const filePath = await writePng(800, 400);
+
+        const image = await processImage(filePath, "avatar");
+
+        assert.deepEqual(
+            image.variants.map(({ width, height, format }) => `${width}x${height}.${format}`),
+            ["64x64.webp", "128x128.webp", "512x512.webp"]
+        );
+        assert.equal(image.id, image.variants.at(-1).id);
+
+        const { width, height, format } = await sharp(stored.get(image.id)).metadata();
+        assert.deepEqual({ width, height, format }, { width: 512, height: 512, format: "webp" });
+
+        assert.deepEqual(await fs.readdir(dir), []);
+        assert.equal(existsSync(filePath), false);
+    });
+
+    it("rejects a file that is not an image and stores nothing", async () => {
+        const filePath = path.join(dir, "fake.png");
+        await fs.writeFile(filePath, "not an image");
+
+        await assert.rejects(processImage(filePath, "avatar"), { statusCode: 400 });
+        assert.equal(stored.size, 0);
+        assert.deepEqual(await fs.readdir(dir), []);
+    });
+
+    it("adds the avif variants in the background", async () => {
+        const image = await processImage(await writePng(100, 100), "coverImage");
+        const updated = new Promise((resolve) =>
+            mock.method(User, "updateOne", async (filter, update) => {
+                resolve({ filter, update });
+                return { matchedCount: 1 };
+            })
+        );
+
+        addDeferredVariants("user-id", "coverImage", image);
+        const { filter, update } = await updated;
+
+        assert.deepEqual(filter, { _id: "user-id", coverImageId: image.id });
+        const variants = update.$push.coverImageVariants.$each;
+        assert.deepEqual(
+            variants.map(({ width, format }) => `${width}.${format}`),
+            ["640.avif", "1280.avif", "1920.avif"]
+        );
+        assert.equal((await sharp(stored.get(variants[0].id)).metadata()).format, "heif");
+    });
+
+    it("deletes the avif variants when the image was replaced meanwhile", async () => {
+        const image = await processImage(await writePng(100, 100), "avatar");
+        const webpIds = new Set(image.variants.map((variant) => variant.id));
+        const updated = new Promise((resolve) =>
+            mock.method(User, "updateOne", async () => {
+                setImmediate(resolve);
+                return { matchedCount: 0 };
+            })
+        );
+
+        addDeferredVariants("user-id", "avatar", image);
+        await updated;
+
+        assert.deepEqual(new Set(stored.keys()), webpIds);
+    });
+
+    describe("profile update", () => {
+        let user;
+
+        beforeEach(() => {
+            // the current avatar and cover, already in storage
+            stored.set("old-avatar", Buffer.from("avatar"));
+            stored.set("old-cover", Buffer.from("cover"));
+            // hydrated like a user read from the database, so only the changed paths are modified
+            user = User.hydrate({
+                _id: new mongoose.Types.ObjectId(),
+                userName: "@jane",
+                email: "jane@example.com",
+                fullName: "Jane",
+                password: "x",
+                avatar: "http://files/old-avatar",
+                avatarId: "old-avatar",
+                avatarVariants: [{ width: 512, height: 512, format: "webp", id: "old-avatar" }],
+                coverImageId: "old-cover",
+                coverImageVariants: [{ width: 1920, height: 480, format: "webp", id: "old-cover" }],
+            });
+            mock.method(User, "findById", () => queryOf(user));
+        });
+
+        const update = (files) =>
+            runHandler(updateUserProfile, createReq({ method: "PATCH", user: { id: user._id }, files }));
+
+        it("replaces the old images only once the new ones are saved", async () => {
+            mock.method(User.prototype, "save", async function () {
+                assert.ok(stored.has("old-avatar"), "old avatar deleted before the save");
+                return this;
+            });
+            const deferred = new Promise((resolve) =>
+                mock.method(User, "updateOne", async () => {
+                    resolve();
+                    return { matchedCount: 1 };
+                })
+            );
+
+            const { res } = await update({ avatar: [{ path: await writePng(100, 100) }] });
+            await deferred;
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(stored.has("old-avatar"), false);
+            assert.equal(stored.has("old-cover"), true);
+            assert.ok(stored.has(user.avatarId));
+        });
+
+        it("keeps the old images and removes the new ones when the cover is rejected", async () => {
+            mock.method(User.prototype, "save", async function () {
+                return this;
+            });
+            const cover = path.join(dir, "cover.png");
+            await fs.writeFile(cover, "not an image");
+
+            const { error } = await update({
+                avatar: [{ path: await writePng(100, 100) }],
+                coverImage: [{ path: cover }],
+            });
+
+            assert.equal(error.statusCode, 400);
+            assert.equal(User.prototype.save.mock.callCount(), 0);
+            assert.deepEqual([...stored.keys()], ["old-avatar", "old-cover"]);
+        });
+
+        it("keeps the old images and removes the new ones when the save fails", async () => {
+            mock.method(User.prototype, "save", async () => {
+                throw new Error("database is down");
+            });
+
+            const { error } = await update({ avatar: [{ path: await writePng(100, 100) }] });
+
+            assert.match(error.message, /database is down/);
+            assert.deepEqual([...stored.keys()], ["old-avatar", "old-cover"]);
+        });
+    });
+});
@@ -0,0 +1,84 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { Types } from "mongoose";
+import Like from "../models/like.model.js";
+import Video from "../models/video.model.js";
+import { toggleVideoLike } from "../controllers/like.controller.js";
+import { createReq, runHandler, queryOf } from "./helpers.js";
+
+describe("video likes", () => {
+    const user = { _id: new Types.ObjectId() };
+    const owner = new Types.ObjectId();
+    let video;
+
+    beforeEach(() => {
+        video = { _id: new Types.ObjectId(), isPublished: true, owner };
+        mock.method(Video, "findById", () => queryOf(video));
+        mock.method(Like, "deleteOne", async () => ({ deletedCount: 1 }));
+        mock.method(Like, "updateOne", async () => ({ modifiedCount: 1 }));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const react = (reaction, existing = null) => {
+        mock.method(Like, "findOne", async () => existing);
+        return runHandler(
+            toggleVideoLike,
+            createReq({ method: "POST", user, params: { videoId: String(video._id) }, body: { reaction } })
+        );
+    };
+
+    it("likes a video", async () => {
+        const { res } = await react("like");
+
+        assert.deepEqual(res.body.data, { isLiked: true, isDisliked: false });
+        const [filter, update, options] = Like.updateOne.mock.calls[0].arguments;
+        assert.deepEqual(filter, { likedBy: user._id, targetType: "Video", target: video._id });
+        assert.deepEqual(update, { $set: { reaction: "like" } });
+        assert.equal(options.upsert, true);
+    });
+
+    it("removes the reaction when it is sent again", async () => {
+        const existing = { _id: new Types.ObjectId(), reaction: "like" };
+
+        const { res } = await react("like", existing);
+
+        assert.deepEqual(res.body.data, { isLiked: false, isDisliked: false });
+        assert.equal(Like.deleteOne.mock.calls[0].arguments[0]._id, existing._id);
+        assert.equal(Like.updateOne.mock.callCount(), 0);
+    });
+
+    it("switches a like to a dislike", async () => {
+        const { res } = await react("dislike", { _id: new Types.ObjectId(), reaction: "like" });
+
+        assert.deepEqual(res.body.data, { isLiked: false, isDisliked: true });
+        assert.equal(Like.deleteOne.mock.callCount(), 0);
+    });
+
+    it("ignores the duplicate key of a parallel like", async () => {
+        mock.method(Like, "updateOne", async () => {
+            throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+        });
+
+        const { res } = await react("like");
+
+        assert.equal(res.body.data.isLiked, true);
+    });
+
+    it("rejects unknown reactions", async () => {
+        const { error } = await react("love");
+
+        assert.equal(error.statusCode, 400);
+    });
+
+    it("hides unpublished videos of other users", async () => {
+        video.isPublished = false;
+
+        const { error } = await react("like");
+
+        assert.equal(error.statusCode, 404);
+        assert.equal(Like.updateOne.mock.callCount(), 0);
+    });
+});
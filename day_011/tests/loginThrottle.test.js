@@ -0,0 +1,150 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import User from "../models/user.model.js";
+import { loginUser, loginWithTwoFactor } from "../controllers/user.controller.js";
+import { accountKey, ipKey, assertNotLocked, recordLoginFailure, resetLoginFailures } from "../utils/loginThrottle.js";
+import { createReq, createRes, runHandler, queryOf } from "./helpers.js";
+
+// the memory store lives as long as the process, every test uses keys of its own
+const uniqueKeys = () => ({ account: accountKey(crypto.randomUUID()), ip: ipKey(crypto.randomUUID()) });
+
+// the lockout error of a key, undefined when it is not locked
+const lockoutOf = async (keys) => {
+    const res = createRes();
+    try {
+        await assertNotLocked(res, keys);
+    } catch (error) {
+        return { error, retryAfter: Number(res.headers["retry-after"]) };
+    }
+};
+
+describe("login throttle", () => {
+    const env = { ...process.env };
+
+    beforeEach(() => {
+        process.env.LOGIN_ATTEMPT_STORE = "memory";
+        process.env.LOGIN_MAX_ATTEMPTS = "3";
+        process.env.LOGIN_IP_MAX_ATTEMPTS = "5";
+        process.env.LOGIN_LOCK_BASE_SECONDS = "30";
+    });
+
+    afterEach(() => {
+        process.env = { ...env };
+        mock.restoreAll();
+    });
+
+    it("locks an account after the max failures, doubling the lock on every further failure", async () => {
+        const keys = { account: uniqueKeys().account };
+
+        for (let i = 0; i < 2; i++) await recordLoginFailure(keys);
+        assert.equal(await lockoutOf(keys), undefined);
+
+        await recordLoginFailure(keys);
+        const first = await lockoutOf(keys);
+        assert.equal(first.error.statusCode, 429);
+        assert.equal(first.error.data.lockout.scope, "account");
+        assert.ok(first.retryAfter > 25 && first.retryAfter <= 30);
+
+        await recordLoginFailure(keys);
+        const second = await lockoutOf(keys);
+        assert.ok(second.retryAfter > 55 && second.retryAfter <= 60);
+    });
+
+    it("never locks longer than the max", async () => {
+        process.env.LOGIN_LOCK_MAX_MINUTES = "1";
+        const keys = { account: uniqueKeys().account };
+
+        for (let i = 0; i < 10; i++) await recordLoginFailure(keys);
+
+        assert.ok((await lockoutOf(keys)).retryAfter <= 60);
+    });
+
+    it("forgets the failures after a successful login", async () => {
+        const keys = { account: uniqueKeys().account };
+
+        for (let i = 0; i < 3; i++) await recordLoginFailure(keys);
+        await resetLoginFailures(keys.account);
+
+        assert.equal(await lockoutOf(keys), undefined);
+    });
+
+    describe("loginUser", () => {
+        const login = (ip, body) => runHandler(loginUser, createReq({ method: "POST", ip, body }));
+
+        beforeEach(() => {
+            mock.method(User.prototype, "isPasswordMatch", async (password) => password === "right");
+        });
+
+        it("rejects even the right password while the account is locked", async () => {
+            const ip = crypto.randomUUID();
+            const locked = new User({ userName: "locked", email: "l@example.com", fullName: "L", password: "x" });
+            mock.method(User, "findOne", () => queryOf(locked));
+
+            for (let i = 0; i < 3; i++) {
+                assert.equal((await login(ip, { userName: "locked", password: "wrong" })).error.statusCode, 401);
+            }
+
+            const { res, error } = await login(ip, { userName: "locked", password: "right" });
+            assert.equal(error.statusCode, 429);
+            assert.ok(Number(res.headers["retry-after"]) > 0);
+        });
+
+        it("counts unknown accounts too", async () => {
+            const ip = crypto.randomUUID();
+            mock.method(User, "findOne", () => queryOf(null));
+
+            for (let i = 0; i < 3; i++) await login(ip, { userName: "nobody", password: "guess" });
+
+            assert.equal((await login(ip, { userName: "nobody", password: "guess" })).error.statusCode, 429);
+        });
+
+        it("locks an address trying many accounts", async () => {
+            const ip = crypto.randomUUID();
+            // every name is another account, none of them reaches its own limit
+            mock.method(User, "findOne", () => queryOf(null));
+
+            for (let i = 0; i < 5; i++) {
+                await login(ip, { userName: `user${i}`, password: "wrong" });
+            }
+
+            const { error } = await login(ip, { userName: "someone-else", password: "wrong" });
+            assert.equal(error.statusCode, 429);
+            assert.equal(error.data.lockout.scope, "ip");
+        });
+
+        it("keeps counting wrong 2FA codes across logins with the right password", async () => {
+            process.env.TWO_FACTOR_CHALLENGE_SECRET = "challenge-secret";
+            const user = new User({
+                userName: "twofactor",
+                email: "t@example.com",
+                fullName: "T",
+                password: "x",
+                twoFactorEnabled: true,
+                twoFactorSecret: "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ",
+            });
+            mock.method(User, "findOne", () => queryOf(user));
+            mock.method(User, "findById", () => queryOf(user));
+
+            // every request from another address, so only the account counter can lock
+            const guess = async () => {
+                const { res, error } = await login(crypto.randomUUID(), { userName: "twofactor", password: "right" });
+                if (error) return { error };
+
+                const { challengeToken } = res.body.data;
+                return runHandler(
+                    loginWithTwoFactor,
+                    createReq({ method: "POST", ip: crypto.randomUUID(), body: { challengeToken, code: "000000" } })
+                );
+            };
+
+            for (let i = 0; i < 3; i++) {
+                assert.equal((await guess()).error.statusCode, 401);
+            }
+
+            const { error } = await guess();
+            assert.equal(error.statusCode, 429);
+            assert.equal(error.data.lockout.scope, "account");
+        });
+    });
+});
@@ -0,0 +1,83 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { sendMail, registerTransport, assertMailerConfigured } from "../utils/mailer.js";
+import { sendPasswordResetEmail, sendVerificationEmail, sendTokenReuseEmail } from "../utils/authEmails.js";
+
+const fakeUser = (fullName) => ({
+    email: "user@example.com",
+    fullName,
+    generateEmailVerificationToken: () => "a".repeat(64),
+    generatePasswordResetToken: () => "b".repeat(64),
+    save: async () => null,
+});
+
+describe("mailer", () => {
+    const env = { ...process.env };
+    let sent;
+
+    beforeEach(() => {
+        sent = [];
+        registerTransport("test", async (mail) => {
+            sent.push(mail);
+        });
+    });
+
+    afterEach(() => {
+        process.env = { ...env };
+        mock.restoreAll();
+    });
+
+    it("refuses to start in production without a transport", () => {
+        process.env.NODE_ENV = "production";
+        delete process.env.MAIL_TRANSPORT;
+        assert.throws(assertMailerConfigured, /MAIL_TRANSPORT/);
+
+        process.env.MAIL_TRANSPORT = "test";
+        assert.doesNotThrow(assertMailerConfigured);
+    });
+
+    it("does not fall back to the console transport in production", async () => {
+        process.env.NODE_ENV = "production";
+        delete process.env.MAIL_TRANSPORT;
+        const log = mock.method(console, "log", () => null);
+        mock.method(console, "error", () => null);
+
+        await assert.rejects(sendMail({ to: "a@b.c", subject: "s", text: "t" }), /No mail transport/);
+        assert.equal(log.mock.callCount(), 0);
+    });
+
+    it("redacts token links in the console transport", async () => {
+        delete process.env.NODE_ENV;
+        delete process.env.MAIL_TRANSPORT;
+        const log = mock.method(console, "log", () => null);
+
+        await sendPasswordResetEmail(fakeUser("Jane"));
+
+        const printed = JSON.stringify(log.mock.calls[0].arguments);
+        assert.ok(!printed.includes("b".repeat(64)));
+        assert.match(printed, /reset-password\/\[redacted\]/);
+    });
+
+    it("escapes the full name in the html body", async () => {
+        process.env.MAIL_TRANSPORT = "test";
+
+        await sendVerificationEmail(fakeUser('<img src=x onerror="alert(1)">'));
+
+        assert.ok(!sent[0].html.includes("<img"));
+        assert.match(sent[0].html, /&lt;img src=x onerror=&quot;alert\(1\)&quot;&gt;/);
+        assert.ok(sent[0].text.includes("a".repeat(64)));
+    });
+
+    it("escapes the full name in the reset and suspicious sign-in mails too", async () => {
+        process.env.MAIL_TRANSPORT = "test";
+        const user = fakeUser("<b>Jane</b>");
+
+        await sendPasswordResetEmail(user);
+        await sendTokenReuseEmail(user);
+
+        for (const mail of sent) {
+            assert.ok(!mail.html.includes("<b>"));
+            assert.match(mail.html, /Hi &lt;b&gt;Jane&lt;\/b&gt;/);
+        }
+    });
+});
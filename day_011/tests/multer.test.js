@@ -0,0 +1,97 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import express from "express";
+import { createUploader } from "../middlewares/multer.middleware.js";
+import { startServer } from "./helpers.js";
+
+const imageTypes = ["image/jpeg", "image/png", "image/gif"];
+const videoTypes = ["video/mp4", "video/webm", "video/quicktime", "video/x-matroska"];
+
+const atom = (type, content = Buffer.alloc(8)) => {
+    const size = Buffer.alloc(4);
+    size.writeUInt32BE(8 + content.length);
+    return Buffer.concat([size, Buffer.from(type, "latin1"), content]);
+};
+
+const png = (size = 64) =>
+    Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(size)]);
+const mp4 = () => Buffer.concat([atom("ftyp", Buffer.from("isom\0\0\0\0isom", "latin1")), atom("moov")]);
+
+describe("uploader", () => {
+    const tempDir = path.resolve("uploads/temp");
+    let server;
+
+    before(async () => {
+        const app = express();
+        app.post(
+            "/upload",
+            createUploader(videoTypes, 100).fields([
+                { name: "videoFile", maxCount: 1 },
+                { name: "thumbnail", maxCount: 1, types: imageTypes, maxSizeMB: 5 },
+            ]),
+            async (req, res) => {
+                const files = Object.values(req.files).flat();
+                await Promise.all(files.map((file) => fs.unlink(file.path)));
+                res.json({ types: files.map((file) => `${file.fieldname}:${file.detectedMimetype}`) });
+            }
+        );
+        app.use((err, req, res, next) => res.status(err.statusCode || 500).json({ errors: err.errors }));
+        server = await startServer(app);
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    const upload = async (files) => {
+        const before = new Set(await fs.readdir(tempDir));
+        const form = new FormData();
+        for (const [field, content, type, name] of files) {
+            form.append(field, new Blob([content], { type }), name);
+        }
+
+        const response = await fetch(`${server.url}/upload`, { method: "POST", body: form });
+        const leftovers = (await fs.readdir(tempDir)).filter((file) => !before.has(file));
+        return { status: response.status, body: await response.json(), leftovers };
+    };
+
+    it("takes a video and an image thumbnail", async () => {
+        const { status, body } = await upload([
+            ["videoFile", mp4(), "video/mp4", "clip.mp4"],
+            ["thumbnail", png(), "image/png", "thumb.png"],
+        ]);
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.types, ["videoFile:video/mp4", "thumbnail:image/png"]);
+    });
+
+    it("rejects an image sent as the video file", async () => {
+        const { status, leftovers } = await upload([["videoFile", png(), "image/png", "clip.png"]]);
+
+        assert.equal(status, 400);
+        assert.deepEqual(leftovers, []);
+    });
+
+    it("rejects a video sent as the thumbnail", async () => {
+        const { status, leftovers } = await upload([
+            ["videoFile", mp4(), "video/mp4", "clip.mp4"],
+            ["thumbnail", mp4(), "video/mp4", "thumb.mp4"],
+        ]);
+
+        assert.equal(status, 400);
+        assert.deepEqual(leftovers, []);
+    });
+
+    it("applies the size limit of the field", async () => {
+        const { status, body, leftovers } = await upload([
+            ["videoFile", mp4(), "video/mp4", "clip.mp4"],
+            ["thumbnail", png(6 * 1024 * 1024), "image/png", "thumb.png"],
+        ]);
+
+        assert.equal(status, 400);
+        assert.deepEqual(body.errors, ["thumbnail"]);
+        assert.deepEqual(leftovers, []);
+    });
+});
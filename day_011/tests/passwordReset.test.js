@@ -0,0 +1,80 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import User from "../models/user.model.js";
+import { forgotPassword, resendVerificationEmail } from "../controllers/user.controller.js";
+import { emailRateLimit } from "../middlewares/rateLimit.middleware.js";
+import { createReq, runHandler, queryOf, startServer } from "./helpers.js";
+
+// a user whose save never finishes: a handler waiting for the mail would never answer
+const slowUser = (overrides = {}) => ({
+    email: "user@example.com",
+    fullName: "Jane",
+    isEmailVerified: false,
+    generatePasswordResetToken: () => "token",
+    generateEmailVerificationToken: () => "token",
+    save: () => new Promise(() => null),
+    ...overrides,
+});
+
+describe("forgot password and resend verification", () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it("answers forgot-password without waiting for the mail", async () => {
+        mock.method(User, "findOne", () => queryOf(slowUser()));
+
+        const { res, error } = await runHandler(forgotPassword, createReq({ body: { email: "user@example.com" } }));
+
+        assert.equal(error, undefined);
+        assert.equal(res.statusCode, 200);
+    });
+
+    it("answers the same for unknown and known emails", async () => {
+        mock.method(User, "findOne", () => queryOf(null));
+        const unknown = await runHandler(forgotPassword, createReq({ body: { email: "nobody@example.com" } }));
+
+        mock.restoreAll();
+        mock.method(User, "findOne", () => queryOf(slowUser()));
+        const known = await runHandler(forgotPassword, createReq({ body: { email: "user@example.com" } }));
+
+        assert.deepEqual(unknown.res.body, known.res.body);
+    });
+
+    it("does not answer 429 for an existing account inside the verification cooldown", async () => {
+        mock.method(User, "findOne", () => queryOf(slowUser({ emailVerificationSentAt: new Date() })));
+        const recent = await runHandler(resendVerificationEmail, createReq({ body: { email: "user@example.com" } }));
+
+        mock.restoreAll();
+        mock.method(User, "findOne", () => queryOf(null));
+        const unknown = await runHandler(resendVerificationEmail, createReq({ body: { email: "x@example.com" } }));
+
+        assert.equal(recent.error, undefined);
+        assert.equal(recent.res.statusCode, 200);
+        assert.deepEqual(recent.res.body, unknown.res.body);
+    });
+
+    it("limits each email address whether an account exists or not", async () => {
+        const app = express();
+        app.use(express.json());
+        app.post("/forgot-password", emailRateLimit, (req, res) => res.json({ ok: true }));
+        app.use((error, req, res, next) => res.status(error.statusCode || 500).json({ message: error.message }));
+        const server = await startServer(app);
+
+        const send = (email) =>
+            fetch(`${server.url}/forgot-password`, {
+                method: "POST",
+                headers: { "content-type": "application/json" },
+                body: JSON.stringify({ email }),
+            });
+
+        try {
+            assert.equal((await send("someone@example.com")).status, 200);
+            assert.equal((await send(" Someone@Example.com ")).status, 429);
+            assert.equal((await send("other@example.com")).status, 200);
+        } finally {
+            await server.close();
+        }
+    });
+});
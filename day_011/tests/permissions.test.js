@@ -0,0 +1,48 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { ALL_PERMISSIONS, ROLE_PERMISSIONS, hasPermission } from "../config/permissions.config.js";
+import authorize from "../middlewares/authorize.middleware.js";
+import { createReq, runHandler } from "./helpers.js";
+
+const routesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "../routes");
+const routeSources = fs.readdirSync(routesDir).map((file) => fs.readFileSync(path.join(routesDir, file), "utf8"));
+
+describe("role based access control", () => {
+    it("enforces every defined permission on some route", () => {
+        const used = new Set(
+            routeSources.flatMap((source) => [...source.matchAll(/authorize\("([^"]+)"/g)].map((m) => m[1]))
+        );
+
+        // moderation permissions are checked inside the controllers (owner or moderator)
+        const checkedInControllers = ["video:moderate", "comment:moderate"];
+        const unused = ALL_PERMISSIONS.filter(
+            (permission) => !used.has(permission) && !checkedInControllers.includes(permission)
+        );
+
+        assert.deepEqual(unused, []);
+    });
+
+    it("gives roles their permissions plus the extra ones of the user", () => {
+        assert.equal(hasPermission({ role: "user" }, "like:manage"), true);
+        assert.equal(hasPermission({ role: "user" }, "moderation:read"), false);
+        assert.equal(hasPermission({ role: "moderator" }, "moderation:read"), true);
+        assert.equal(hasPermission({ role: "user", permissions: ["moderation:read"] }, "moderation:read"), true);
+        assert.ok(ROLE_PERMISSIONS.admin.includes("user:role"));
+    });
+
+    it("rejects users without the permission with a 403", async () => {
+        const { error } = await runHandler(authorize("moderation:read"), createReq({ user: { role: "user" } }));
+
+        assert.equal(error.statusCode, 403);
+        assert.deepEqual(error.errors, ["moderation:read"]);
+    });
+
+    it("lets users with the permission through", async () => {
+        const { error } = await runHandler(authorize("user:read"), createReq({ user: { role: "user" } }));
+
+        assert.equal(error, undefined);
+    });
+});
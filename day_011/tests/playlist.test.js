@@ -0,0 +1,89 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { Types } from "mongoose";
+import Playlist from "../models/playlist.model.js";
+import Video from "../models/video.model.js";
+import {
+    createPlaylist,
+    addVideoToPlaylist,
+    reorderPlaylistVideos,
+    deletePlaylist,
+} from "../controllers/playlist.controller.js";
+import { createReq, runHandler, queryOf } from "./helpers.js";
+
+describe("playlists", () => {
+    const user = { _id: new Types.ObjectId() };
+    const videoIds = [new Types.ObjectId(), new Types.ObjectId(), new Types.ObjectId()];
+    let playlist;
+
+    beforeEach(() => {
+        playlist = new Playlist({ name: "Talks", owner: user._id, videos: videoIds });
+        mock.method(Playlist, "findById", () => queryOf(playlist));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const request = (handler, { params = {}, body = {} } = {}) =>
+        runHandler(handler, createReq({ user, params: { playlistId: String(playlist._id), ...params }, body }));
+
+    it("validates the name, description and visibility", async () => {
+        mock.method(Playlist, "create", async (data) => data);
+
+        for (const body of [{}, { name: "  " }, { name: "Talks", visibility: "friends" }]) {
+            assert.equal((await request(createPlaylist, { body })).error.statusCode, 400);
+        }
+
+        const { res } = await request(createPlaylist, { body: { name: "  Talks ", description: " Good ones " } });
+        assert.equal(res.statusCode, 201);
+        assert.equal(res.body.data.playlist.name, "Talks");
+        assert.equal(res.body.data.playlist.description, "Good ones");
+    });
+
+    it("only lets the owner change a playlist", async () => {
+        playlist.owner = new Types.ObjectId();
+        mock.method(Playlist, "findByIdAndDelete", async () => null);
+
+        const { error } = await request(deletePlaylist);
+
+        assert.equal(error.statusCode, 403);
+        assert.equal(Playlist.findByIdAndDelete.mock.callCount(), 0);
+    });
+
+    it("adds a video once", async () => {
+        const video = { _id: new Types.ObjectId(), isPublished: true, owner: new Types.ObjectId() };
+        mock.method(Video, "findById", () => queryOf(video));
+        mock.method(Playlist, "updateOne", async () => ({ modifiedCount: 0 }));
+
+        const { error } = await request(addVideoToPlaylist, { params: { videoId: String(video._id) } });
+
+        assert.equal(error.statusCode, 409);
+        assert.deepEqual(Playlist.updateOne.mock.calls[0].arguments[0], {
+            _id: playlist._id,
+            videos: { $ne: video._id },
+        });
+    });
+
+    it("reorders only with the same videos", async () => {
+        mock.method(Playlist, "updateOne", async () => ({ matchedCount: 1 }));
+        const [a, b, c] = videoIds.map(String);
+
+        for (const order of [[a, b], [a, a, b], [a, b, String(new Types.ObjectId())], "abc"]) {
+            const { error } = await request(reorderPlaylistVideos, { body: { videoIds: order } });
+            assert.equal(error.statusCode, 400);
+        }
+
+        const { res } = await request(reorderPlaylistVideos, { body: { videoIds: [c, a, b] } });
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(Playlist.updateOne.mock.calls[0].arguments[1], { $set: { videos: [c, a, b] } });
+    });
+
+    it("refuses a reorder when the playlist changed meanwhile", async () => {
+        mock.method(Playlist, "updateOne", async () => ({ matchedCount: 0 }));
+
+        const { error } = await request(reorderPlaylistVideos, { body: { videoIds: videoIds.map(String).reverse() } });
+
+        assert.equal(error.statusCode, 409);
+    });
+});
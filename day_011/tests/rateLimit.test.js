@@ -0,0 +1,76 @@
+import { describe, it, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import rateLimit, { apiRateLimit, uploadChunkRateLimit } from "../middlewares/rateLimit.middleware.js";
+import { startServer } from "./helpers.js";
+
+describe("rate limits", () => {
+    const env = { ...process.env };
+    let server;
+
+    before(async () => {
+        const app = express();
+        app.use("/api", apiRateLimit, uploadChunkRateLimit);
+        app.get("/fixed", rateLimit({ name: "test-fixed", limit: 2, windowMs: 60 * 1000 }), (req, res) =>
+            res.json({ ok: true })
+        );
+        app.get("/bucket", rateLimit({ name: "test-bucket", strategy: "token-bucket", limit: 2 }), (req, res) =>
+            res.json({ ok: true })
+        );
+        app.all("/api/{*path}", (req, res) => res.json({ ok: true }));
+        app.use((error, req, res, next) =>
+            res.status(error.statusCode || 500).json({ message: error.message, data: error.data })
+        );
+        server = await startServer(app);
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    afterEach(() => {
+        process.env = { ...env };
+    });
+
+    it("answers 429 with Retry-After once a fixed window is used up", async () => {
+        const first = await fetch(`${server.url}/fixed`);
+        assert.equal(first.status, 200);
+        assert.equal(first.headers.get("ratelimit-limit"), "2");
+        assert.equal(first.headers.get("ratelimit-remaining"), "1");
+
+        await fetch(`${server.url}/fixed`);
+        const blocked = await fetch(`${server.url}/fixed`);
+
+        assert.equal(blocked.status, 429);
+        assert.ok(Number(blocked.headers.get("retry-after")) >= 1);
+        assert.equal((await blocked.json()).data.rateLimit.limit, 2);
+    });
+
+    it("empties a token bucket after a burst of its capacity", async () => {
+        const statuses = [];
+        for (let i = 0; i < 3; i++) {
+            statuses.push((await fetch(`${server.url}/bucket`)).status);
+        }
+
+        assert.deepEqual(statuses, [200, 200, 429]);
+    });
+
+    it("counts upload chunks in their own bucket, even before auth", async () => {
+        process.env.RATE_LIMIT_MAX = "2";
+        process.env.RATE_LIMIT_UPLOAD_CHUNK_MAX = "4";
+
+        const chunk = () => fetch(`${server.url}/api/v1/uploads/abc`, { method: "PATCH" });
+
+        // more chunks than the api limit go through
+        for (let i = 0; i < 4; i++) {
+            assert.equal((await chunk()).status, 200);
+        }
+        // but the chunk bucket has a limit of its own
+        assert.equal((await chunk()).status, 429);
+
+        // other requests still use the api bucket, untouched by the chunks
+        assert.equal((await fetch(`${server.url}/api/v1/videos`)).status, 200);
+        assert.equal((await fetch(`${server.url}/api/v1/uploads/abc/complete`, { method: "PATCH" })).status, 200);
+        assert.equal((await fetch(`${server.url}/api/v1/videos`)).status, 429);
+    });
+});
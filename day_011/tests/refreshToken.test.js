@@ -0,0 +1,122 @@
+import { describe, it, before, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import User from "../models/user.model.js";
+import Session from "../models/session.model.js";
+import SecurityEvent from "../models/securityEvent.model.js";
+import { generateNewTokens } from "../controllers/user.controller.js";
+import { hashToken } from "../utils/tokenHash.js";
+import { createReq, runHandler, queryOf } from "./helpers.js";
+
+describe("refresh token rotation", () => {
+    let user;
+
+    before(() => {
+        process.env.JWT_SECRET = "test-access-secret";
+        process.env.REFRESH_TOKEN_SECRET = "test-refresh-secret";
+        process.env.JWT_EXPIRES_IN = "15m";
+        process.env.REFRESH_TOKEN_EXPIRES_IN = "7d";
+        user = new User({ userName: "jane", email: "jane@example.com", fullName: "jane", password: "x" });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    // a session whose current token is `current`, rotated from `previous` rotatedAgoMs ago
+    const mockSession = ({ current, previous = null, rotatedAgoMs = null }) => {
+        const session = {
+            _id: new mongoose.Types.ObjectId(),
+            user: user._id,
+            generation: 1,
+            refreshTokenHash: hashToken(current),
+            previousRefreshTokenHash: previous && hashToken(previous),
+            rotatedAt: rotatedAgoMs === null ? null : new Date(Date.now() - rotatedAgoMs),
+            deleteOne: async () => null,
+        };
+
+        mock.method(Session, "findOne", () => queryOf(session));
+        mock.method(User, "findById", () => queryOf(user));
+        return session;
+    };
+
+    const refresh = (token) => runHandler(generateNewTokens, createReq({ cookies: { refreshToken: token } }));
+
+    it("rotates the current token and remembers the previous one", async () => {
+        const sessionId = new mongoose.Types.ObjectId();
+        const token = user.generateRefreshToken(sessionId, 1);
+        mockSession({ current: token });
+        const updateOne = mock.method(Session, "updateOne", async () => ({ modifiedCount: 1 }));
+
+        const { res, error } = await refresh(token);
+
+        assert.equal(error, undefined);
+        assert.ok(res.cookies.accessToken);
+        assert.ok(res.cookies.refreshToken && res.cookies.refreshToken !== token);
+        const [filter, update] = updateOne.mock.calls[0].arguments;
+        assert.equal(filter.refreshTokenHash, hashToken(token));
+        assert.equal(update.$set.previousRefreshTokenHash, hashToken(token));
+        assert.equal(update.$set.refreshTokenHash, hashToken(res.cookies.refreshToken));
+    });
+
+    it("accepts the just rotated token from a parallel tab without logging out", async () => {
+        const sessionId = new mongoose.Types.ObjectId();
+        const previous = user.generateRefreshToken(sessionId, 1);
+        const current = user.generateRefreshToken(sessionId, 2);
+        mockSession({ current, previous, rotatedAgoMs: 2000 });
+        const updateOne = mock.method(Session, "updateOne", async () => ({ modifiedCount: 1 }));
+        const deleteOne = mock.method(Session, "deleteOne", async () => null);
+
+        const { res, error } = await refresh(previous);
+
+        assert.equal(error, undefined);
+        assert.equal(res.statusCode, 200);
+        assert.ok(res.cookies.accessToken);
+        assert.equal(res.cookies.refreshToken, undefined);
+        assert.equal(updateOne.mock.callCount(), 0);
+        assert.equal(deleteOne.mock.callCount(), 0);
+    });
+
+    it("treats the previous token as reuse once the grace period is over", async () => {
+        const sessionId = new mongoose.Types.ObjectId();
+        const previous = user.generateRefreshToken(sessionId, 1);
+        const current = user.generateRefreshToken(sessionId, 2);
+        mockSession({ current, previous, rotatedAgoMs: 5 * 60 * 1000 });
+        const deleteOne = mock.method(Session, "deleteOne", async () => null);
+        mock.method(SecurityEvent, "create", async () => null);
+
+        const { error } = await refresh(previous);
+
+        assert.equal(error.statusCode, 401);
+        assert.match(error.message, /reuse/);
+        assert.equal(deleteOne.mock.callCount(), 1);
+    });
+
+    it("treats an older token as reuse even right after a rotation", async () => {
+        const sessionId = new mongoose.Types.ObjectId();
+        const oldest = user.generateRefreshToken(sessionId, 0);
+        const previous = user.generateRefreshToken(sessionId, 1);
+        const current = user.generateRefreshToken(sessionId, 2);
+        mockSession({ current, previous, rotatedAgoMs: 1000 });
+        const deleteOne = mock.method(Session, "deleteOne", async () => null);
+        mock.method(SecurityEvent, "create", async () => null);
+
+        const { error } = await refresh(oldest);
+
+        assert.equal(error.statusCode, 401);
+        assert.equal(deleteOne.mock.callCount(), 1);
+    });
+
+    it("gives the request that lost a parallel rotation an access token only", async () => {
+        const sessionId = new mongoose.Types.ObjectId();
+        const token = user.generateRefreshToken(sessionId, 1);
+        mockSession({ current: token });
+        mock.method(Session, "updateOne", async () => ({ modifiedCount: 0 }));
+
+        const { res, error } = await refresh(token);
+
+        assert.equal(error, undefined);
+        assert.ok(res.cookies.accessToken);
+        assert.equal(res.cookies.refreshToken, undefined);
+    });
+});
@@ -0,0 +1,131 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { Types } from "mongoose";
+import User from "../models/user.model.js";
+import Session from "../models/session.model.js";
+import { loginUser, logoutUser, getSessions, revokeSession } from "../controllers/user.controller.js";
+import verifyJWT from "../middlewares/auth.middleware.js";
+import { hashToken } from "../utils/tokenHash.js";
+import { createReq, runHandler, queryOf } from "./helpers.js";
+
+describe("sessions", () => {
+    const env = { ...process.env };
+    const user = new User({ userName: "jane", email: "jane@example.com", fullName: "Jane", password: "x" });
+
+    beforeEach(() => {
+        Object.assign(process.env, {
+            JWT_SECRET: "test-access-secret",
+            REFRESH_TOKEN_SECRET: "test-refresh-secret",
+            JWT_EXPIRES_IN: "15m",
+            REFRESH_TOKEN_EXPIRES_IN: "7d",
+            LOGIN_ATTEMPT_STORE: "memory",
+        });
+    });
+
+    afterEach(() => {
+        process.env = { ...env };
+        mock.restoreAll();
+    });
+
+    // the logged in user of a request made from the session sessionId
+    const authedReq = (sessionId, overrides = {}) => createReq({ user, sessionId, ...overrides });
+
+    it("starts a session per login and only stores the hash of its refresh token", async () => {
+        mock.method(User, "findOne", () => queryOf(user));
+        mock.method(User.prototype, "isPasswordMatch", async () => true);
+        const saved = [];
+        mock.method(Session.prototype, "save", async function () {
+            saved.push(this);
+            return this;
+        });
+
+        const login = () =>
+            runHandler(
+                loginUser,
+                createReq({
+                    method: "POST",
+                    // every test gets its own address in the login throttle
+                    ip: crypto.randomUUID(),
+                    headers: { "user-agent": "phone" },
+                    body: { userName: "jane", password: "right" },
+                })
+            );
+        const { res } = await login();
+        await login();
+
+        assert.equal(saved.length, 2);
+        assert.notEqual(String(saved[0]._id), String(saved[1]._id));
+
+        const { refreshToken, accessToken } = res.cookies;
+        const session = saved[0];
+        assert.equal(session.refreshTokenHash, hashToken(refreshToken));
+        assert.notEqual(session.refreshTokenHash, refreshToken);
+        assert.equal(session.userAgent, "phone");
+        assert.equal(jwt.decode(accessToken).sid, String(session._id));
+        assert.equal(session.expiresAt.getTime(), jwt.decode(refreshToken).exp * 1000);
+    });
+
+    it("logs out only the current device", async () => {
+        const sessionId = new Types.ObjectId();
+        mock.method(Session, "deleteOne", async () => ({ deletedCount: 1 }));
+
+        const { res } = await runHandler(logoutUser, authedReq(sessionId, { method: "POST" }));
+
+        assert.deepEqual(Session.deleteOne.mock.calls[0].arguments[0], { _id: sessionId, user: user._id });
+        assert.equal(res.cookies.refreshToken, "");
+    });
+
+    it("marks the session of the request as the current one", async () => {
+        const current = new Types.ObjectId();
+        const other = new Types.ObjectId();
+        mock.method(Session, "find", () => queryOf([{ _id: other }, { _id: current }]));
+
+        const { res } = await runHandler(getSessions, authedReq(String(current)));
+
+        assert.deepEqual(
+            res.body.data.sessions.map((session) => session.isCurrent),
+            [false, true]
+        );
+    });
+
+    it("revokes another device without touching the cookies of this one", async () => {
+        const other = new Types.ObjectId();
+        mock.method(Session, "deleteOne", async () => ({ deletedCount: 1 }));
+
+        const { res } = await runHandler(
+            revokeSession,
+            authedReq(String(new Types.ObjectId()), { method: "DELETE", params: { sessionId: String(other) } })
+        );
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.cookies, {});
+    });
+
+    it("answers 404 for sessions of other users", async () => {
+        mock.method(Session, "deleteOne", async () => ({ deletedCount: 0 }));
+
+        const { error } = await runHandler(
+            revokeSession,
+            authedReq(String(new Types.ObjectId()), {
+                method: "DELETE",
+                params: { sessionId: String(new Types.ObjectId()) },
+            })
+        );
+
+        assert.equal(error.statusCode, 404);
+        assert.equal(Session.deleteOne.mock.calls[0].arguments[0].user, user._id);
+    });
+
+    it("rejects access tokens of a revoked session", async () => {
+        const accessToken = user.generateJwtToken(new Types.ObjectId());
+        mock.method(Session, "exists", async () => null);
+        mock.method(User, "findById", () => queryOf(user));
+
+        const { error } = await runHandler(verifyJWT, createReq({ cookies: { accessToken } }));
+
+        assert.equal(error.statusCode, 401);
+        assert.equal(User.findById.mock.callCount(), 0);
+    });
+});
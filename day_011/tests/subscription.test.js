@@ -0,0 +1,61 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { Types } from "mongoose";
+import User from "../models/user.model.js";
+import Subscription from "../models/subscription.model.js";
+import { toggleSubscription } from "../controllers/subscription.controller.js";
+import { createReq, runHandler, queryOf } from "./helpers.js";
+
+describe("subscriptions", () => {
+    const user = { _id: new Types.ObjectId() };
+    const channel = { _id: new Types.ObjectId(), userName: "channel" };
+
+    beforeEach(() => {
+        mock.method(User, "findById", (id) => queryOf(String(id) === String(channel._id) ? channel : null));
+        mock.method(Subscription, "create", async (data) => data);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const toggle = (channelId = String(channel._id), by = user) =>
+        runHandler(toggleSubscription, createReq({ method: "POST", user: by, params: { channelId } }));
+
+    it("subscribes, then unsubscribes on the next toggle", async () => {
+        mock.method(Subscription, "findOneAndDelete", async () => null);
+        const { res } = await toggle();
+        assert.equal(res.body.data.isSubscribed, true);
+        assert.deepEqual(Subscription.create.mock.calls[0].arguments[0], {
+            subscriber: user._id,
+            channel: channel._id,
+        });
+
+        mock.method(Subscription, "findOneAndDelete", async () => ({ _id: new Types.ObjectId() }));
+        const { res: second } = await toggle();
+        assert.equal(second.body.data.isSubscribed, false);
+        assert.equal(Subscription.create.mock.callCount(), 1);
+    });
+
+    it("stays subscribed when a parallel request subscribed first", async () => {
+        mock.method(Subscription, "findOneAndDelete", async () => null);
+        mock.method(Subscription, "create", async () => {
+            throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+        });
+
+        const { res } = await toggle();
+
+        assert.equal(res.body.data.isSubscribed, true);
+    });
+
+    it("does not subscribe to your own channel", async () => {
+        const { error } = await toggle(String(channel._id), { _id: channel._id });
+
+        assert.equal(error.statusCode, 400);
+    });
+
+    it("answers 400 for invalid and 404 for unknown channels", async () => {
+        assert.equal((await toggle("nope")).error.statusCode, 400);
+        assert.equal((await toggle(String(new Types.ObjectId()))).error.statusCode, 404);
+    });
+});
@@ -0,0 +1,122 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import { Types } from "mongoose";
+import User from "../models/user.model.js";
+import { loginWithTwoFactor } from "../controllers/user.controller.js";
+import { generateTotpSecret, buildOtpAuthUri, verifyTotp } from "../utils/totp.js";
+import { createReq, runHandler, queryOf } from "./helpers.js";
+
+// RFC 6238 test secret ("12345678901234567890") in base32, codes are the last 6 digits of the RFC vectors
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+const at = (seconds) => mock.method(Date, "now", () => seconds * 1000);
+
+describe("totp", () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it("matches the RFC 6238 test vectors", () => {
+        at(59);
+        assert.equal(verifyTotp(RFC_SECRET, "287082"), 1);
+
+        mock.restoreAll();
+        at(1111111109);
+        assert.equal(verifyTotp(RFC_SECRET, "081804"), 37037036);
+
+        mock.restoreAll();
+        at(1234567890);
+        assert.equal(verifyTotp(RFC_SECRET, "005924"), 41152263);
+    });
+
+    it("allows one step of clock drift, not more", () => {
+        // 287082 is the code of step 1 (30 - 59s)
+        at(89);
+        assert.equal(verifyTotp(RFC_SECRET, "287082"), 1);
+
+        mock.restoreAll();
+        at(119);
+        assert.equal(verifyTotp(RFC_SECRET, "287082"), null);
+    });
+
+    it("rejects malformed codes", () => {
+        at(59);
+        for (const code of ["", "28708", "2870820", "abcdef", null, undefined]) {
+            assert.equal(verifyTotp(RFC_SECRET, code), null);
+        }
+    });
+
+    it("generates base32 secrets and otpauth uris for authenticator apps", () => {
+        const secret = generateTotpSecret();
+        assert.match(secret, /^[A-Z2-7]{32}$/);
+
+        const uri = new URL(buildOtpAuthUri({ secret, accountName: "jane@example.com", issuer: "MERN Backend" }));
+        assert.equal(uri.protocol, "otpauth:");
+        assert.equal(uri.host, "totp");
+        assert.equal(decodeURIComponent(uri.pathname), "/MERN Backend:jane@example.com");
+        assert.equal(uri.searchParams.get("secret"), secret);
+        assert.equal(uri.searchParams.get("digits"), "6");
+    });
+});
+
+describe("login with two factor", () => {
+    const env = { ...process.env };
+    const user = new User({
+        _id: new Types.ObjectId(),
+        userName: "jane",
+        email: "jane@example.com",
+        fullName: "Jane",
+        password: "secret",
+        twoFactorEnabled: true,
+        twoFactorSecret: RFC_SECRET,
+    });
+
+    beforeEach(() => {
+        process.env.TWO_FACTOR_CHALLENGE_SECRET = "challenge-secret";
+        process.env.LOGIN_ATTEMPT_STORE = "memory";
+        mock.method(User, "findById", () => queryOf(user));
+    });
+
+    afterEach(() => {
+        process.env = { ...env };
+        mock.restoreAll();
+    });
+
+    const login = (code) => {
+        const challengeToken = jwt.sign({ id: user._id, purpose: "2fa-challenge" }, "challenge-secret");
+        return runHandler(loginWithTwoFactor, createReq({ method: "POST", body: { challengeToken, code } }));
+    };
+
+    it("does not accept a code whose time step was already used", async () => {
+        at(59);
+        // the conditional update only matches when the step is newer than the last used one
+        mock.method(User, "updateOne", async () => ({ modifiedCount: 0 }));
+
+        const { error } = await login("287082");
+
+        assert.equal(error.statusCode, 401);
+        assert.deepEqual(User.updateOne.mock.calls[0].arguments[1], { $set: { twoFactorLastUsedStep: 1 } });
+    });
+
+    it("rejects a wrong code without touching the user", async () => {
+        at(59);
+        mock.method(User, "updateOne", async () => ({ modifiedCount: 1 }));
+
+        const { error } = await login("000000");
+
+        assert.equal(error.statusCode, 401);
+        assert.equal(User.updateOne.mock.callCount(), 0);
+    });
+
+    it("rejects a token that is not a login challenge", async () => {
+        const challengeToken = jwt.sign({ id: user._id, purpose: "email-verification" }, "challenge-secret");
+
+        const { error } = await runHandler(
+            loginWithTwoFactor,
+            createReq({ method: "POST", body: { challengeToken, code: "287082" } })
+        );
+
+        assert.equal(error.statusCode, 401);
+    });
+});
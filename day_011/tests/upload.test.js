@@ -0,0 +1,152 @@
+import { describe, it, before, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs/promises";
+import { existsSync } from "fs";
+import { Readable } from "stream";
+import { Types } from "mongoose";
+import Upload from "../models/upload.model.js";
+import { appendChunk, completeUpload, cancelUpload } from "../controllers/upload.controller.js";
+import { CHUNKS_DIR, getChunkPath, getAssembledPath, removeExpiredUploads } from "../utils/uploadCleanup.js";
+import { createReq, runHandler, queryOf } from "./helpers.js";
+
+const owner = new Types.ObjectId();
+
+const newUpload = (overrides = {}) =>
+    new Upload({
+        owner,
+        filename: "talk.mp4",
+        mimetype: "video/mp4",
+        size: 10,
+        title: "Talk",
+        desc: "A talk",
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        ...overrides,
+    });
+
+// a request whose raw body is the chunk
+const chunkRequest = (upload, chunk, headers = {}) =>
+    Object.assign(
+        Readable.from([chunk]),
+        createReq({
+            method: "PATCH",
+            user: { _id: owner },
+            params: { uploadId: String(upload._id) },
+            headers: {
+                "upload-offset": String(upload.offset),
+                "upload-checksum": `sha256 ${crypto.createHash("sha256").update(chunk).digest("base64")}`,
+                ...headers,
+            },
+        })
+    );
+
+describe("resumable uploads", () => {
+    const created = [];
+
+    before(async () => {
+        await fs.mkdir(CHUNKS_DIR, { recursive: true });
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        for (const upload of created.splice(0)) {
+            await fs.rm(getChunkPath(upload), { force: true });
+            await fs.rm(getAssembledPath(upload), { force: true });
+        }
+    });
+
+    // an upload with its bytes on disk, under the .part or the assembled name
+    const storeUpload = async (upload, content, filePath = getChunkPath(upload)) => {
+        created.push(upload);
+        await fs.writeFile(filePath, content);
+        return upload;
+    };
+
+    it("appends a chunk at the current offset", async () => {
+        const upload = await storeUpload(newUpload({ offset: 3 }), "abc");
+        mock.method(Upload, "findOne", () => queryOf(upload));
+        mock.method(Upload, "findOneAndUpdate", () => queryOf(upload));
+        mock.method(Upload, "findByIdAndUpdate", () => queryOf(newUpload({ _id: upload._id, offset: 6 })));
+
+        const { res, error } = await runHandler(appendChunk, chunkRequest(upload, Buffer.from("def")));
+
+        assert.equal(error, undefined);
+        assert.equal(res.headers["upload-offset"], "6");
+        assert.equal(await fs.readFile(getChunkPath(upload), "utf8"), "abcdef");
+    });
+
+    it("answers 409 with the current offset for a chunk at the wrong offset", async () => {
+        const upload = await storeUpload(newUpload({ offset: 3 }), "abc");
+        mock.method(Upload, "findOne", () => queryOf(upload));
+
+        const req = chunkRequest(upload, Buffer.from("def"), { "upload-offset": "0" });
+        const { error } = await runHandler(appendChunk, req);
+
+        assert.equal(error.statusCode, 409);
+        assert.deepEqual(error.data, { offset: 3 });
+    });
+
+    it("rejects a chunk whose checksum does not match", async () => {
+        const upload = await storeUpload(newUpload(), "");
+        mock.method(Upload, "findOne", () => queryOf(upload));
+
+        const req = chunkRequest(upload, Buffer.from("abc"), { "upload-checksum": "sha256 AAAA" });
+        const { error } = await runHandler(appendChunk, req);
+
+        assert.equal(error.statusCode, 400);
+        assert.equal(await fs.readFile(getChunkPath(upload), "utf8"), "");
+    });
+
+    it("removes both files of an expired upload that crashed while completing", async () => {
+        const upload = newUpload({ status: "completing", expiresAt: new Date(Date.now() - 1000) });
+        await storeUpload(upload, "part");
+        await storeUpload(upload, "assembled", getAssembledPath(upload));
+        mock.method(Upload, "find", () => queryOf([upload]));
+        mock.method(Upload, "deleteOne", async () => ({ deletedCount: 1 }));
+
+        assert.equal(await removeExpiredUploads(), 1);
+
+        assert.equal(existsSync(getChunkPath(upload)), false);
+        assert.equal(existsSync(getAssembledPath(upload)), false);
+        assert.equal(Upload.deleteOne.mock.callCount(), 1);
+    });
+
+    it("retries a completion that crashed after renaming the file", async () => {
+        const upload = newUpload({ offset: 10, status: "completing", lockedUntil: new Date(Date.now() - 1000) });
+        await storeUpload(upload, "not a video", getAssembledPath(upload));
+        mock.method(Upload, "findOne", () => queryOf(upload));
+        mock.method(Upload, "findOneAndUpdate", (filter) => {
+            assert.deepEqual(filter.status, { $in: ["uploading", "completing"] });
+            return queryOf(upload);
+        });
+        mock.method(Upload, "deleteOne", async () => ({ deletedCount: 1 }));
+        mock.method(Upload, "updateOne", async () => ({ matchedCount: 1 }));
+
+        const req = createReq({ method: "POST", user: { _id: owner }, params: { uploadId: String(upload._id) } });
+        const { error } = await runHandler(completeUpload, req);
+
+        // the recovered file was checked again, and discarded as it is no mp4
+        assert.equal(error.statusCode, 400);
+        assert.equal(existsSync(getChunkPath(upload)), false);
+        assert.equal(existsSync(getAssembledPath(upload)), false);
+    });
+
+    it("cancels a completing upload only once its lock expired", async () => {
+        const locked = newUpload({ status: "completing", lockedUntil: new Date(Date.now() + 60 * 1000) });
+        const crashed = newUpload({ status: "completing", lockedUntil: new Date(Date.now() - 1000) });
+        await storeUpload(crashed, "assembled", getAssembledPath(crashed));
+        mock.method(Upload, "deleteOne", async () => ({ deletedCount: 1 }));
+
+        const cancel = (upload) => {
+            mock.method(Upload, "findOne", () => queryOf(upload));
+            return runHandler(
+                cancelUpload,
+                createReq({ method: "DELETE", user: { _id: owner }, params: { uploadId: String(upload._id) } })
+            );
+        };
+
+        assert.equal((await cancel(locked)).error.statusCode, 409);
+        assert.equal((await cancel(crashed)).error, undefined);
+        assert.equal(existsSync(getAssembledPath(crashed)), false);
+    });
+});
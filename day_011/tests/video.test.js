@@ -0,0 +1,99 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { Types } from "mongoose";
+import Video from "../models/video.model.js";
+import { publishVideo, updateVideo, togglePublishStatus } from "../controllers/video.controller.js";
+import { createReq, runHandler, queryOf } from "./helpers.js";
+
+describe("videos", () => {
+    const owner = { _id: new Types.ObjectId(), role: "user" };
+    const moderator = { _id: new Types.ObjectId(), role: "moderator" };
+    let video;
+
+    beforeEach(() => {
+        video = new Video({
+            title: "Talk",
+            desc: "A talk",
+            videoFile: "http://files/talk.mp4",
+            thumbnail: "http://files/talk.jpg",
+            duration: 60,
+            owner: owner._id,
+            isPublished: true,
+            processing: { status: "ready" },
+        });
+        mock.method(Video, "findById", () => queryOf(video));
+        mock.method(Video.prototype, "save", async function () {
+            return this;
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const request = (handler, user, body = {}) =>
+        runHandler(handler, createReq({ method: "PATCH", user, params: { videoId: String(video._id) }, body }));
+
+    it("requires a title, a description and the video file to publish", async () => {
+        const missingFields = await runHandler(publishVideo, createReq({ method: "POST", user: owner, body: {} }));
+        assert.equal(missingFields.error.statusCode, 400);
+        assert.deepEqual(missingFields.error.errors, ["title", "desc"]);
+
+        const missingFile = await runHandler(
+            publishVideo,
+            createReq({ method: "POST", user: owner, body: { title: "Talk", desc: "A talk" }, files: {} })
+        );
+        assert.equal(missingFile.error.statusCode, 400);
+        assert.deepEqual(missingFile.error.errors, ["videoFile"]);
+    });
+
+    it("trims the updated title and description", async () => {
+        const { res } = await request(updateVideo, owner, { title: "  New title ", desc: " New desc " });
+
+        assert.equal(res.body.data.video.title, "New title");
+        assert.equal(res.body.data.video.desc, "New desc");
+    });
+
+    it("only lets the owner update a video", async () => {
+        const { error } = await request(updateVideo, { _id: new Types.ObjectId(), role: "user" }, { title: "Mine" });
+
+        assert.equal(error.statusCode, 403);
+        assert.equal(Video.prototype.save.mock.callCount(), 0);
+    });
+
+    it("lets the owner unpublish and publish a video again", async () => {
+        const unpublished = await request(togglePublishStatus, owner);
+        assert.equal(unpublished.res.body.data.video.isPublished, false);
+
+        const published = await request(togglePublishStatus, owner);
+        assert.equal(published.res.body.data.video.isPublished, true);
+    });
+
+    it("lets moderators take a video down, but not publish it", async () => {
+        const { res } = await request(togglePublishStatus, moderator);
+        assert.equal(res.body.data.video.isPublished, false);
+
+        const { error } = await request(togglePublishStatus, moderator);
+        assert.equal(error.statusCode, 403);
+    });
+
+    it("publishes a video still processing once it is ready", async () => {
+        video.isPublished = false;
+        video.processing.status = "processing";
+        video.publishWhenReady = false;
+
+        const { res } = await request(togglePublishStatus, owner);
+
+        assert.equal(res.body.data.video.isPublished, false);
+        assert.equal(res.body.data.video.publishWhenReady, true);
+    });
+
+    it("does not publish a video whose processing failed", async () => {
+        video.isPublished = false;
+        video.processing.status = "failed";
+
+        const { error } = await request(togglePublishStatus, owner);
+
+        assert.equal(error.statusCode, 409);
+    });
+});
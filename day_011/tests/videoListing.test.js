@@ -0,0 +1,82 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { Types } from "mongoose";
+import User from "../models/user.model.js";
+import Video from "../models/video.model.js";
+import { getAllVideos } from "../controllers/video.controller.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { createReq, runHandler, queryOf } from "./helpers.js";
+
+describe("video listing", () => {
+    beforeEach(() => {
+        // the aggregate stays a plain pipeline, so the test can read the stages
+        mock.method(Video, "aggregate", (pipeline) => pipeline);
+        mock.method(Video, "aggregatePaginate", async () => ({ videos: [], totalDocs: 0 }));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const list = async (query) => {
+        const result = await runHandler(getAllVideos, createReq({ query }));
+        const [pipeline, options] = Video.aggregatePaginate.mock.calls[0]?.arguments || [];
+        return { ...result, pipeline, options };
+    };
+
+    it("lists published videos, newest first by default", async () => {
+        const { res, pipeline, options } = await list({});
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(pipeline[0], { $match: { isPublished: true } });
+        assert.deepEqual(pipeline[1], { $sort: { createdAt: -1, _id: -1 } });
+        assert.deepEqual(options, { page: 1, limit: 10, customLabels: { docs: "videos" } });
+    });
+
+    it("combines the filters", async () => {
+        const owner = { _id: new Types.ObjectId() };
+        mock.method(User, "findOne", () => queryOf(owner));
+
+        const { pipeline } = await list({
+            userName: "Jane",
+            from: "2024-01-01",
+            duration: "medium",
+            query: "a.b",
+            sortBy: "views",
+            sortType: "asc",
+        });
+
+        const { $match } = pipeline[0];
+        assert.deepEqual(User.findOne.mock.calls[0].arguments[0], { userName: "jane" });
+        assert.equal($match.owner, owner._id);
+        assert.deepEqual($match.createdAt, { $gte: new Date("2024-01-01") });
+        assert.deepEqual($match.duration, { $gte: 240, $lt: 1200 });
+        // the search text is matched literally
+        assert.equal($match.$or[0].title.source, "a\\.b");
+        assert.deepEqual(pipeline[1], { $sort: { views: 1, _id: 1 } });
+    });
+
+    it("has no upper bound for long videos", async () => {
+        const { pipeline } = await list({ duration: "long" });
+
+        assert.deepEqual(pipeline[0].$match.duration, { $gte: 1200 });
+    });
+
+    it("rejects invalid sorting, dates and durations", async () => {
+        for (const query of [{ sortBy: "title" }, { sortType: "up" }, { to: "yesterday" }, { duration: "tiny" }]) {
+            assert.equal((await list(query)).error.statusCode, 400);
+        }
+        assert.equal(Video.aggregatePaginate.mock.callCount(), 0);
+    });
+
+    it("answers 404 for an unknown channel", async () => {
+        mock.method(User, "findOne", () => queryOf(null));
+
+        assert.equal((await list({ userName: "nobody" })).error.statusCode, 404);
+    });
+
+    it("keeps page and limit in range", () => {
+        assert.deepEqual(getPaginationOptions({ page: "0", limit: "500" }), { page: 1, limit: 50, customLabels: {} });
+        assert.deepEqual(getPaginationOptions({ page: "x", limit: "-3" }), { page: 1, limit: 1, customLabels: {} });
+    });
+});
@@ -0,0 +1,227 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import { existsSync } from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { Types } from "mongoose";
+import Video from "../models/video.model.js";
+import { getRenditions, keepSourceFile, processVideo } from "../utils/videoProcessing.js";
+import { registerStorageDriver, uploadFile, getLocalFilePath } from "../utils/storage/index.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROCESSING_DIR = path.join(__dirname, "../uploads/processing");
+
+// stand-ins for the binaries: ffprobe prints FAKE_PROBE, ffmpeg writes two segments + a playlist, or a jpeg
+const FAKE_FFPROBE = `#!/usr/bin/env node
+process.stdout.write(process.env.FAKE_PROBE);
+`;
+
+const FAKE_FFMPEG = `#!/usr/bin/env node
+const fs = require("fs");
+const path = require("path");
+const args = process.argv.slice(2);
+const output = args[args.length - 1];
+const pattern = args[args.indexOf("-hls_segment_filename") + 1];
+
+if (args.includes("-hls_segment_filename")) {
+    const segments = [0, 1].map((i) => pattern.replace("%04d", String(i).padStart(4, "0")));
+    segments.forEach((segment) => fs.writeFileSync(segment, "segment"));
+    const lines = segments.flatMap((segment) => ["#EXTINF:6.0,", path.basename(segment)]);
+    fs.writeFileSync(output, ["#EXTM3U", ...lines, "#EXT-X-ENDLIST"].join("\\n"));
+} else {
+    fs.writeFileSync(output, "jpeg");
+}
+`;
+
+// storage driver keeping track of the stored files and their resource type
+const stored = new Map();
+let nextId = 0;
+let failOn = null;
+let localPaths = {};
+
+registerStorageDriver("test", {
+    upload: async (filePath, { resourceType }) => {
+        if (failOn && path.basename(filePath) === failOn) throw new Error("storage is down");
+        const id = `file-${nextId++}-${path.basename(filePath)}`;
+        stored.set(id, resourceType);
+        return { id, url: `http://files/${id}`, resourceType };
+    },
+    delete: async (id, { resourceType }) => {
+        assert.equal(stored.get(id), resourceType, `${id} deleted with the wrong resource type`);
+        stored.delete(id);
+    },
+    getUrl: (id) => `http://files/${id}`,
+    stat: async () => null,
+    getPath: (id) => localPaths[id] || null,
+});
+
+const probeOf = (width, height) =>
+    JSON.stringify({
+        format: { duration: "12.5" },
+        streams: [{ codec_type: "video", width, height }, { codec_type: "audio" }],
+    });
+
+const newVideo = () => ({
+    _id: new Types.ObjectId(),
+    videoFile: "http://files/videos/original.mp4",
+    videoFileId: "videos/original.mp4",
+    thumbnailId: null,
+    processing: { status: "processing", attempts: 1 },
+});
+
+// the final update of the job: applied to a video whose thumbnail is currentThumbnailId, null when nothing matched
+const finishUpdate = ({ matched = true, currentThumbnailId = null } = {}) =>
+    mock.method(Video, "findOneAndUpdate", async (filter, [{ $set }]) =>
+        matched ? { thumbnailId: currentThumbnailId || $set.thumbnailId?.$cond[2].$literal } : null
+    );
+
+describe("video processing", () => {
+    const env = { ...process.env };
+    let binDir;
+    const videos = [];
+
+    before(async () => {
+        binDir = await fs.mkdtemp(path.join(os.tmpdir(), "fake-ffmpeg-"));
+        await fs.writeFile(path.join(binDir, "ffprobe"), FAKE_FFPROBE, { mode: 0o755 });
+        await fs.writeFile(path.join(binDir, "ffmpeg"), FAKE_FFMPEG, { mode: 0o755 });
+    });
+
+    after(async () => {
+        await fs.rm(binDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        process.env.STORAGE_DRIVER = "test";
+        process.env.FFMPEG_PATH = path.join(binDir, "ffmpeg");
+        process.env.FFPROBE_PATH = path.join(binDir, "ffprobe");
+        process.env.FAKE_PROBE = probeOf(1280, 720);
+        stored.clear();
+        failOn = null;
+        localPaths = {};
+    });
+
+    afterEach(async () => {
+        process.env = { ...env };
+        mock.restoreAll();
+        for (const video of videos.splice(0)) {
+            await fs.rm(path.join(PROCESSING_DIR, `${video._id}.mp4`), { force: true });
+        }
+    });
+
+    // a video whose upload is waiting in uploads/processing
+    const uploadedVideo = async () => {
+        const video = newVideo();
+        videos.push(video);
+        await fs.mkdir(PROCESSING_DIR, { recursive: true });
+        await fs.writeFile(path.join(PROCESSING_DIR, `${video._id}.mp4`), "video");
+        return video;
+    };
+
+    it("picks the ladder steps by the short side of the picture", () => {
+        const sizes = (renditions) => renditions.map(({ width, height }) => `${width}x${height}`);
+
+        assert.deepEqual(sizes(getRenditions({ width: 1920, height: 1080 })), ["640x360", "1280x720", "1920x1080"]);
+        assert.deepEqual(sizes(getRenditions({ width: 1080, height: 1920 })), ["360x640", "720x1280", "1080x1920"]);
+        // small sources get one rendition, never upscaled
+        assert.deepEqual(sizes(getRenditions({ width: 240, height: 320 })), ["240x320"]);
+    });
+
+    it("stores every file and publishes from the current publishWhenReady", async () => {
+        const video = await uploadedVideo();
+        finishUpdate();
+
+        assert.equal(await processVideo(video), true);
+
+        const [filter, update] = Video.findOneAndUpdate.mock.calls[0].arguments;
+        assert.deepEqual(filter, {
+            _id: video._id,
+            "processing.status": "processing",
+            "processing.attempts": 1,
+        });
+        const { $set } = update[0];
+        assert.equal($set.isPublished, "$publishWhenReady");
+        assert.equal($set["processing.status"], "ready");
+        assert.equal($set.hls.$literal.renditions.length, 2);
+        // 2 renditions x (2 segments + playlist) + master
+        assert.equal($set.streamFileIds.$literal.length, 7);
+
+        assert.equal(stored.get($set.thumbnailId.$cond[2].$literal), "image");
+        assert.equal(stored.get($set.sprite.$literal.id), "image");
+        assert.equal(existsSync(path.join(PROCESSING_DIR, `${video._id}.mp4`)), false);
+    });
+
+    it("removes the stored files with their resource type when a step fails", async () => {
+        const video = await uploadedVideo();
+        failOn = "master.m3u8";
+        finishUpdate();
+        mock.method(console, "error", () => null);
+
+        await assert.rejects(processVideo(video), { statusCode: 500 });
+
+        assert.equal(stored.size, 0);
+        assert.equal(Video.findOneAndUpdate.mock.callCount(), 0);
+        // kept for the next attempt
+        assert.equal(existsSync(path.join(PROCESSING_DIR, `${video._id}.mp4`)), true);
+    });
+
+    it("removes the stored files when the video was deleted meanwhile", async () => {
+        const video = await uploadedVideo();
+        finishUpdate({ matched: false });
+
+        assert.equal(await processVideo(video), false);
+
+        assert.equal(stored.size, 0);
+    });
+
+    it("keeps a thumbnail the owner uploaded while the job ran and removes the generated one", async () => {
+        const video = await uploadedVideo();
+        finishUpdate({ currentThumbnailId: "thumbnails/uploaded.jpg" });
+
+        assert.equal(await processVideo(video), true);
+
+        const { $set } = Video.findOneAndUpdate.mock.calls[0].arguments[1][0];
+        const generated = $set.thumbnailId.$cond[2].$literal;
+        assert.equal(stored.has(generated), false);
+        assert.equal(stored.has($set.sprite.$literal.id), true);
+    });
+
+    it("reads the original in place from a local storage", async () => {
+        const video = newVideo();
+        const original = path.join(binDir, "original.mp4");
+        await fs.writeFile(original, "video");
+        localPaths[video.videoFileId] = original;
+        mock.method(globalThis, "fetch", async () => {
+            throw new Error("the original should not be downloaded");
+        });
+        finishUpdate();
+
+        assert.equal(await processVideo(video), true);
+
+        // the stored original is not the job's copy, it stays
+        assert.equal(existsSync(original), true);
+        assert.equal(fetch.mock.callCount(), 0);
+    });
+
+    it("leaves the local file in place when the local driver stores it with autoDelete off", async () => {
+        process.env.STORAGE_DRIVER = "local";
+        const video = newVideo();
+        videos.push(video);
+        const upload = path.join(binDir, "upload.mp4");
+        await fs.writeFile(upload, "video");
+
+        const file = await uploadFile(upload, "tests", false);
+
+        try {
+            assert.equal(existsSync(upload), true);
+            assert.equal(await fs.readFile(getLocalFilePath(file.id, "video"), "utf8"), "video");
+
+            // the job gets its own copy
+            await keepSourceFile(video, upload);
+            assert.equal(existsSync(path.join(PROCESSING_DIR, `${video._id}.mp4`)), true);
+        } finally {
+            await fs.rm(path.dirname(getLocalFilePath(file.id, "video")), { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,100 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Video from "../models/video.model.js";
+import View from "../models/view.model.js";
+import { countView, getPendingViews, stopViewCounter } from "../utils/viewCounter.js";
+import { addVideoView } from "../controllers/video.controller.js";
+import { createReq, runHandler, queryOf } from "./helpers.js";
+
+const duplicateKeyError = () => Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+
+describe("view counting", () => {
+    let video;
+
+    beforeEach(() => {
+        video = {
+            _id: new mongoose.Types.ObjectId(),
+            owner: new mongoose.Types.ObjectId(),
+            isPublished: true,
+            views: 5,
+        };
+        video.owner.equals = mongoose.Types.ObjectId.prototype.equals;
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it("counts the first view of a viewer and buffers it", async () => {
+        mock.method(View, "updateOne", async () => ({ modifiedCount: 0 }));
+        const create = mock.method(View, "create", async (doc) => doc);
+
+        assert.equal(await countView(video, "user:1"), true);
+        assert.equal(getPendingViews(video._id), 1);
+        assert.equal(create.mock.calls[0].arguments[0].isLatest, true);
+    });
+
+    it("does not count a viewer whose latest view is inside the window", async () => {
+        mock.method(View, "updateOne", async () => ({ modifiedCount: 0 }));
+        mock.method(View, "create", async () => {
+            throw duplicateKeyError();
+        });
+
+        assert.equal(await countView(video, "user:1"), false);
+        assert.equal(getPendingViews(video._id), 0);
+    });
+
+    it("retires only latest views older than a sliding VIEW_WINDOW_HOURS", async () => {
+        process.env.VIEW_WINDOW_HOURS = "2";
+        const updateOne = mock.method(View, "updateOne", async () => ({ modifiedCount: 1 }));
+        mock.method(View, "create", async (doc) => doc);
+
+        const before = Date.now();
+        await countView(video, "user:1");
+        delete process.env.VIEW_WINDOW_HOURS;
+
+        const [filter, update] = updateOne.mock.calls[0].arguments;
+        const cutoff = filter.createdAt.$lte.getTime();
+        assert.equal(filter.isLatest, true);
+        assert.ok(Math.abs(before - 2 * 60 * 60 * 1000 - cutoff) < 1000);
+        assert.deepEqual(update, { $set: { isLatest: false } });
+    });
+
+    it("keys anonymous viewers on ip and user agent, not on client headers", async () => {
+        mock.method(Video, "findById", () => queryOf(video));
+        mock.method(View, "updateOne", async () => ({ modifiedCount: 0 }));
+        const create = mock.method(View, "create", async (doc) => doc);
+
+        const request = (fingerprint) =>
+            runHandler(
+                addVideoView,
+                createReq({
+                    params: { videoId: String(video._id) },
+                    headers: { "user-agent": "test-agent", "x-viewer-fingerprint": fingerprint },
+                })
+            );
+
+        await request("first");
+        await request("second");
+
+        const [first, second] = create.mock.calls.map((call) => call.arguments[0].viewer);
+        assert.match(first, /^anon:[0-9a-f]{64}$/);
+        assert.equal(first, second);
+    });
+
+    it("writes the buffered views when the counter stops", async () => {
+        mock.method(View, "updateOne", async () => ({ modifiedCount: 0 }));
+        mock.method(View, "create", async (doc) => doc);
+        const bulkWrite = mock.method(Video, "bulkWrite", async () => ({}));
+
+        await countView(video, "user:1");
+        await countView(video, "user:2");
+        await stopViewCounter();
+
+        const operations = bulkWrite.mock.calls.flatMap((call) => call.arguments[0]);
+        const written = operations.find((operation) => String(operation.updateOne.filter._id) === String(video._id));
+        assert.deepEqual(written.updateOne.update, { $inc: { views: 2 } });
+        assert.equal(getPendingViews(video._id), 0);
+    });
+});
@@ -0,0 +1,68 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { Types } from "mongoose";
+import User from "../models/user.model.js";
+import Video from "../models/video.model.js";
+import { addToWatchHistory, removeFromWatchHistory } from "../controllers/user.controller.js";
+import { createReq, runHandler, queryOf } from "./helpers.js";
+
+describe("watch history", () => {
+    const user = { _id: new Types.ObjectId() };
+    let video;
+
+    beforeEach(() => {
+        video = { _id: new Types.ObjectId(), duration: 120, isPublished: true, owner: new Types.ObjectId() };
+        mock.method(Video, "findById", () => queryOf(video));
+        mock.method(User, "updateOne", async () => ({ modifiedCount: 1 }));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const watch = (body) =>
+        runHandler(
+            addToWatchHistory,
+            createReq({ method: "POST", user, params: { videoId: String(video._id) }, body })
+        );
+
+    it("moves the video to the top of the history, keeping the latest entries only", async () => {
+        const { res } = await watch({ position: 42 });
+
+        assert.equal(res.body.data.entry.position, 42);
+        const [pull, push] = User.updateOne.mock.calls.map((call) => call.arguments[1]);
+        assert.deepEqual(pull, { $pull: { watchHistory: { video: video._id } } });
+        assert.equal(push.$push.watchHistory.$position, 0);
+        assert.equal(push.$push.watchHistory.$slice, 200);
+    });
+
+    it("caps the position at the duration of the video", async () => {
+        const { res } = await watch({ position: 500 });
+
+        assert.equal(res.body.data.entry.position, 120);
+    });
+
+    it("rejects invalid positions", async () => {
+        for (const position of [-1, "abc"]) {
+            assert.equal((await watch({ position })).error.statusCode, 400);
+        }
+        assert.equal(User.updateOne.mock.callCount(), 0);
+    });
+
+    it("does not record unpublished videos of other users", async () => {
+        video.isPublished = false;
+
+        assert.equal((await watch({ position: 1 })).error.statusCode, 404);
+    });
+
+    it("answers 404 when removing a video that is not in the history", async () => {
+        mock.method(User, "updateOne", async () => ({ modifiedCount: 0 }));
+
+        const { error } = await runHandler(
+            removeFromWatchHistory,
+            createReq({ method: "DELETE", user, params: { videoId: String(video._id) } })
+        );
+
+        assert.equal(error.statusCode, 404);
+    });
+});
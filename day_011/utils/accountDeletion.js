@@ -0,0 +1,159 @@
+// day_011 ---------------------------------------------------------
+// account deletion: the account waits for a grace period (it can be restored meanwhile), then it is purged
+// the purge runs in steps, every finished step is saved on the user so a failed purge resumes where it stopped
+
+import User from "../models/user.model.js";
+import Video from "../models/video.model.js";
+import Session from "../models/session.model.js";
+import ApiKey from "../models/apiKey.model.js";
+import Subscription from "../models/subscription.model.js";
+import Playlist from "../models/playlist.model.js";
+import Comment from "../models/comment.model.js";
+import Like from "../models/like.model.js";
+import SecurityEvent from "../models/securityEvent.model.js";
+import { deleteImageVariants } from "./imageProcessing.js";
+import { removeVideo } from "./videoCleanup.js";
+import { accountKey, resetLoginFailures } from "./loginThrottle.js";
+
+// how long one instance may work on an account before another one takes over
+const PURGE_LOCK_MS = 10 * 60 * 1000;
+
+const getGracePeriodMs = () => {
+    const days = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS);
+    return (Number.isFinite(days) && days >= 0 ? days : 14) * 24 * 60 * 60 * 1000;
+};
+
+// purge steps in order, each one can safely run again
+const PURGE_STEPS = [
+    // revoke every way to log in
+    [
+        "credentials",
+        async (user) => {
+            await Session.deleteMany({ user: user._id });
+            await ApiKey.deleteMany({ user: user._id });
+        },
+    ],
+    // videos with their stored files, likes, comments and watch history entries
+    [
+        "videos",
+        async (user) => {
+            // one video at a time, deleted videos are gone from the query when the step is resumed
+            for (const video of await Video.find({ owner: user._id }).select("_id videoFileId thumbnailId")) {
+                await removeVideo(video);
+            }
+        },
+    ],
+    // comments on other videos (with their replies) and every like the user gave
+    [
+        "comments",
+        async (user) => {
+            const comments = await Comment.find({ owner: user._id }).select("_id");
+            const commentIds = comments.map((comment) => comment._id);
+            const replyIds = (await Comment.find({ parentComment: { $in: commentIds } }).select("_id")).map(
+                (reply) => reply._id
+            );
+
+            await Like.deleteMany({ targetType: "Comment", target: { $in: [...commentIds, ...replyIds] } });
+            await Comment.deleteMany({ _id: { $in: [...commentIds, ...replyIds] } });
+            await Like.deleteMany({ likedBy: user._id });
+        },
+    ],
+    // subscriptions in both directions
+    [
+        "subscriptions",
+        async (user) => {
+            await Subscription.deleteMany({ $or: [{ subscriber: user._id }, { channel: user._id }] });
+        },
+    ],
+    [
+        "playlists",
+        async (user) => {
+            await Playlist.deleteMany({ owner: user._id });
+        },
+    ],
+    [
+        "images",
+        async (user) => {
+            await deleteImageVariants(user.avatarVariants, user.avatarId);
+            await deleteImageVariants(user.coverImageVariants, user.coverImageId);
+        },
+    ],
+    [
+        "security",
+        async (user) => {
+            await SecurityEvent.deleteMany({ user: user._id });
+            await resetLoginFailures(accountKey(user._id));
+        },
+    ],
+];
+
+// run the remaining purge steps of an account, then delete the user document
+const purgeAccount = async (user) => {
+    for (const [step, run] of PURGE_STEPS) {
+        if (user.deletion.completedSteps.includes(step)) continue;
+
+        await run(user);
+
+        await User.updateOne({ _id: user._id }, { $addToSet: { "deletion.completedSteps": step } });
+        user.deletion.completedSteps.push(step);
+    }
+
+    await User.deleteOne({ _id: user._id });
+};
+
+// schedule the deletion of an account and log it out everywhere
+const scheduleAccountDeletion = async (user) => {
+    user.deletion = {
+        requestedAt: new Date(),
+        scheduledFor: new Date(Date.now() + getGracePeriodMs()),
+        completedSteps: [],
+    };
+    await user.save({ validateBeforeSave: false });
+
+    await Session.deleteMany({ user: user._id });
+    await ApiKey.deleteMany({ user: user._id });
+
+    return user.deletion;
+};
+
+// claim the next account that is due, locked so two instances never purge the same account
+const claimDueAccount = () => {
+    const now = new Date();
+
+    return User.findOneAndUpdate(
+        {
+            "deletion.scheduledFor": { $lte: now },
+            $or: [{ "deletion.lockedUntil": null }, { "deletion.lockedUntil": { $lte: now } }],
+        },
+        { $set: { "deletion.lockedUntil": new Date(now.getTime() + PURGE_LOCK_MS) } },
+        { new: true }
+    );
+};
+
+// purge every account whose grace period is over, failed purges are retried on the next run
+const purgeDueAccounts = async () => {
+    let purged = 0;
+
+    for (let user = await claimDueAccount(); user; user = await claimDueAccount()) {
+        try {
+            await purgeAccount(user);
+            purged += 1;
+        } catch (error) {
+            console.error(`Failed to purge account ${user._id}, it will be retried:`, error);
+        }
+    }
+
+    return purged;
+};
+
+// check for due accounts now and then, unref so it never keeps the process alive
+const startAccountDeletionWorker = () => {
+    const intervalMs = Number(process.env.ACCOUNT_DELETION_INTERVAL_MS) || 60 * 60 * 1000;
+
+    const run = () => purgeDueAccounts().catch((error) => console.error("Account deletion worker failed:", error));
+    run();
+
+    return setInterval(run, intervalMs).unref();
+};
+
+export { getGracePeriodMs, scheduleAccountDeletion, purgeAccount, purgeDueAccounts, startAccountDeletionWorker };
@@ -0,0 +1,55 @@
+// day_011 ---------------------------------------------------------
+// account emails (verification, password reset, suspicious sign-in) sent through the pluggable mailer
+
+import { sendMail } from "./mailer.js";
+
+// user input (full name) must not be able to add markup to the mail
+const escapeHtml = (value) =>
+    String(value).replace(
+        /[&<>"']/g,
+        (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]
+    );
+
+// generate a new verification token for the user and mail the link
+const sendVerificationEmail = async (user) => {
+    const token = user.generateEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    const baseUrl = process.env.EMAIL_VERIFICATION_URL || "http://localhost:3000/verify-email";
+    const link = `${baseUrl}/${token}`;
+
+    await sendMail({
+        to: user.email,
+        subject: "Verify your email",
+        text: `Hi ${user.fullName}, please verify your email by opening this link: ${link}`,
+        html: `<p>Hi ${escapeHtml(user.fullName)},</p><p>Please verify your email by clicking <a href="${escapeHtml(link)}">this link</a>.</p>`,
+    });
+};
+
+// generate a new password reset token for the user and mail the link
+const sendPasswordResetEmail = async (user) => {
+    const token = user.generatePasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const baseUrl = process.env.PASSWORD_RESET_URL || "http://localhost:3000/reset-password";
+    const link = `${baseUrl}/${token}`;
+
+    await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text: `Hi ${user.fullName}, reset your password by opening this link: ${link}. If you did not ask for this, ignore this email.`,
+        html: `<p>Hi ${escapeHtml(user.fullName)},</p><p>Reset your password by clicking <a href="${escapeHtml(link)}">this link</a>.</p><p>If you did not ask for this, ignore this email.</p>`,
+    });
+};
+
+// warn the user that an old login token of one of their devices was used again
+const sendTokenReuseEmail = async (user) => {
+    await sendMail({
+        to: user.email,
+        subject: "Suspicious sign-in activity",
+        text: `Hi ${user.fullName}, an old login token of one of your devices was used again, so we logged that device out. If this wasn't you, change your password.`,
+        html: `<p>Hi ${escapeHtml(user.fullName)},</p><p>An old login token of one of your devices was used again, so we logged that device out.</p><p>If this wasn't you, change your password.</p>`,
+    });
+};
+
+export { sendVerificationEmail, sendPasswordResetEmail, sendTokenReuseEmail };
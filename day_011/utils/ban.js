@@ -0,0 +1,29 @@
+// day_011 ---------------------------------------------------------
+// reject banned / suspended users with the ban details in the error data
+
+import apiError from "./apiError.js";
+
+const assertNotBanned = (user) => {
+    const ban = user?.getActiveBan?.();
+    if (!ban) return;
+
+    const error = new apiError(
+        403,
+        ban.expiresAt
+            ? `Your account is suspended until ${ban.expiresAt.toISOString()}`
+            : "Your account has been banned",
+        ["ban"]
+    );
+    error.data = {
+        ban: {
+            reason: ban.reason,
+            bannedAt: ban.bannedAt,
+            expiresAt: ban.expiresAt,
+            isPermanent: !ban.expiresAt,
+        },
+    };
+
+    throw error;
+};
+
+export { assertNotBanned };
@@ -24,7 +24,7 @@ console.log("Cloudinary Configuration:", {
 const resourceTypeUtility = (filePath) => {
     const extname = path.extname(filePath).toLowerCase();
     if ([".mp4", ".mov", ".webm", ".avi", ".mkv"].includes(extname)) return "video";
-    if ([".jpg", ".jpeg", ".png", ".gif", ".webp", ".bmp"].includes(extname)) return "image";
+    if ([".jpg", ".jpeg", ".png", ".gif", ".webp", ".avif", ".bmp"].includes(extname)) return "image";
     if (extname === ".pdf") return "raw"; // PDFs are treated as raw by Cloudinary
 
     return "raw"; // fallback
@@ -35,9 +35,15 @@ const resourceTypeUtility = (filePath) => {
  * @param {string} filePath - Local path to the file
  * @param {string} folder - Optional folder name in Cloudinary
  * @param {boolean} autoDelete - Whether to delete local file after upload
+ * @param {string} resourceType - Resource type (image, video, raw), guessed from the extension when not given
  * @returns {Promise<Object>} - Cloudinary upload result
  */
-const uploadToCloudinary = async (filePath, folder = "", autoDelete = true) => {
+const uploadToCloudinary = async (
+    filePath,
+    folder = "",
+    autoDelete = true,
+    resourceType = resourceTypeUtility(filePath)
+) => {
     try {
         if (!filePath) throw new apiError(400, "No file path provided", ["filePath"]);
 
@@ -48,7 +54,7 @@ const uploadToCloudinary = async (filePath, folder = "", autoDelete = true) => {
 
         // Prepare upload options
         const uploadOptions = {
-            resource_type: resourceTypeUtility(filePath),
+            resource_type: resourceType,
             timestamp: Math.floor(Date.now() / 1000), // Current timestamp in seconds
             use_filename: true,
             unique_filename: true,
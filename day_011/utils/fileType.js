@@ -0,0 +1,86 @@
+// day_011 ---------------------------------------------------------
+// detect the real type of a file from its first bytes (magic bytes), the mimetype sent by the client can't be trusted
+
+import fs from "fs/promises";
+
+// matroska / webm keep their doc type a little further in the header
+const HEADER_SIZE = 4096;
+
+const startsWith = (buffer, bytes, offset = 0) =>
+    buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (buffer, start, end) => buffer.subarray(start, end).toString("latin1");
+
+// ISO base media files (mp4, mov, avif, ...) start with a box size and "ftyp" + the major brand
+// only the brands we serve are accepted, heic, 3gp, m4a, ... share the container but are not videos we can play
+const ISO_BRANDS = {
+    "image/avif": ["avif", "avis"],
+    "video/quicktime": ["qt  "],
+    "video/mp4": ["isom", "iso2", "iso4", "iso5", "iso6", "mp41", "mp42", "avc1", "dash", "M4V "],
+};
+
+const detectIsoMedia = (buffer) => {
+    const brand = ascii(buffer, 8, 12);
+    const match = Object.entries(ISO_BRANDS).find(([, brands]) => brands.includes(brand));
+    return match ? match[0] : null;
+};
+
+// old QuickTime files have no ftyp, they start with the movie header (moov) or padding atoms (wide, free, skip)
+// walk the top level atoms of the header and require a moov atom that starts with its mvhd
+const isLegacyQuickTime = (buffer) => {
+    let offset = 0;
+
+    while (offset + 16 <= buffer.length) {
+        const size = buffer.readUInt32BE(offset);
+        const atom = ascii(buffer, offset + 4, offset + 8);
+
+        if (atom === "moov") return ascii(buffer, offset + 12, offset + 16) === "mvhd";
+        if (!["wide", "free", "skip"].includes(atom) || size < 8) return false;
+
+        offset += size;
+    }
+
+    return false;
+};
+
+const signatures = [
+    { type: "image/jpeg", test: (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff]) },
+    { type: "image/png", test: (buffer) => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+    { type: "image/gif", test: (buffer) => ["GIF87a", "GIF89a"].includes(ascii(buffer, 0, 6)) },
+    { type: "image/webp", test: (buffer) => ascii(buffer, 0, 4) === "RIFF" && ascii(buffer, 8, 12) === "WEBP" },
+    { type: "application/pdf", test: (buffer) => ascii(buffer, 0, 5) === "%PDF-" },
+    { type: detectIsoMedia, test: (buffer) => ascii(buffer, 4, 8) === "ftyp" },
+    { type: "video/quicktime", test: isLegacyQuickTime },
+    {
+        type: (buffer) => (buffer.includes("webm", 0, "latin1") ? "video/webm" : "video/x-matroska"),
+        test: (buffer) => startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3]),
+    },
+];
+
+// types that share a container, clients often send one for the other
+const families = [
+    ["video/mp4", "video/quicktime"],
+    ["video/webm", "video/x-matroska"],
+];
+
+// mimetype of a file from its content, null when it matches no known signature (or an unsupported brand)
+const detectFileType = async (filePath) => {
+    const handle = await fs.open(filePath, "r");
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(HEADER_SIZE), 0, HEADER_SIZE, 0);
+        const header = buffer.subarray(0, bytesRead);
+
+        const match = signatures.find((signature) => signature.test(header));
+        if (!match) return null;
+
+        return typeof match.type === "function" ? match.type(header) : match.type;
+    } finally {
+        await handle.close();
+    }
+};
+
+// true when the detected type is the declared one, or in the same container family
+const isSameFileType = (declared, detected) =>
+    declared === detected || families.some((family) => family.includes(declared) && family.includes(detected));
+
+export { detectFileType, isSameFileType };
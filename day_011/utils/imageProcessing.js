@@ -0,0 +1,150 @@
+// day_011 ---------------------------------------------------------
+// image pipeline for avatars and cover images: decode once, auto-rotate, strip metadata, center-crop
+// to a fixed aspect ratio and encode every size in every format, then store the variants
+// webp variants are stored before answering, avif (slow to encode) is added in the background
+
+import fs from "fs/promises";
+import sharp from "sharp";
+import User from "../models/user.model.js";
+import apiError from "./apiError.js";
+import { uploadFile, deleteFile } from "./storage/index.js";
+
+// sizes are widths in pixels, the height follows the aspect ratio
+// the preset name is also the user field holding the image (avatar, avatarId, avatarVariants)
+const IMAGE_PRESETS = {
+    avatar: { aspectRatio: 1, sizes: [64, 128, 512], folder: "mern-backend/avatars" },
+    coverImage: { aspectRatio: 16 / 9, sizes: [640, 1280, 1920], folder: "mern-backend/covers" },
+};
+
+const IMAGE_FORMATS = {
+    webp: (image) => image.webp({ quality: 80 }),
+    avif: (image) => image.avif({ quality: 50 }),
+};
+
+// encoded after the response, see addDeferredVariants
+const DEFERRED_FORMATS = ["avif"];
+
+// formats accepted as input, whatever the mimetype header says
+const INPUT_FORMATS = ["jpeg", "png", "gif", "webp"];
+
+// refuse decompression bombs (a tiny file that decodes to a huge bitmap)
+const MAX_INPUT_PIXELS = 50_000_000;
+
+// decode the upload once, cropped to the largest size, every variant is resized from this bitmap
+// a file that is not a real image (lying mimetype, truncated, ...) fails here
+const decodeImage = async (filePath, preset) => {
+    const width = Math.max(...preset.sizes);
+    const height = Math.round(width / preset.aspectRatio);
+
+    try {
+        const image = sharp(filePath, { failOn: "error", limitInputPixels: MAX_INPUT_PIXELS });
+
+        const { format } = await image.metadata();
+        if (!INPUT_FORMATS.includes(format)) {
+            throw new Error(`Unsupported image format: ${format}`);
+        }
+
+        // rotate() applies the EXIF orientation, metadata (EXIF, GPS, ...) is not copied to the output
+        const { data, info } = await image
+            .rotate()
+            .resize(width, height, { fit: "cover", position: "centre" })
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        return sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+    } catch (error) {
+        throw new apiError(400, "Uploaded file is not a valid image", ["image"]);
+    }
+};
+
+// encode every size in the given formats and store them, nothing is left behind on failure
+const storeVariants = async (image, preset, formats, basePath) => {
+    const variants = [];
+    const outputs = [];
+
+    try {
+        for (const width of preset.sizes) {
+            const height = Math.round(width / preset.aspectRatio);
+            const resized = image.clone().resize(width, height);
+
+            for (const format of formats) {
+                const output = `${basePath}-${width}.${format}`;
+                outputs.push(output);
+                await IMAGE_FORMATS[format](resized.clone()).toFile(output);
+
+                const stored = await uploadFile(output, preset.folder);
+                variants.push({ width, height, format, url: stored.url, id: stored.id });
+            }
+        }
+
+        return variants;
+    } catch (error) {
+        await deleteImageVariants(variants);
+        throw error;
+    } finally {
+        await Promise.all(outputs.map((output) => fs.unlink(output).catch(() => null)));
+    }
+};
+
+/**
+ * Turn an uploaded image into resized WebP variants and store them, pass the result to addDeferredVariants
+ * once it is saved to get the AVIF variants too
+ * @param {string} filePath - Local path of the uploaded image (deleted afterwards)
+ * @param {string} presetName - "avatar" or "coverImage"
+ * @returns {Promise<Object>} - { url, id, variants, encodeDeferred }, url / id are the largest WebP variant
+ */
+const processImage = async (filePath, presetName) => {
+    const preset = IMAGE_PRESETS[presetName];
+
+    let image;
+    try {
+        image = await decodeImage(filePath, preset);
+    } finally {
+        await fs.unlink(filePath).catch(() => null);
+    }
+
+    const formats = Object.keys(IMAGE_FORMATS).filter((format) => !DEFERRED_FORMATS.includes(format));
+    const variants = await storeVariants(image, preset, formats, filePath);
+    const main = variants.filter((variant) => variant.format === "webp").at(-1);
+
+    return {
+        url: main.url,
+        id: main.id,
+        variants,
+        encodeDeferred: () => storeVariants(image, preset, DEFERRED_FORMATS, filePath),
+    };
+};
+
+// encode the deferred formats in the background and add them to the user's variants
+// they are thrown away if the image was replaced or the account deleted in the meantime
+const addDeferredVariants = (userId, presetName, image) => {
+    if (!image?.encodeDeferred) return;
+
+    image
+        .encodeDeferred()
+        .then(async (variants) => {
+            const result = await User.updateOne(
+                { _id: userId, [`${presetName}Id`]: image.id },
+                { $push: { [`${presetName}Variants`]: { $each: variants } } }
+            );
+
+            if (result.matchedCount === 0) {
+                await deleteImageVariants(variants);
+            }
+        })
+        .catch((error) => console.error(`Failed to add ${presetName} variants:`, error.message));
+};
+
+// delete stored variants, plus the single file of images uploaded before the pipeline existed
+const deleteImageVariants = async (variants = [], legacyId) => {
+    const ids = new Set(variants.map((variant) => variant.id));
+    if (legacyId) ids.add(legacyId);
+
+    await Promise.all(
+        [...ids].map((id) =>
+            deleteFile(id).catch((error) => console.error(`Failed to delete image ${id}:`, error.message))
+        )
+    );
+};
+
+export { IMAGE_PRESETS, processImage, addDeferredVariants, deleteImageVariants };
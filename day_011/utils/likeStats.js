@@ -0,0 +1,59 @@
+// day_011 ---------------------------------------------------------
+// aggregation stages that add likesCount, dislikesCount, isLiked and isDisliked to any likeable document
+
+const likeStatsStages = (targetType, userId) => [
+    // Lookup all reactions on this document
+    {
+        $lookup: {
+            from: "likes",
+            localField: "_id",
+            foreignField: "target",
+            as: "reactions",
+            pipeline: [
+                {
+                    $match: { targetType },
+                },
+                {
+                    $project: { _id: 0, likedBy: 1, reaction: 1 },
+                },
+            ],
+        },
+    },
+    // Split reactions into likes and dislikes
+    {
+        $addFields: {
+            likes: { $filter: { input: "$reactions", cond: { $eq: ["$$this.reaction", "like"] } } },
+            dislikes: { $filter: { input: "$reactions", cond: { $eq: ["$$this.reaction", "dislike"] } } },
+        },
+    },
+    // Add fields for counts and the reaction of the current user
+    {
+        $addFields: {
+            likesCount: { $size: "$likes" },
+            dislikesCount: { $size: "$dislikes" },
+            isLiked: {
+                $cond: {
+                    if: { $in: [userId ?? null, "$likes.likedBy"] },
+                    then: true,
+                    else: false,
+                },
+            },
+            isDisliked: {
+                $cond: {
+                    if: { $in: [userId ?? null, "$dislikes.likedBy"] },
+                    then: true,
+                    else: false,
+                },
+            },
+        },
+    },
+    {
+        $project: {
+            reactions: 0,
+            likes: 0,
+            dislikes: 0,
+        },
+    },
+];
+
+export { likeStatsStages };
@@ -0,0 +1,194 @@
+// day_011 ---------------------------------------------------------
+// brute-force protection for login: failed attempts are counted per account and per ip,
+// after too many failures the key is locked with an exponential backoff
+// the state lives in a pluggable store, MongoDB by default so it works across server instances
+
+import LoginAttempt from "../models/loginAttempt.model.js";
+import apiError from "./apiError.js";
+
+const numberFromEnv = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// read on every call so tests and deployments can change them without a restart
+const getPolicy = () => ({
+    account: { maxAttempts: numberFromEnv("LOGIN_MAX_ATTEMPTS", 5) },
+    ip: { maxAttempts: numberFromEnv("LOGIN_IP_MAX_ATTEMPTS", 20) },
+    baseLockMs: numberFromEnv("LOGIN_LOCK_BASE_SECONDS", 30) * 1000,
+    maxLockMs: numberFromEnv("LOGIN_LOCK_MAX_MINUTES", 60) * 60 * 1000,
+    // failures older than this are forgotten
+    windowMs: numberFromEnv("LOGIN_ATTEMPT_WINDOW_MINUTES", 60) * 60 * 1000,
+});
+
+// lock duration after the given number of failures: base, 2x base, 4x base, ... up to max
+const getLockDuration = (failures, maxAttempts, policy) => {
+    if (failures < maxAttempts) return 0;
+    return Math.min(policy.baseLockMs * 2 ** (failures - maxAttempts), policy.maxLockMs);
+};
+
+// a store keeps { failures, lockedUntil } per key
+// get(key), increment(key, { windowMs }) -> { failures }, lock(key, lockedUntil), reset(key)
+const stores = {
+    mongo: {
+        get: async (key) => {
+            const attempt = await LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+            return attempt ? { failures: attempt.failures, lockedUntil: attempt.lockedUntil } : null;
+        },
+        increment: async (key, { windowMs }) => {
+            const now = new Date();
+            const attempt = await LoginAttempt.findOneAndUpdate(
+                { key },
+                // expired documents may still be around until the TTL monitor runs, start over in that case
+                [
+                    {
+                        $set: {
+                            failures: {
+                                $cond: [{ $gt: ["$expiresAt", now] }, { $add: [{ $ifNull: ["$failures", 0] }, 1] }, 1],
+                            },
+                            lastFailureAt: now,
+                            expiresAt: new Date(now.getTime() + windowMs),
+                            createdAt: { $ifNull: ["$createdAt", now] },
+                            updatedAt: now,
+                        },
+                    },
+                ],
+                { upsert: true, new: true, timestamps: false }
+            ).lean();
+            return { failures: attempt.failures };
+        },
+        lock: async (key, lockedUntil) => {
+            // keep the document at least as long as the lock
+            await LoginAttempt.updateOne(
+                { key },
+                [
+                    {
+                        $set: {
+                            lockedUntil,
+                            expiresAt: { $max: ["$expiresAt", lockedUntil] },
+                            updatedAt: new Date(),
+                        },
+                    },
+                ],
+                { timestamps: false }
+            );
+        },
+        reset: async (key) => {
+            await LoginAttempt.deleteOne({ key });
+        },
+    },
+
+    // single process only, handy for development and tests
+    memory: (() => {
+        const entries = new Map();
+        const read = (key) => {
+            const entry = entries.get(key);
+            if (entry && entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+            return entry || null;
+        };
+
+        return {
+            get: async (key) => {
+                const entry = read(key);
+                return entry ? { failures: entry.failures, lockedUntil: entry.lockedUntil } : null;
+            },
+            increment: async (key, { windowMs }) => {
+                const entry = read(key) || { failures: 0, lockedUntil: null };
+                entry.failures += 1;
+                entry.expiresAt = Math.max(Date.now() + windowMs, entry.lockedUntil?.getTime() || 0);
+                entries.set(key, entry);
+                return { failures: entry.failures };
+            },
+            lock: async (key, lockedUntil) => {
+                const entry = read(key);
+                if (!entry) return;
+                entry.lockedUntil = lockedUntil;
+                entry.expiresAt = Math.max(entry.expiresAt, lockedUntil.getTime());
+            },
+            reset: async (key) => {
+                entries.delete(key);
+            },
+        };
+    })(),
+};
+
+// register a custom store, e.g. registerLoginAttemptStore("redis", { get, increment, lock, reset })
+const registerLoginAttemptStore = (name, store) => {
+    const missing = ["get", "increment", "lock", "reset"].filter((method) => typeof store?.[method] !== "function");
+    if (missing.length) {
+        throw new Error(`Login attempt store "${name}" is missing: ${missing.join(", ")}`);
+    }
+    stores[name] = store;
+};
+
+const getStore = () => {
+    const name = process.env.LOGIN_ATTEMPT_STORE || "mongo";
+    const store = stores[name];
+
+    if (!store) {
+        throw new apiError(500, `Unknown login attempt store: ${name}`);
+    }
+
+    return store;
+};
+
+// keys for the login attempt counters
+const accountKey = (id) => `account:${String(id).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip || "unknown"}`;
+
+// throw a 429 with the lockout details when the account or the ip is locked
+const assertNotLocked = async (res, keys) => {
+    const store = getStore();
+
+    for (const [scope, key] of Object.entries(keys)) {
+        const state = await store.get(key);
+        const lockedUntil = state?.lockedUntil ? new Date(state.lockedUntil) : null;
+
+        if (lockedUntil && lockedUntil > new Date()) {
+            const retryAfterSeconds = Math.ceil((lockedUntil.getTime() - Date.now()) / 1000);
+            res.set("Retry-After", String(retryAfterSeconds));
+
+            const error = new apiError(
+                429,
+                scope === "account"
+                    ? "Too many failed login attempts, this account is temporarily locked"
+                    : "Too many failed login attempts from this address, please try again later",
+                ["lockout"]
+            );
+            error.data = {
+                lockout: {
+                    scope,
+                    lockedUntil,
+                    retryAfterSeconds,
+                },
+            };
+
+            throw error;
+        }
+    }
+};
+
+// count a failed attempt for every key and lock the ones over their limit
+const recordLoginFailure = async (keys) => {
+    const store = getStore();
+    const policy = getPolicy();
+
+    for (const [scope, key] of Object.entries(keys)) {
+        const { failures } = await store.increment(key, { windowMs: policy.windowMs });
+        const lockMs = getLockDuration(failures, policy[scope].maxAttempts, policy);
+
+        if (lockMs > 0) {
+            await store.lock(key, new Date(Date.now() + lockMs));
+        }
+    }
+};
+
+// forget the failed attempts of a key after a successful login
+const resetLoginFailures = async (key) => {
+    await getStore().reset(key);
+};
+
+export { accountKey, ipKey, assertNotLocked, recordLoginFailure, resetLoginFailures, registerLoginAttemptStore };
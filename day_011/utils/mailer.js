@@ -0,0 +1,70 @@
+// day_011 ---------------------------------------------------------
+// pluggable mailer: pick a transport with MAIL_TRANSPORT or register your own (smtp, ses, ...)
+
+import fs from "fs/promises";
+import path from "path";
+import apiError from "./apiError.js";
+
+// tokens at the end of links (verification, password reset), never printed in logs
+const TOKEN_LINK = /(https?:\/\/[^\s"'<>]*\/)[^\s"'<>/]{20,}/g;
+
+const redactLinks = (value) => (typeof value === "string" ? value.replace(TOKEN_LINK, "$1[redacted]") : value);
+
+// a transport is an async function that receives { from, to, subject, text, html }
+const transports = {
+    // print the mail in the terminal (default outside production), token links are redacted
+    // use the file transport to get working links in development
+    console: async (mail) => {
+        console.log("📧 Mail sent:", {
+            ...mail,
+            text: redactLinks(mail.text),
+            html: redactLinks(mail.html),
+        });
+    },
+
+    // write each mail as a json file, useful for tests and local development
+    file: async (mail) => {
+        const dir = path.resolve(process.env.MAIL_FILE_DIR || "mails");
+        await fs.mkdir(dir, { recursive: true });
+
+        const filename = `${Date.now()}-${Math.round(Math.random() * 1e9)}.json`;
+        await fs.writeFile(path.join(dir, filename), JSON.stringify(mail, null, 2));
+    },
+};
+
+// register a custom transport, e.g. registerTransport("smtp", async (mail) => transporter.sendMail(mail))
+const registerTransport = (name, transport) => {
+    if (typeof transport !== "function") {
+        throw new Error(`Mail transport "${name}" must be a function`);
+    }
+    transports[name] = transport;
+};
+
+// the console transport is only a default outside production
+const getTransportName = () => process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === "production" ? null : "console");
+
+// call on startup: production needs a real transport, not the console
+const assertMailerConfigured = () => {
+    if (!getTransportName()) {
+        throw new Error("MAIL_TRANSPORT must be set when NODE_ENV=production");
+    }
+};
+
+// send a mail through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+    const name = getTransportName();
+    const transport = transports[name];
+
+    if (!transport) {
+        throw new apiError(500, name ? `Unknown mail transport: ${name}` : "No mail transport configured");
+    }
+
+    try {
+        await transport({ from: process.env.MAIL_FROM || "no-reply@localhost", to, subject, text, html });
+    } catch (error) {
+        console.error("Failed to send mail:", error);
+        throw new apiError(500, "Failed to send email", [error.message || "Unknown error"]);
+    }
+};
+
+export { sendMail, registerTransport, assertMailerConfigured };
@@ -0,0 +1,14 @@
+// day_011 ---------------------------------------------------------
+// read page / limit from the query string and build options for mongoose-aggregate-paginate-v2
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+const getPaginationOptions = (query = {}, customLabels = {}) => {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    return { page, limit, customLabels };
+};
+
+export { getPaginationOptions };
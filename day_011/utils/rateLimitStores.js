@@ -0,0 +1,145 @@
+// day_011 ---------------------------------------------------------
+// stores for the rate limit middleware: memory (single process) and mongo (shared by every instance)
+// a store implements both strategies:
+//   incrementWindow(key, { windowMs, now }) -> { count, resetAt }
+//   takeToken(key, { capacity, refillPerMs, now }) -> { allowed, tokens }
+
+import RateLimit from "../models/rateLimit.model.js";
+
+const isDuplicateKeyError = (error) => error?.code === 11000;
+
+// the counter of a fixed window is keyed by the window it belongs to, so it never needs a reset
+const windowKey = (key, windowMs, now) => `${key}:${Math.floor(now / windowMs)}`;
+const windowEnd = (windowMs, now) => (Math.floor(now / windowMs) + 1) * windowMs;
+
+const createMemoryStore = () => {
+    const entries = new Map();
+
+    // drop expired counters once a minute, unref so it never keeps the process alive
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= now) entries.delete(key);
+        }
+    }, 60 * 1000).unref();
+
+    return {
+        incrementWindow: async (key, { windowMs, now }) => {
+            const id = windowKey(key, windowMs, now);
+            const entry = entries.get(id) || { count: 0, expiresAt: windowEnd(windowMs, now) };
+            entry.count += 1;
+            entries.set(id, entry);
+            return { count: entry.count, resetAt: entry.expiresAt };
+        },
+        takeToken: async (key, { capacity, refillPerMs, now }) => {
+            const entry = entries.get(key) || { tokens: capacity, refilledAt: now };
+            const tokens = Math.min(capacity, entry.tokens + (now - entry.refilledAt) * refillPerMs);
+            const allowed = tokens >= 1;
+
+            entry.tokens = allowed ? tokens - 1 : tokens;
+            entry.refilledAt = now;
+            // an untouched bucket is full again after this
+            entry.expiresAt = now + Math.ceil((capacity - entry.tokens) / refillPerMs);
+            entries.set(key, entry);
+
+            return { allowed, tokens: entry.tokens };
+        },
+    };
+};
+
+const mongoStore = {
+    incrementWindow: async (key, { windowMs, now }) => {
+        const id = windowKey(key, windowMs, now);
+        const resetAt = windowEnd(windowMs, now);
+        const update = () =>
+            RateLimit.findOneAndUpdate(
+                { key: id },
+                { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+                { upsert: true, new: true }
+            ).lean();
+
+        // two first requests of a window can race on the upsert, the loser just retries as an update
+        const entry = await update().catch((error) => {
+            if (isDuplicateKeyError(error)) return update();
+            throw error;
+        });
+
+        return { count: entry.count, resetAt };
+    },
+    takeToken: async (key, { capacity, refillPerMs, now }) => {
+        const at = new Date(now);
+        // refill and take in one atomic update, so concurrent requests can't spend the same token
+        const update = () =>
+            RateLimit.findOneAndUpdate(
+                { key },
+                [
+                    {
+                        $set: {
+                            tokens: {
+                                $min: [
+                                    capacity,
+                                    {
+                                        $add: [
+                                            { $ifNull: ["$tokens", capacity] },
+                                            {
+                                                $multiply: [
+                                                    {
+                                                        $max: [
+                                                            0,
+                                                            { $subtract: [at, { $ifNull: ["$refilledAt", at] }] },
+                                                        ],
+                                                    },
+                                                    refillPerMs,
+                                                ],
+                                            },
+                                        ],
+                                    },
+                                ],
+                            },
+                        },
+                    },
+                    { $set: { allowed: { $gte: ["$tokens", 1] } } },
+                    {
+                        $set: {
+                            tokens: { $cond: ["$allowed", { $subtract: ["$tokens", 1] }, "$tokens"] },
+                            refilledAt: at,
+                            count: { $ifNull: ["$count", 0] },
+                        },
+                    },
+                    {
+                        $set: {
+                            expiresAt: {
+                                $add: [at, { $ceil: { $divide: [{ $subtract: [capacity, "$tokens"] }, refillPerMs] } }],
+                            },
+                        },
+                    },
+                ],
+                { upsert: true, new: true }
+            ).lean();
+
+        const entry = await update().catch((error) => {
+            if (isDuplicateKeyError(error)) return update();
+            throw error;
+        });
+
+        return { allowed: entry.allowed, tokens: entry.tokens };
+    },
+};
+
+const stores = {
+    memory: createMemoryStore(),
+    mongo: mongoStore,
+};
+
+// register a custom store, e.g. registerRateLimitStore("redis", { incrementWindow, takeToken })
+const registerRateLimitStore = (name, store) => {
+    const missing = ["incrementWindow", "takeToken"].filter((method) => typeof store?.[method] !== "function");
+    if (missing.length) {
+        throw new Error(`Rate limit store "${name}" is missing: ${missing.join(", ")}`);
+    }
+    stores[name] = store;
+};
+
+const getRateLimitStore = (name) => stores[name];
+
+export { getRateLimitStore, registerRateLimitStore };
@@ -0,0 +1,44 @@
+// day_011 ---------------------------------------------------------
+// cloudinary driver, wraps the day_010 helpers in utils/cloudinary.js
+
+import { v2 as cloudinary } from "cloudinary";
+import { uploadToCloudinary, deleteFromCloudinary } from "../cloudinary.js";
+
+const cloudinaryDriver = {
+    upload: async (filePath, { folder, resourceType }) => {
+        // the storage interface deletes the local file itself
+        // same resource type as the one later used to delete the file
+        const result = await uploadToCloudinary(filePath, folder, false, resourceType);
+
+        return {
+            id: result.public_id,
+            url: result.secure_url,
+            resourceType: result.resource_type,
+            size: result.bytes,
+            // Cloudinary reports the real duration of uploaded videos (in seconds)
+            duration: result.duration,
+        };
+    },
+
+    delete: (id, { resourceType }) => deleteFromCloudinary(id, resourceType),
+
+    getUrl: (id, { resourceType }) => cloudinary.url(id, { resource_type: resourceType, secure: true }),
+
+    stat: async (id, { resourceType }) => {
+        try {
+            const resource = await cloudinary.api.resource(id, { resource_type: resourceType });
+
+            return {
+                id,
+                size: resource.bytes,
+                contentType: `${resource.resource_type}/${resource.format}`,
+                updatedAt: new Date(resource.created_at),
+            };
+        } catch (error) {
+            if (error?.error?.http_code === 404) return null;
+            throw error;
+        }
+    },
+};
+
+export default cloudinaryDriver;
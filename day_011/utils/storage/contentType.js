@@ -0,0 +1,25 @@
+// day_011 ---------------------------------------------------------
+// content type of a file from its extension, shared by the storage drivers
+
+import path from "path";
+
+const contentTypes = {
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".png": "image/png",
+    ".gif": "image/gif",
+    ".webp": "image/webp",
+    ".avif": "image/avif",
+    ".mp4": "video/mp4",
+    ".webm": "video/webm",
+    ".mov": "video/quicktime",
+    ".mkv": "video/x-matroska",
+    ".pdf": "application/pdf",
+    // HLS playlists and segments
+    ".m3u8": "application/vnd.apple.mpegurl",
+    ".ts": "video/mp2t",
+};
+
+const getContentType = (filePath) => contentTypes[path.extname(filePath).toLowerCase()] || "application/octet-stream";
+
+export { getContentType };
@@ -0,0 +1,119 @@
+// day_011 ---------------------------------------------------------
+// storage interface used by the controllers, the driver is picked with STORAGE_DRIVER (cloudinary | local | s3)
+// a driver implements:
+//   upload(filePath, { folder, resourceType, autoDelete }) -> { id, url, resourceType, size, duration }
+//     the local file must still be there afterwards when autoDelete is false
+//   delete(id, { resourceType })
+//   getUrl(id, { resourceType }) -> url
+//   stat(id, { resourceType }) -> { id, size, contentType, updatedAt } or null when the file does not exist
+// and optionally:
+//   getPath(id, { resourceType }) -> path of the file on this machine (local driver)
+
+import fs from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+import apiError from "../apiError.js";
+import cloudinaryDriver from "./cloudinary.driver.js";
+import localDriver from "./local.driver.js";
+import s3Driver from "./s3.driver.js";
+
+const drivers = {
+    cloudinary: cloudinaryDriver,
+    local: localDriver,
+    s3: s3Driver,
+};
+
+// register a custom driver, e.g. registerStorageDriver("gcs", { upload, delete, getUrl, stat })
+const registerStorageDriver = (name, driver) => {
+    const missing = ["upload", "delete", "getUrl", "stat"].filter((method) => typeof driver?.[method] !== "function");
+    if (missing.length) {
+        throw new Error(`Storage driver "${name}" is missing: ${missing.join(", ")}`);
+    }
+    drivers[name] = driver;
+};
+
+const getStorage = () => {
+    const name = process.env.STORAGE_DRIVER || "cloudinary";
+    const driver = drivers[name];
+
+    if (!driver) {
+        throw new apiError(500, `Unknown storage driver: ${name}`);
+    }
+
+    return driver;
+};
+
+// Determine resource type based on file extension
+const getResourceType = (filePath) => {
+    const extname = path.extname(filePath).toLowerCase();
+    if ([".mp4", ".mov", ".webm", ".avi", ".mkv"].includes(extname)) return "video";
+    if ([".jpg", ".jpeg", ".png", ".gif", ".webp", ".avif", ".bmp"].includes(extname)) return "image";
+
+    return "raw";
+};
+
+/**
+ * Upload a local file to the configured storage
+ * @param {string} filePath - Local path to the file
+ * @param {string} folder - Optional folder for the file
+ * @param {boolean} autoDelete - Whether to delete the local file after upload
+ * @returns {Promise<Object>} - { id, url, resourceType, size, duration }
+ */
+const uploadFile = async (filePath, folder = "", autoDelete = true) => {
+    if (!filePath) throw new apiError(400, "No file path provided", ["filePath"]);
+
+    if (!existsSync(filePath)) {
+        throw new apiError(404, `File not found at path: ${filePath}`, ["filePath"]);
+    }
+
+    try {
+        return await getStorage().upload(filePath, { folder, resourceType: getResourceType(filePath), autoDelete });
+    } catch (error) {
+        console.error("File upload failed:", error);
+
+        if (error instanceof apiError) {
+            throw error;
+        }
+
+        throw new apiError(500, "Failed to upload file", [error.message || "Unknown error"]);
+    } finally {
+        // drivers may have moved the file already
+        if (autoDelete && existsSync(filePath)) {
+            await fs.unlink(filePath).catch((unlinkError) => {
+                console.error("Failed to delete local file after upload:", filePath, unlinkError);
+            });
+        }
+    }
+};
+
+/**
+ * Delete a file from the configured storage
+ * @param {string} id - id returned by uploadFile
+ * @param {string} resourceType - Resource type (image, video, raw)
+ */
+const deleteFile = async (id, resourceType = "image") => {
+    if (!id) throw new apiError(400, "No file id provided", ["id"]);
+
+    try {
+        return await getStorage().delete(id, { resourceType });
+    } catch (error) {
+        console.error("File deletion failed:", error);
+
+        if (error instanceof apiError) {
+            throw error;
+        }
+
+        throw new apiError(500, "Failed to delete file", [error.message || "Unknown error"]);
+    }
+};
+
+// public url of a stored file
+const getFileUrl = (id, resourceType = "image") => getStorage().getUrl(id, { resourceType });
+
+// size, type and last change of a stored file, null when it does not exist
+const statFile = (id, resourceType = "image") => getStorage().stat(id, { resourceType });
+
+// path of a stored file on this machine, null when the driver keeps its files elsewhere
+const getLocalFilePath = (id, resourceType = "image") => getStorage().getPath?.(id, { resourceType }) ?? null;
+
+export { uploadFile, deleteFile, getFileUrl, statFile, getLocalFilePath, getResourceType, registerStorageDriver };
@@ -0,0 +1,87 @@
+// day_011 ---------------------------------------------------------
+// local disk driver: files go to uploads/images | media | files and are served by serveStaticFiles
+// handy for tests and offline development
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import apiError from "../apiError.js";
+import { getContentType } from "./contentType.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Go from utils/storage/ → project root
+const uploadsDir = path.join(__dirname, "../../uploads");
+
+// the static folder of each resource type
+const folders = {
+    image: "images",
+    video: "media",
+    raw: "files",
+};
+
+// absolute path of a stored file, ids can't point outside the uploads folder
+const resolveId = (id) => {
+    const filePath = path.resolve(uploadsDir, id);
+    if (!filePath.startsWith(uploadsDir + path.sep)) {
+        throw new apiError(400, "Invalid file id", ["id"]);
+    }
+    return filePath;
+};
+
+const localDriver = {
+    upload: async (filePath, { folder, resourceType, autoDelete = true }) => {
+        const safeFolder = path.normalize(folder || "").replace(/^(\.\.[/\\])+/, "");
+        const filename = `${Date.now()}-${Math.round(Math.random() * 1e9)}${path.extname(filePath).toLowerCase()}`;
+        const id = path.posix.join(
+            folders[resourceType] || folders.raw,
+            safeFolder.split(path.sep).join("/"),
+            filename
+        );
+        const destination = resolveId(id);
+
+        await fs.mkdir(path.dirname(destination), { recursive: true });
+
+        // move the temp file, or link it when the caller keeps it (both copy when uploads/temp is on another disk)
+        await (autoDelete ? fs.rename(filePath, destination) : fs.link(filePath, destination)).catch(async (error) => {
+            if (error.code !== "EXDEV") throw error;
+            await fs.copyFile(filePath, destination);
+        });
+
+        const { size } = await fs.stat(destination);
+
+        return { id, url: localDriver.getUrl(id), resourceType, size };
+    },
+
+    delete: async (id) => {
+        await fs.unlink(resolveId(id)).catch((error) => {
+            if (error.code !== "ENOENT") throw error;
+        });
+    },
+
+    getUrl: (id) => {
+        const baseUrl = process.env.STORAGE_LOCAL_BASE_URL || `http://localhost:${process.env.PORT || 8000}`;
+        return `${baseUrl.replace(/\/$/, "")}/uploads/${id}`;
+    },
+
+    getPath: (id) => resolveId(id),
+
+    stat: async (id) => {
+        try {
+            const stats = await fs.stat(resolveId(id));
+
+            return {
+                id,
+                size: stats.size,
+                contentType: getContentType(id),
+                updatedAt: stats.mtime,
+            };
+        } catch (error) {
+            if (error.code === "ENOENT") return null;
+            throw error;
+        }
+    },
+};
+
+export default localDriver;
@@ -0,0 +1,162 @@
+// day_011 ---------------------------------------------------------
+// S3 compatible driver (AWS S3, MinIO, ...), requests are signed with AWS Signature V4
+// for a local MinIO: S3_ENDPOINT=http://localhost:9000 and S3_FORCE_PATH_STYLE=true
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { Readable } from "stream";
+import apiError from "../apiError.js";
+import { getContentType } from "./contentType.js";
+
+const getConfig = () => {
+    const config = {
+        endpoint: process.env.S3_ENDPOINT,
+        region: process.env.S3_REGION || "us-east-1",
+        bucket: process.env.S3_BUCKET,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+        publicUrl: process.env.S3_PUBLIC_URL,
+    };
+
+    if (!config.bucket || !config.accessKeyId || !config.secretAccessKey) {
+        throw new apiError(500, "S3 storage is not configured", [
+            "S3_BUCKET",
+            "S3_ACCESS_KEY_ID",
+            "S3_SECRET_ACCESS_KEY",
+        ]);
+    }
+
+    return config;
+};
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+
+// S3 wants every character except A-Z a-z 0-9 - _ . ~ encoded, "/" is kept in object keys
+const encodeKey = (key) =>
+    key
+        .split("/")
+        .map((part) =>
+            encodeURIComponent(part).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+        )
+        .join("/");
+
+// url of an object, virtual host style on AWS, path style for MinIO and friends
+const objectUrl = (config, key) => {
+    const endpoint = new URL(config.endpoint || `https://s3.${config.region}.amazonaws.com`);
+
+    if (config.forcePathStyle) {
+        return new URL(`${endpoint.origin}/${config.bucket}/${encodeKey(key)}`);
+    }
+
+    return new URL(`${endpoint.protocol}//${config.bucket}.${endpoint.host}/${encodeKey(key)}`);
+};
+
+// add the AWS Signature V4 headers to a request, every given header is signed
+const signRequest = ({ method, url, headers = {}, payloadHash = "UNSIGNED-PAYLOAD", config, date = new Date() }) => {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+    const dateStamp = amzDate.slice(0, 8);
+
+    const signedHeaders = {
+        ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)])),
+        host: url.host,
+        "x-amz-content-sha256": payloadHash,
+        "x-amz-date": amzDate,
+    };
+    const headerNames = Object.keys(signedHeaders).sort();
+
+    const canonicalRequest = [
+        method,
+        url.pathname,
+        url.searchParams.toString(),
+        headerNames.map((name) => `${name}:${signedHeaders[name].trim()}\n`).join(""),
+        headerNames.join(";"),
+        payloadHash,
+    ].join("\n");
+
+    const scope = `${dateStamp}/${config.region}/s3/aws4_request`;
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n");
+
+    const signingKey = ["s3", "aws4_request"].reduce(
+        (key, part) => hmac(key, part),
+        hmac(hmac(`AWS4${config.secretAccessKey}`, dateStamp), config.region)
+    );
+    const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+    return {
+        ...signedHeaders,
+        authorization: `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${headerNames.join(";")}, Signature=${signature}`,
+    };
+};
+
+// send a signed request to the bucket
+const s3Request = async (method, key, { headers, body } = {}) => {
+    const config = getConfig();
+    const url = objectUrl(config, key);
+
+    return fetch(url, {
+        method,
+        headers: signRequest({ method, url, headers, config }),
+        body,
+        ...(body && { duplex: "half" }),
+    });
+};
+
+const s3Driver = {
+    upload: async (filePath, { folder, resourceType }) => {
+        const filename = `${Date.now()}-${Math.round(Math.random() * 1e9)}${path.extname(filePath).toLowerCase()}`;
+        const key = [folder, filename].filter(Boolean).join("/");
+        const { size } = await fs.promises.stat(filePath);
+
+        // stream the file, videos are too big to read into memory
+        const response = await s3Request("PUT", key, {
+            headers: { "content-length": size, "content-type": getContentType(filePath) },
+            body: Readable.toWeb(fs.createReadStream(filePath)),
+        });
+
+        if (!response.ok) {
+            throw new apiError(502, "Failed to upload file to S3", [`${response.status} ${await response.text()}`]);
+        }
+
+        return { id: key, url: s3Driver.getUrl(key), resourceType, size };
+    },
+
+    delete: async (id) => {
+        const response = await s3Request("DELETE", id);
+
+        // deleting a missing object is fine
+        if (!response.ok && response.status !== 404) {
+            throw new apiError(502, "Failed to delete file from S3", [`${response.status} ${await response.text()}`]);
+        }
+    },
+
+    getUrl: (id) => {
+        const config = getConfig();
+
+        if (config.publicUrl) {
+            return `${config.publicUrl.replace(/\/$/, "")}/${encodeKey(id)}`;
+        }
+
+        return objectUrl(config, id).toString();
+    },
+
+    stat: async (id) => {
+        const response = await s3Request("HEAD", id);
+
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new apiError(502, "Failed to read file info from S3", [String(response.status)]);
+        }
+
+        return {
+            id,
+            size: Number(response.headers.get("content-length")),
+            contentType: response.headers.get("content-type"),
+            updatedAt: new Date(response.headers.get("last-modified")),
+        };
+    },
+};
+
+export default s3Driver;
@@ -0,0 +1,8 @@
+// day_011 ---------------------------------------------------------
+// tokens sent to users (emails, cookies) are stored as sha256 hashes, so a leaked database can't be used to log in
+
+import crypto from "crypto";
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+export { hashToken };
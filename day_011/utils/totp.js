@@ -0,0 +1,82 @@
+// day_011 ---------------------------------------------------------
+// TOTP (RFC 6238) one time codes, compatible with Google Authenticator, Authy, 1Password ...
+
+import crypto from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+// encode bytes as base32 (authenticator apps expect secrets in this format)
+const base32Encode = (buffer) => {
+    let bits = "";
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+
+    let output = "";
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+    }
+    return output;
+};
+
+// decode a base32 secret back to bytes
+const base32Decode = (text) => {
+    let bits = "";
+    for (const char of text.replace(/=+$/, "").toUpperCase()) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error("Invalid base32 secret");
+        bits += value.toString(2).padStart(5, "0");
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    return Buffer.from(bytes);
+};
+
+// HOTP (RFC 4226) code for a counter
+const generateHotp = (secret, counter) => {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+    return String(binary).padStart(DIGITS, "0");
+};
+
+// current 30 second time step
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+// random 160 bit secret
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// otpauth:// uri that authenticator apps read from a QR code
+const buildOtpAuthUri = ({ secret, accountName, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+// check a code, allowing one step of clock drift in both directions
+// returns the matched time step (so it can't be used twice) or null
+const verifyTotp = (secret, code, window = 1) => {
+    if (!/^\d{6}$/.test(String(code || ""))) return null;
+
+    const step = currentStep();
+    for (let drift = -window; drift <= window; drift++) {
+        const expected = generateHotp(secret, step + drift);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+            return step + drift;
+        }
+    }
+    return null;
+};
+
+export { generateTotpSecret, buildOtpAuthUri, verifyTotp };
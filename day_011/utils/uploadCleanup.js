@@ -0,0 +1,83 @@
+// day_011 ---------------------------------------------------------
+// storage of resumable uploads: chunks are appended to one file per upload in uploads/chunks
+// abandoned uploads (no chunk before expiresAt) are removed by a worker
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import Upload from "../models/upload.model.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// not uploads/temp: that folder is cleared on startup and the uploads must survive a restart
+const CHUNKS_DIR = path.join(__dirname, "../uploads/chunks");
+
+// storage and ffmpeg go by the file extension, the assembled file gets the one of its type
+const VIDEO_EXTENSIONS = {
+    "video/mp4": ".mp4",
+    "video/webm": ".webm",
+    "video/quicktime": ".mov",
+    "video/x-matroska": ".mkv",
+};
+
+// chunks are appended to the .part file, completing renames it to the assembled file
+const getChunkPath = (upload) => path.join(CHUNKS_DIR, `${upload._id}.part`);
+const getAssembledPath = (upload) => path.join(CHUNKS_DIR, `${upload._id}${VIDEO_EXTENSIONS[upload.mimetype]}`);
+
+const numberFromEnv = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const getUploadLimits = () => ({
+    maxFileBytes: numberFromEnv("VIDEO_UPLOAD_MAX_BYTES", 5 * 1024 * 1024 * 1024),
+    maxChunkBytes: numberFromEnv("VIDEO_UPLOAD_MAX_CHUNK_BYTES", 16 * 1024 * 1024),
+    expiryMs: numberFromEnv("VIDEO_UPLOAD_EXPIRY_HOURS", 24) * 60 * 60 * 1000,
+});
+
+// delete an upload with its received bytes, under either name (a crash while completing can leave the assembled file)
+const removeUpload = async (upload) => {
+    for (const filePath of [getChunkPath(upload), getAssembledPath(upload)]) {
+        await fs.unlink(filePath).catch((error) => {
+            if (error.code !== "ENOENT") throw error;
+        });
+    }
+    await Upload.deleteOne({ _id: upload._id });
+};
+
+// remove uploads nobody touched before their expiry, uploads being completed are left alone until their lock expires
+const removeExpiredUploads = async () => {
+    const now = new Date();
+    const expired = await Upload.find({
+        expiresAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    });
+
+    for (const upload of expired) {
+        await removeUpload(upload).catch((error) => console.error(`Failed to remove upload ${upload._id}:`, error));
+    }
+
+    return expired.length;
+};
+
+// check for abandoned uploads now and then, unref so it never keeps the process alive
+const startUploadCleanupWorker = () => {
+    const intervalMs = numberFromEnv("VIDEO_UPLOAD_CLEANUP_INTERVAL_MS", 60 * 60 * 1000);
+
+    const run = () => removeExpiredUploads().catch((error) => console.error("Upload cleanup failed:", error));
+    run();
+
+    return setInterval(run, intervalMs).unref();
+};
+
+export {
+    CHUNKS_DIR,
+    VIDEO_EXTENSIONS,
+    getChunkPath,
+    getAssembledPath,
+    getUploadLimits,
+    removeUpload,
+    removeExpiredUploads,
+    startUploadCleanupWorker,
+};
@@ -0,0 +1,35 @@
+// day_011 ---------------------------------------------------------
+// remove a video with everything that points to it, used when a video or a whole account is deleted
+// the video document goes last, so a failed cleanup can simply be run again
+
+import Video from "../models/video.model.js";
+import User from "../models/user.model.js";
+import View from "../models/view.model.js";
+import Like from "../models/like.model.js";
+import Comment from "../models/comment.model.js";
+import Playlist from "../models/playlist.model.js";
+import { deleteFile } from "./storage/index.js";
+import { removeProcessedFiles } from "./videoProcessing.js";
+
+const removeVideo = async (video) => {
+    await deleteFile(video.videoFileId, "video");
+    if (video.thumbnailId) await deleteFile(video.thumbnailId);
+    // HLS renditions, sprite and the source waiting for processing
+    await removeProcessedFiles(video);
+
+    await Like.deleteMany({ targetType: "Video", target: video._id });
+
+    // remove comments of the video and their likes
+    const commentIds = (await Comment.find({ video: video._id }).select("_id")).map((comment) => comment._id);
+    await Like.deleteMany({ targetType: "Comment", target: { $in: commentIds } });
+    await Comment.deleteMany({ video: video._id });
+
+    // remove the video from playlists, watch histories and view counts
+    await Playlist.updateMany({ videos: video._id }, { $pull: { videos: video._id } });
+    await User.updateMany({ "watchHistory.video": video._id }, { $pull: { watchHistory: { video: video._id } } });
+    await View.deleteMany({ video: video._id });
+
+    await Video.deleteOne({ _id: video._id });
+};
+
+export { removeVideo };
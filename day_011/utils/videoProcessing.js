@@ -0,0 +1,518 @@
+// day_011 ---------------------------------------------------------
+// video processing job with the local ffmpeg / ffprobe binaries:
+// probe the real duration and resolution, generate a thumbnail (when none was uploaded) and a storyboard sprite,
+// transcode to multi-bitrate HLS and store every file through the storage interface
+// the video stays unpublished until its processing succeeded
+
+import { spawn } from "child_process";
+import fs from "fs/promises";
+import { existsSync, createWriteStream } from "fs";
+import path from "path";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import { fileURLToPath } from "url";
+import Video from "../models/video.model.js";
+import { uploadFile, deleteFile, getLocalFilePath, getResourceType } from "./storage/index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// source files waiting for their job, not uploads/temp: that folder is cleared on startup
+const PROCESSING_DIR = path.join(__dirname, "../uploads/processing");
+
+// steps are the short side of the picture (the height of landscape videos, the width of portrait ones)
+// renditions bigger than the source are skipped, the smallest one is always made
+const HLS_LADDER = [
+    { shortSide: 360, videoBitrate: 800_000, audioBitrate: 96_000 },
+    { shortSide: 720, videoBitrate: 2_800_000, audioBitrate: 128_000 },
+    { shortSide: 1080, videoBitrate: 5_000_000, audioBitrate: 192_000 },
+];
+
+const HLS_SEGMENT_SECONDS = 6;
+
+// storyboard sprite: a grid of small frames spread over the whole video
+const SPRITE = { columns: 5, rows: 5, frameWidth: 160 };
+
+const numberFromEnv = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const getProcessingOptions = () => ({
+    ffmpegPath: process.env.FFMPEG_PATH || "ffmpeg",
+    ffprobePath: process.env.FFPROBE_PATH || "ffprobe",
+    // a single ffmpeg run is stopped after this
+    timeoutMs: numberFromEnv("VIDEO_PROCESSING_TIMEOUT_MS", 60 * 60 * 1000),
+    maxAttempts: numberFromEnv("VIDEO_PROCESSING_MAX_ATTEMPTS", 3),
+    intervalMs: numberFromEnv("VIDEO_PROCESSING_INTERVAL_MS", 60 * 1000),
+});
+
+// local copy of the uploaded file, kept until its job is done
+const getSourcePath = (video, ext = "") => path.join(PROCESSING_DIR, `${video._id}${ext}`);
+
+const findSourceFile = async (video) => {
+    const files = existsSync(PROCESSING_DIR) ? await fs.readdir(PROCESSING_DIR) : [];
+    const file = files.find((name) => path.parse(name).name === String(video._id));
+    return file ? path.join(PROCESSING_DIR, file) : null;
+};
+
+const removeSourceFile = async (video) => {
+    const source = await findSourceFile(video);
+    if (source) await fs.unlink(source).catch(() => null);
+};
+
+// keep the uploaded file for the job (the original is already in storage)
+const keepSourceFile = async (video, filePath) => {
+    await fs.mkdir(PROCESSING_DIR, { recursive: true });
+    const destination = getSourcePath(video, path.extname(filePath).toLowerCase() || ".mp4");
+
+    await fs.rename(filePath, destination).catch(async (error) => {
+        if (error.code !== "EXDEV") throw error;
+        await fs.copyFile(filePath, destination);
+        await fs.unlink(filePath);
+    });
+};
+
+// run a binary, resolves with stdout, rejects with the end of stderr
+const run = (command, args, { timeoutMs }) =>
+    new Promise((resolve, reject) => {
+        const child = spawn(command, args, { stdio: ["ignore", "pipe", "pipe"] });
+        let stdout = "";
+        let stderr = "";
+
+        const timer = setTimeout(() => child.kill("SIGKILL"), timeoutMs);
+
+        child.stdout.on("data", (data) => (stdout += data));
+        // only the end of stderr is useful in an error message
+        child.stderr.on("data", (data) => (stderr = (stderr + data).slice(-4000)));
+        child.on("error", (error) => {
+            clearTimeout(timer);
+            reject(new Error(`Could not run ${command}: ${error.message}`));
+        });
+        child.on("close", (code, signal) => {
+            clearTimeout(timer);
+            if (code === 0) return resolve(stdout);
+            reject(
+                new Error(`${path.basename(command)} failed (${signal || code}): ${stderr.trim().split("\n").pop()}`)
+            );
+        });
+    });
+
+// duration, resolution and audio of a file
+const probeVideo = async (filePath, options) => {
+    const output = await run(
+        options.ffprobePath,
+        ["-v", "error", "-print_format", "json", "-show_format", "-show_streams", filePath],
+        options
+    );
+    const { format, streams = [] } = JSON.parse(output);
+
+    const videoStream = streams.find((stream) => stream.codec_type === "video");
+    if (!videoStream) {
+        throw new Error("The file has no video stream");
+    }
+
+    const duration = Number(format?.duration || videoStream.duration);
+    if (!Number.isFinite(duration) || duration <= 0) {
+        throw new Error("Could not read the duration of the video");
+    }
+
+    // phone videos are often stored sideways with a rotation flag
+    const rotation = Math.abs(
+        Number(videoStream.tags?.rotate || videoStream.side_data_list?.find((data) => data.rotation)?.rotation || 0)
+    );
+    const sideways = rotation === 90 || rotation === 270;
+
+    return {
+        duration,
+        width: sideways ? videoStream.height : videoStream.width,
+        height: sideways ? videoStream.width : videoStream.height,
+        hasAudio: streams.some((stream) => stream.codec_type === "audio"),
+    };
+};
+
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+// renditions to make for a source of this size, e.g. 360 / 720 / 1080p of a 1080x1920 portrait video
+// are 360x640, 720x1280 and 1080x1920
+const getRenditions = ({ width, height }) => {
+    const sourceShortSide = Math.min(width, height);
+    const fitting = HLS_LADDER.filter((rendition) => rendition.shortSide <= sourceShortSide);
+
+    return (fitting.length ? fitting : HLS_LADDER.slice(0, 1)).map((rendition) => {
+        // never upscale a small source
+        const shortSide = Math.min(rendition.shortSide, even(sourceShortSide));
+        const scale = shortSide / sourceShortSide;
+        return {
+            ...rendition,
+            shortSide,
+            width: even(width * scale),
+            height: even(height * scale),
+        };
+    });
+};
+
+// point a playlist at the stored urls of its files instead of their local names
+const rewritePlaylist = (playlist, urls) =>
+    playlist
+        .split("\n")
+        .map((line) => {
+            if (!line.trim() || line.startsWith("#")) return line;
+            return urls[path.basename(line.trim())] || line;
+        })
+        .join("\n");
+
+const buildMasterPlaylist = (renditions) =>
+    [
+        "#EXTM3U",
+        "#EXT-X-VERSION:3",
+        ...renditions.flatMap((rendition) => [
+            `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height}`,
+            rendition.url,
+        ]),
+        "",
+    ].join("\n");
+
+// default thumbnail: one frame at 10% of the video
+const generateThumbnail = async (source, workDir, { duration }, options) => {
+    const output = path.join(workDir, "thumbnail.jpg");
+    await run(
+        options.ffmpegPath,
+        ["-y", "-ss", String(duration * 0.1), "-i", source, "-frames:v", "1", "-vf", "scale=1280:-2", output],
+        options
+    );
+    return output;
+};
+
+const generateSprite = async (source, workDir, { duration, width, height }, options) => {
+    const output = path.join(workDir, "sprite.jpg");
+    const frames = SPRITE.columns * SPRITE.rows;
+    const interval = Math.max(duration / frames, 1);
+
+    await run(
+        options.ffmpegPath,
+        [
+            "-y",
+            "-i",
+            source,
+            "-vf",
+            `fps=1/${interval},scale=${SPRITE.frameWidth}:-2,tile=${SPRITE.columns}x${SPRITE.rows}`,
+            "-frames:v",
+            "1",
+            output,
+        ],
+        options
+    );
+
+    return {
+        path: output,
+        columns: SPRITE.columns,
+        rows: SPRITE.rows,
+        interval,
+        frameWidth: SPRITE.frameWidth,
+        frameHeight: even((SPRITE.frameWidth * height) / width),
+    };
+};
+
+// transcode one rendition into HLS segments + its playlist
+const transcodeRendition = async (source, workDir, rendition, { hasAudio }, options) => {
+    const name = `${rendition.shortSide}p`;
+    const playlist = path.join(workDir, `${name}.m3u8`);
+
+    await run(
+        options.ffmpegPath,
+        [
+            "-y",
+            "-i",
+            source,
+            "-map",
+            "0:v:0",
+            ...(hasAudio ? ["-map", "0:a:0", "-c:a", "aac", "-b:a", String(rendition.audioBitrate)] : ["-an"]),
+            "-vf",
+            `scale=${rendition.width}:${rendition.height}`,
+            "-c:v",
+            "libx264",
+            "-preset",
+            "veryfast",
+            "-b:v",
+            String(rendition.videoBitrate),
+            "-maxrate",
+            String(Math.round(rendition.videoBitrate * 1.07)),
+            "-bufsize",
+            String(rendition.videoBitrate * 2),
+            // a keyframe at every segment boundary
+            "-force_key_frames",
+            `expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`,
+            "-hls_time",
+            String(HLS_SEGMENT_SECONDS),
+            "-hls_playlist_type",
+            "vod",
+            "-hls_segment_filename",
+            path.join(workDir, `${name}_%04d.ts`),
+            playlist,
+        ],
+        options
+    );
+
+    return { name, playlist };
+};
+
+// store a file and remember it with its resource type, so a failed job can remove what it stored
+const storeFile = async (filePath, folder, storedFiles) => {
+    const stored = await uploadFile(filePath, folder);
+    storedFiles.push({ id: stored.id, resourceType: stored.resourceType || getResourceType(filePath) });
+    return stored;
+};
+
+// store the segments and playlists of every rendition, then the master playlist
+const storeHls = async (workDir, transcoded, folder, storedFiles) => {
+    const store = (filePath) => storeFile(filePath, folder, storedFiles);
+
+    const renditions = [];
+    for (const { rendition, name, playlist } of transcoded) {
+        const segments = (await fs.readdir(workDir)).filter(
+            (file) => file.startsWith(`${name}_`) && file.endsWith(".ts")
+        );
+
+        const urls = {};
+        for (const segment of segments) {
+            urls[segment] = (await store(path.join(workDir, segment))).url;
+        }
+
+        await fs.writeFile(playlist, rewritePlaylist(await fs.readFile(playlist, "utf8"), urls));
+        const stored = await store(playlist);
+
+        renditions.push({
+            width: rendition.width,
+            height: rendition.height,
+            bandwidth: rendition.videoBitrate + (rendition.audioBitrate || 0),
+            url: stored.url,
+        });
+    }
+
+    const masterPath = path.join(workDir, "master.m3u8");
+    await fs.writeFile(masterPath, buildMasterPlaylist(renditions));
+    const master = await store(masterPath);
+
+    return { url: master.url, id: master.id, renditions };
+};
+
+// download the original from storage when this instance has no local copy
+const downloadSource = async (video) => {
+    const response = await fetch(video.videoFile);
+    if (!response.ok || !response.body) {
+        throw new Error(`Could not download the video (${response.status})`);
+    }
+
+    await fs.mkdir(PROCESSING_DIR, { recursive: true });
+    const destination = getSourcePath(video, path.extname(new URL(video.videoFile).pathname) || ".mp4");
+    await pipeline(Readable.fromWeb(response.body), createWriteStream(destination));
+    return destination;
+};
+
+// the local copy kept for the job, else the original: read in place from a local storage, downloaded otherwise
+const getSourceFile = async (video) =>
+    (await findSourceFile(video)) || getLocalFilePath(video.videoFileId, "video") || (await downloadSource(video));
+
+const deleteStoredFiles = (storedFiles) =>
+    Promise.all(storedFiles.map(({ id, resourceType }) => deleteFile(id, resourceType).catch(() => null)));
+
+// run the whole job for one video, throws when something fails
+// resolves with false when the video was deleted (or the job taken over) meanwhile, its files are removed again
+const processVideo = async (video, options = getProcessingOptions()) => {
+    const source = await getSourceFile(video);
+    await fs.mkdir(PROCESSING_DIR, { recursive: true });
+    const workDir = await fs.mkdtemp(path.join(PROCESSING_DIR, `${video._id}-`));
+    const storedFiles = [];
+    const folder = `mern-backend/hls/${video._id}`;
+
+    try {
+        const info = await probeVideo(source, options);
+
+        const thumbnailPath = video.thumbnailId ? null : await generateThumbnail(source, workDir, info, options);
+        const sprite = await generateSprite(source, workDir, info, options);
+
+        const transcoded = [];
+        for (const rendition of getRenditions(info)) {
+            transcoded.push({ rendition, ...(await transcodeRendition(source, workDir, rendition, info, options)) });
+        }
+
+        // store everything, removed again below if a later step fails
+        const thumbnail = thumbnailPath ? await storeFile(thumbnailPath, "mern-backend/thumbnails", storedFiles) : null;
+
+        const { path: spritePath, ...spriteGrid } = sprite;
+        const storedSprite = await storeFile(spritePath, "mern-backend/sprites", storedFiles);
+
+        const firstStreamFile = storedFiles.length;
+        const hls = await storeHls(workDir, transcoded, folder, storedFiles);
+        const streamFileIds = storedFiles.slice(firstStreamFile).map((file) => file.id);
+
+        // a thumbnail uploaded by the owner while the job ran wins over the generated one
+        const hasThumbnail = { $ne: [{ $ifNull: ["$thumbnailId", null] }, null] };
+
+        // a pipeline update, so publishWhenReady and the thumbnail are read at the time of the write: the owner may
+        // have changed them meanwhile. only applies while this attempt still owns the job and the video still exists
+        const updated = await Video.findOneAndUpdate(
+            { _id: video._id, "processing.status": "processing", "processing.attempts": video.processing.attempts },
+            [
+                {
+                    $set: {
+                        duration: Math.round(info.duration),
+                        width: info.width,
+                        height: info.height,
+                        ...(thumbnail && {
+                            thumbnail: { $cond: [hasThumbnail, "$thumbnail", { $literal: thumbnail.url }] },
+                            thumbnailId: { $cond: [hasThumbnail, "$thumbnailId", { $literal: thumbnail.id }] },
+                        }),
+                        sprite: { $literal: { ...spriteGrid, url: storedSprite.url, id: storedSprite.id } },
+                        hls: { $literal: hls },
+                        streamFileIds: { $literal: streamFileIds },
+                        isPublished: "$publishWhenReady",
+                        "processing.status": "ready",
+                        "processing.error": null,
+                        "processing.lockedUntil": null,
+                        "processing.finishedAt": new Date(),
+                    },
+                },
+            ],
+            { new: true, projection: { thumbnailId: 1 } }
+        );
+
+        // deleted, or taken over by another attempt: nothing points to the stored files
+        if (!updated) {
+            await deleteStoredFiles(storedFiles);
+            return false;
+        }
+
+        // the owner's thumbnail was kept, the generated one is not used
+        if (thumbnail && updated.thumbnailId !== thumbnail.id) {
+            await deleteStoredFiles(storedFiles.filter((file) => file.id === thumbnail.id));
+        }
+
+        await removeSourceFile(video);
+        return true;
+    } catch (error) {
+        await deleteStoredFiles(storedFiles);
+        throw error;
+    } finally {
+        await fs.rm(workDir, { recursive: true, force: true });
+    }
+};
+
+// claim the next video waiting for processing, locked so two instances never run the same job
+const claimNextVideo = (options) => {
+    const now = new Date();
+
+    return Video.findOneAndUpdate(
+        {
+            "processing.status": { $in: ["pending", "processing"] },
+            "processing.attempts": { $lt: options.maxAttempts },
+            $or: [{ "processing.lockedUntil": null }, { "processing.lockedUntil": { $lte: now } }],
+        },
+        {
+            $set: {
+                "processing.status": "processing",
+                "processing.startedAt": now,
+                // a crashed job is picked up again once this has passed
+                "processing.lockedUntil": new Date(now.getTime() + options.timeoutMs * (HLS_LADDER.length + 2)),
+            },
+            $inc: { "processing.attempts": 1 },
+        },
+        { new: true, sort: { createdAt: 1 } }
+    );
+};
+
+// a failed job is retried after VIDEO_PROCESSING_INTERVAL_MS until VIDEO_PROCESSING_MAX_ATTEMPTS
+const markFailed = async (video, error, options) => {
+    const isLastAttempt = video.processing.attempts >= options.maxAttempts;
+
+    await Video.updateOne(
+        { _id: video._id },
+        {
+            $set: {
+                "processing.status": isLastAttempt ? "failed" : "pending",
+                "processing.error": error.message,
+                "processing.lockedUntil": isLastAttempt ? null : new Date(Date.now() + options.intervalMs),
+                "processing.finishedAt": new Date(),
+            },
+        }
+    );
+
+    if (isLastAttempt) {
+        await removeSourceFile(video);
+    }
+};
+
+// process waiting videos one at a time, ffmpeg already uses every core
+let isRunning = false;
+const processPendingVideos = async () => {
+    if (isRunning) return 0;
+    isRunning = true;
+
+    const options = getProcessingOptions();
+    let processed = 0;
+
+    try {
+        // jobs whose instance died during the last attempt are not picked up again
+        await Video.updateMany(
+            {
+                "processing.status": "processing",
+                "processing.attempts": { $gte: options.maxAttempts },
+                "processing.lockedUntil": { $lte: new Date() },
+            },
+            {
+                $set: {
+                    "processing.status": "failed",
+                    "processing.error": "Processing was interrupted",
+                    "processing.lockedUntil": null,
+                },
+            }
+        );
+
+        for (let video = await claimNextVideo(options); video; video = await claimNextVideo(options)) {
+            try {
+                if (await processVideo(video, options)) processed += 1;
+            } catch (error) {
+                console.error(`Processing of video ${video._id} failed:`, error.message);
+                await markFailed(video, error, options);
+            }
+        }
+    } finally {
+        isRunning = false;
+    }
+
+    return processed;
+};
+
+// start processing right away (after an upload) without waiting for the next run
+const queueVideoProcessing = () => {
+    processPendingVideos().catch((error) => console.error("Video processing failed:", error));
+};
+
+// look for waiting videos now and then, unref so it never keeps the process alive
+const startVideoProcessingWorker = () => {
+    queueVideoProcessing();
+    return setInterval(queueVideoProcessing, getProcessingOptions().intervalMs).unref();
+};
+
+// remove the stored HLS files and sprite of a video, and its local source if the job never ran
+const removeProcessedFiles = async (video) => {
+    const { sprite, streamFileIds = [] } =
+        (await Video.findById(video._id).select("sprite +streamFileIds").lean()) || {};
+
+    await Promise.all(streamFileIds.map((id) => deleteFile(id, "raw")));
+    if (sprite?.id) await deleteFile(sprite.id);
+
+    await removeSourceFile(video);
+};
+
+export {
+    keepSourceFile,
+    processVideo,
+    processPendingVideos,
+    queueVideoProcessing,
+    startVideoProcessingWorker,
+    removeProcessedFiles,
+    getRenditions,
+    rewritePlaylist,
+};
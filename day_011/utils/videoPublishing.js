@@ -0,0 +1,68 @@
+// day_011 ---------------------------------------------------------
+// store a video file with its thumbnail and create the Video document
+// used by the single request upload and by resumable uploads
+// the video stays unpublished until the processing job (utils/videoProcessing.js) succeeded
+
+import Video from "../models/video.model.js";
+import apiError from "./apiError.js";
+import { uploadFile, deleteFile } from "./storage/index.js";
+import { keepSourceFile, queueVideoProcessing } from "./videoProcessing.js";
+
+/**
+ * Store the files and create the video
+ * @param {Object} options
+ * @param {string} options.videoPath - Local path of the video file, moved to the processing folder
+ * @param {string} options.thumbnailPath - Local path of the thumbnail, optional (generated by the processing job)
+ * @param {boolean} options.isPublished - Publish the video once processing succeeded
+ * @returns {Promise<Object>} - the created Video document
+ */
+const createVideo = async ({ videoPath, thumbnailPath, title, desc, isPublished, owner }) => {
+    // Upload video to storage, the local file is kept for the processing job
+    const videoFile = await uploadFile(videoPath, "mern-backend/videos", false);
+
+    if (!videoFile) {
+        throw new apiError(500, "Video upload failed", ["videoFile"]);
+    }
+
+    // Upload thumbnail, removing the already uploaded video if this fails
+    let thumbnail = null;
+    if (thumbnailPath) {
+        try {
+            thumbnail = await uploadFile(thumbnailPath, "mern-backend/thumbnails", true);
+        } catch (error) {
+            await deleteFile(videoFile.id, "video").catch(() => null);
+            throw error;
+        }
+    }
+
+    // Create video in database
+    const video = await Video.create({
+        title,
+        desc,
+        videoFile: videoFile.url,
+        videoFileId: videoFile.id,
+        thumbnail: thumbnail?.url || null,
+        thumbnailId: thumbnail?.id || null,
+        // Cloudinary reports the duration of uploaded videos (in seconds), the processing job probes the real one
+        duration: videoFile.duration || 0,
+        isPublished: false,
+        publishWhenReady: Boolean(isPublished),
+        processing: { status: "pending" },
+        owner,
+    });
+
+    // the job reads the local copy, without it the video is removed again so the upload can be retried
+    try {
+        await keepSourceFile(video, videoPath);
+    } catch (error) {
+        await Video.deleteOne({ _id: video._id });
+        await deleteFile(videoFile.id, "video").catch(() => null);
+        if (thumbnail) await deleteFile(thumbnail.id).catch(() => null);
+        throw error;
+    }
+    queueVideoProcessing();
+
+    return video;
+};
+
+export { createVideo };
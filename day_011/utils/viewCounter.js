@@ -0,0 +1,110 @@
+// day_011 ---------------------------------------------------------
+// views are counted in memory and written to the videos collection in batches
+// instead of running an update on every single play
+
+import Video from "../models/video.model.js";
+import View from "../models/view.model.js";
+
+const FLUSH_INTERVAL_MS = parseInt(process.env.VIEW_FLUSH_INTERVAL_MS) || 10 * 1000;
+const FLUSH_THRESHOLD = parseInt(process.env.VIEW_FLUSH_THRESHOLD) || 100;
+
+// videoId -> number of views not yet written to the database
+const pendingViews = new Map();
+let pendingTotal = 0;
+let flushing = null;
+
+// write all buffered views to the database in one bulk operation
+const flushViewCounts = async () => {
+    // only one flush at a time
+    if (flushing) return flushing;
+    if (pendingViews.size === 0) return;
+
+    const batch = new Map(pendingViews);
+    pendingViews.clear();
+    pendingTotal = 0;
+
+    flushing = Video.bulkWrite(
+        [...batch].map(([videoId, count]) => ({
+            updateOne: {
+                filter: { _id: videoId },
+                update: { $inc: { views: count } },
+            },
+        })),
+        { ordered: false }
+    )
+        .catch((error) => {
+            console.error("Failed to flush view counts, will retry:", error.message);
+
+            // put the views back so they are written on the next flush
+            for (const [videoId, count] of batch) {
+                pendingViews.set(videoId, (pendingViews.get(videoId) || 0) + count);
+                pendingTotal += count;
+            }
+        })
+        .finally(() => {
+            flushing = null;
+        });
+
+    return flushing;
+};
+
+// a viewer is counted at most once per video in this window (hours)
+const getViewWindowMs = () => (parseInt(process.env.VIEW_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+
+// count a view of a video when the viewer has no counted view in the last VIEW_WINDOW_HOURS
+// resolves with true when the view was counted
+const countView = async (video, viewer) => {
+    // retire the latest view once it is older than the window, so a new one can take its place
+    await View.updateOne(
+        {
+            video: video._id,
+            viewer,
+            isLatest: true,
+            createdAt: { $lte: new Date(Date.now() - getViewWindowMs()) },
+        },
+        { $set: { isLatest: false } }
+    );
+
+    try {
+        // fails on the unique index while a recent view exists, or when a parallel request was faster
+        await View.create({ video: video._id, channel: video.owner, viewer, isLatest: true });
+    } catch (error) {
+        if (error.code === 11000) return false;
+        throw error;
+    }
+
+    recordView(video._id);
+    return true;
+};
+
+// buffer one view of a video
+const recordView = (videoId) => {
+    const key = String(videoId);
+    pendingViews.set(key, (pendingViews.get(key) || 0) + 1);
+    pendingTotal++;
+
+    if (pendingTotal >= FLUSH_THRESHOLD) {
+        flushViewCounts();
+    }
+};
+
+// views of a video that are counted but not yet written to the database
+const getPendingViews = (videoId) => pendingViews.get(String(videoId)) || 0;
+
+// flush periodically, without keeping the process alive just for this timer
+const flushTimer = setInterval(flushViewCounts, FLUSH_INTERVAL_MS).unref();
+
+// write everything still buffered, used when the server shuts down
+const stopViewCounter = async () => {
+    clearInterval(flushTimer);
+
+    // wait for a running flush, then write what was counted in the meantime
+    await flushing;
+    await flushViewCounts();
+
+    if (pendingViews.size > 0) {
+        console.error(`Could not write ${pendingTotal} buffered views before shutdown`);
+    }
+};
+
+export { countView, recordView, flushViewCounts, getPendingViews, stopViewCounter };